@@ -12,30 +12,203 @@ const PARCELS_JSON_URL = 'parcels_data.json'; // Central configuration file
 const KML_LAYER_URL = 'https://razvan11-cloud.github.io/crop-tiles/Locatii.kml'; // Main KML source
 const NDVI_CSV_URL = 'https://raw.githubusercontent.com/razvan11-cloud/crop-tiles/main/ndvi_data.csv'; // NDVI stats source
 const DEFAULT_GRID_URL_PATTERN = 'https://raw.githubusercontent.com/razvan11-cloud/crop-tiles/main/grid/{kmlId}/{name}_{date}_grid.geojson'; // Default pattern if not specified in JSON
+const BASE_MAP_URL = 'https://mt1.google.com/vt/lyrs=y&x={x}&y={y}&z={z}'; // Google Hybrid base map tiles
+const NDVI_CSV_COLUMNS = {             // Accepted NDVI CSV header names per statistic (see normalizeCsvHeader)
+    kmlId: ['parcel_nr', 'parcel', 'kml_id', 'kmlid'],
+    date: ['date', 'acquisition_date', 'image_date'],
+    mean: ['mean', 'ndvi_mean', '_ndvimean'],
+    min: ['min', 'ndvi_min', '_ndvimin'],
+    max: ['max', 'ndvi_max', '_ndvimax'],
+    std: ['std', 'stdev', 'std_dev', 'stddev', 'ndvi_std', '_ndvistdev'],
+    median: ['median', 'ndvi_median', '_ndvimedian'],
+    pixelCount: ['pixel_count', 'pixels', 'count', 'n_pixels', '_ndvicount']
+};
+const NDVI_CSV_REQUIRED_COLUMNS = ['kmlId', 'date', 'mean', 'min', 'max'];
+const NDVI_ALERT_SETTINGS_KEY = 'ndviAlertSettings'; // localStorage key of the alert thresholds
+const NDVI_ALERT_DEFAULTS = { dropThreshold: 0.1, medianThreshold: 0.15, latestOnly: false }; // NDVI mean differences
+const NDVI_ALERT_MIN_VILLAGE_PARCELS = 3; // Parcels with stats needed on a date for a meaningful village median
+const KML_SCHEMA_ID = 'Locatii';          // ExtendedData schema name of KML_LAYER_URL, reused in boundary exports
+const KML_PARSER_PROPERTIES = ['name', 'description', 'styleUrl', 'styleHash', 'styleMapHash', 'stroke',
+    'stroke-opacity', 'stroke-width', 'fill', 'fill-opacity']; // Feature properties that are not ExtendedData
+const CROP_PROPERTY_PATTERN = /^CROP_NAME(\d{4})$/; // KML crop attribute per year
+const CROP_ROTATION_RULES_KEY = 'cropRotationRules'; // localStorage key of the edited rotation rule table
+// Default rotation rules: crop names (compared without case/diacritics) per family and the
+// minimum number of years before the family may return to the same parcel
+const CROP_ROTATION_DEFAULT_RULES = [
+    { family: 'Cereals', crops: ['grau', 'orz', 'orzoaica', 'ovaz', 'secara', 'triticale', 'wheat', 'barley', 'oats', 'rye'], minYearsBetween: 2, allowConsecutive: false },
+    { family: 'Maize', crops: ['porumb', 'maize', 'corn'], minYearsBetween: 1, allowConsecutive: false },
+    { family: 'Sunflower', crops: ['floarea soarelui', 'sunflower'], minYearsBetween: 6, allowConsecutive: false },
+    { family: 'Brassicas', crops: ['rapita', 'mustar', 'rapeseed', 'mustard'], minYearsBetween: 4, allowConsecutive: false },
+    { family: 'Grain legumes', crops: ['mazare', 'fasole', 'soia', 'naut', 'pea', 'bean', 'soybean'], minYearsBetween: 4, allowConsecutive: false },
+    { family: 'Beet', crops: ['sfecla', 'sfecla de zahar', 'sugar beet'], minYearsBetween: 4, allowConsecutive: false },
+    { family: 'Potatoes', crops: ['cartof', 'cartofi', 'potato'], minYearsBetween: 4, allowConsecutive: false },
+    { family: 'Forage legumes', crops: ['lucerna', 'trifoi', 'alfalfa', 'clover'], minYearsBetween: 1, allowConsecutive: true }
+];
+const PARCEL_THEME_KEY = 'parcelTheme';  // localStorage key of the selected parcel colouring theme
+// Parcel colouring themes (see getParcelThemeScale); 'coverage' outlines parcels by data availability
+const PARCEL_THEMES = {
+    coverage: 'Data coverage',
+    crop: 'Current crop',
+    farm: 'Farm',
+    area: 'Declared area',
+    ndvi: 'Latest NDVI mean',
+    imageAge: 'Days since last imagery'
+};
+const PARCEL_AREA_CLASSES = [0, 1, 2, 5, 10, 20, Infinity];   // Declared area (ha) class breaks
+const PARCEL_NDVI_CLASSES = [-1, 0.2, 0.4, 0.6, 0.8, 1];       // Latest NDVI mean class breaks
+const PARCEL_IMAGE_AGE_CLASSES = [0, 7, 14, 30, 60, Infinity]; // Days since the last image date
+const SEARCH_MAX_RESULTS = 50;           // Results listed below the search box
+const SEARCH_INPUT_DELAY_MS = 200;       // Typing pause before the result list updates
+const REPORT_LOGO_KEY = 'reportLogo';    // localStorage key of the report logo (data URL)
+const REPORT_LOGO_MAX_BYTES = 300 * 1024; // Keeps the logo well within the localStorage quota
+const REPORT_MAP_SIZE = { width: 800, height: 500 }; // Map snapshot size in the report (pixels)
+const REPORT_TILE_TIMEOUT_MS = 15000;     // Snapshot tiles that take longer are left out
+const LAYER_HEALTH_KEY = 'layerHealthResults'; // localStorage key of the last tile check result per layer URL
+const LAYER_CHECK_ZOOMS = [14, 17, 20];   // Zoom levels sampled per layer (within PARCEL_TILE_OPTIONS)
+const LAYER_CHECK_CONCURRENCY = 6;        // Layers checked in parallel
+const LAYER_CHECK_TIMEOUT_MS = 10000;     // Sample tiles that take longer count as failed
+const LAYER_CHECK_PARAM = '_layercheck';  // Query parameter marking health check requests (sw.js sends them to the network)
+const LAYER_DISPLAY_KEY = 'layerDisplaySettings'; // localStorage key of the NDVI opacity/blend mode and base map opacity
+// Assumed colouring of the NDVI tiles, used to decode tile colours back to NDVI. The imagery pipeline does not
+// publish it; this is only the default of the "Tile colours" setting in the NDVI options
+const NDVI_TILE_ENCODING = { ramp: 'RdYlGn', min: 0, max: 1 };
+const LAYER_DISPLAY_DEFAULTS = {
+    ndviOpacity: 1, ndviBlendMode: 'normal', baseMapOpacity: 1,
+    ndviPalette: 'original', ndviStretchMin: 0, ndviStretchMax: 1, ndviMaskEnabled: false, ndviMaskThreshold: 0.4,
+    ndviEncodingRamp: NDVI_TILE_ENCODING.ramp, ndviEncodingMin: NDVI_TILE_ENCODING.min, ndviEncodingMax: NDVI_TILE_ENCODING.max
+};
+const NDVI_DECODE_MAX_DISTANCE = 40;      // RGB distance above which a tile colour is not NDVI (outlines, labels)
+const NDVI_MASK_COLOR = '#ff00ff';        // Pixels below the mask threshold
+const INSPECT_TRANSECT_SAMPLES = 60;      // NDVI values read along a transect
+const INSPECT_TILE_CACHE_SIZE = 64;       // Decoded NDVI tiles kept for the pixel inspector
+const BOUNDARY_SNAP_DISTANCE = 15;        // Pixels within which drawn vertices snap to neighbouring parcels
+const AREA_DEC_TOLERANCE_PERCENT = 3; // Accepted difference between the KML polygon area and the declared AREA_DEC (ha)
+// Prescription rate units with the ISO 11783-11 DDI (hex, as written in ISO-XML) and the factor to its unit
+const PRESCRIPTION_UNITS = {
+    'kg/ha': { ddi: '0006', isoFactor: 100 },   // Setpoint Mass Per Area Application Rate [mg/m²]
+    'L/ha': { ddi: '0001', isoFactor: 100 },    // Setpoint Volume Per Area Application Rate [mm³/m²]
+    'seeds/ha': { ddi: '000B', isoFactor: 0.1 } // Setpoint Count Per Area Application Rate [0.001 /m²]
+};
+const PARCEL_TILE_OPTIONS = { minZoom: 10, maxZoom: 21, maxNativeZoom: 20 }; // Shared options for parcel imagery tile layers
+// Colour ramps (low -> high) available for classified maps. Colours are interpolated to the class count.
+const COLOR_RAMPS = {
+    RdYlGn: ['#d73027', '#fc8d59', '#fee08b', '#d9ef8b', '#91cf60', '#1a9850'],
+    YlGn: ['#ffffcc', '#c2e699', '#78c679', '#31a354', '#006837'],
+    Viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    Spectral: ['#d53e4f', '#fc8d59', '#fee08b', '#e6f598', '#99d594', '#3288bd'],
+    Greys: ['#000000', '#ffffff']
+};
+const DEFAULT_GRID_RAMP = 'RdYlGn';
+// Qualitative colours for categories (crop families, crops, farms)
+const CATEGORY_COLORS = ['#8dd3c7', '#ffffb3', '#bebada', '#fb8072', '#80b1d3', '#fdb462',
+    '#b3de69', '#fccde5', '#bc80bd', '#ccebc5', '#ffed6f', '#d9d9d9'];
+const LAYER_DATE_PATTERN = /^\d{2}-\d{2}-\d{4}$/; // DD-MM-YYYY format used as layer keys
+const APP_DB_NAME = 'AgricultureAppDB';   // IndexedDB database for locally stored data
+const APP_DB_VERSION = 4;
+const DRAFTS_STORE = 'parcelDrafts';      // Object store for unsaved parcel edits { id, parcel, savedAt }
+const OFFLINE_STORE = 'offlineEntries';   // Object store describing downloaded files { url, kind, kmlId, date, bytes, cachedAt }
+const SCOUTING_STORE = 'scoutingNotes';   // Object store for field notes { id, kmlId, village, lat, lng, category, date, text, photo?, photoName?, createdAt }
+const BOUNDARIES_STORE = 'parcelBoundaries'; // Object store for drawn/edited KML geometries { id, sourceKey, feature, updatedAt }
+const SCOUTING_CATEGORIES = {             // Note categories with their marker colours
+    weeds: { label: 'Weeds', color: '#7cb342' },
+    pests: { label: 'Pests', color: '#e53935' },
+    disease: { label: 'Disease', color: '#8e24aa' },
+    waterlogging: { label: 'Waterlogging', color: '#1e88e5' },
+    other: { label: 'Other', color: '#757575' }
+};
+const OFFLINE_DATA_CACHE = 'agri-offline-data-v1'; // Cache API name shared with sw.js
+const OFFLINE_EXPIRY_STORAGE_KEY = 'offlineExpiryDays'; // localStorage key of the expiry policy (days, 0 = never)
+const DEFAULT_OFFLINE_EXPIRY_DAYS = 30;
+const OFFLINE_DOWNLOAD_CONCURRENCY = 6;   // Parallel requests while pre-downloading
+const OFFLINE_TILE_WARNING_COUNT = 3000;  // Ask for confirmation above this many files
 
 // --- Map Initialization ---
 const map = L.map('map').setView([46.38962839578193, 24.193423798797586], 13.2);
 
-const googleHybrid = L.tileLayer('https://mt1.google.com/vt/lyrs=y&x={x}&y={y}&z={z}', {
+const googleHybrid = L.tileLayer(BASE_MAP_URL, {
     attribution: '© Google Maps',
     maxZoom: 20
 }).addTo(map);
 
 // --- Data Storage ---
-let allParcelsData = [];        // Holds all parcel objects loaded from PARCELS_JSON_URL
-let ndviStatsData = {};         // Holds parsed NDVI statistics { kmlId: { date: { mean, min, max } } }
+let allParcelsData = [];        // Holds all parcel objects loaded from PARCELS_JSON_URL (with drafts applied)
+let fileParcelsData = [];       // Untouched copy of the parcels as loaded from PARCELS_JSON_URL
+let draftParcelIds = new Set(); // IDs of parcels with unsaved draft edits stored in the browser
+let ndviStatsData = {};         // Holds parsed NDVI statistics { kmlId: { date: { mean, min, max, std?, median?, pixelCount? } } }
+let csvImportReport = null;     // Validation report of the last NDVI CSV import (see parseNdviCsv)
 
 // --- Application State ---
 let currentParcel = null;       // The currently selected parcel object from allParcelsData
 let availableDates = [];        // Sorted dates [DD-MM-YYYY] for the currentParcel's RGB layers
-let activeTileLayer = null;     // The L.tileLayer instance currently displayed on the map
+let activeTileLayer = null;     // The L.tileLayer instance currently displayed on the map (RGB, or NDVI if a date has no RGB)
+let activeNdviLayer = null;     // NDVI layer stacked over activeTileLayer while the NDVI checkbox is on (canvas layer when recoloured)
+let ndviDecoder = null;         // Tile colour decoder of the current "Tile colours" setting (see getNdviDecoder)
+let ndviPaletteLuts = {};       // 256-colour lookup tables per palette { paletteName: Uint8ClampedArray }
+let ndviRecolorBlocked = false; // Flag: set once tiles turned out unreadable (no CORS); later tiles load without CORS
+let ndviTilesReadable = false;  // Flag: set once an NDVI tile loaded with CORS; later failed tiles are missing, not refused
 let kmlLayers = {};             // Stores loaded KML village layers { villageName: L.LayerGroup }
+let kmlLoadPromises = {};       // KML loads in progress { villageName: Promise<L.LayerGroup | null> }
+let kmlIndexPromise = null;     // Promise of the parsed KML index (see loadKmlIndex); null until requested
+let kmlIndex = null;            // Parsed KML features with boundary edits applied { features, byVillage: { village: [Feature] }, byParcelNr: { nr: [Feature] } }
+let kmlFileFeatures = [];       // GeoJSON features as parsed from KML_LAYER_URL
+let villageControlLayers = {};  // Placeholder layers of the layer control { villageName: L.LayerGroup }
 let ndviGridLayer = null;       // The L.geoJSON instance for the NDVI grid overlay
 let gridLabels = [];            // Array of L.marker instances for grid labels
+let gridClassBreaks = null;     // Class break values [min, ..., max] used to colour the grid cells
+let gridLegendControl = null;   // L.control showing the grid colour legend
+let ndviAlerts = [];            // Alerts of the last scan (see scanNdviAlerts), newest first
+let ndviAlertsByKmlId = {};     // The same alerts grouped by parcel { kmlId: [alert] }
+let scoutingNotes = [];         // All notes from SCOUTING_STORE (photos as Blobs)
+let scoutingNotesLayer = null;  // L.layerGroup of the note markers
+let notePlacement = null;       // { kmlId, village, feature } while waiting for the click that places a new note
+let editingNote = null;         // Note shown in the note form ({ kmlId, village, lat, lng } for a new note)
+let notePhotoUrls = {};         // Object URLs of note photos { noteId: url }
+let measureControl = null;      // L.control with the distance/area measure buttons
+let measureLayer = null;        // L.layerGroup with the measured shape
+let measureMode = null;         // 'line' | 'area': type of the measurement on the map
+let measuring = false;          // Flag: true while measurement points are being added
+let measurePoints = [];         // Vertices [L.LatLng] of the current measurement
+let inspectControl = null;      // L.control with the NDVI inspect / transect buttons
+let inspectLayer = null;        // L.layerGroup with the drawn transect
+let inspectMode = null;         // 'point' | 'transect' while map clicks read NDVI values
+let transectPoints = [];        // Vertices [L.LatLng] of the transect
+let inspectTileCache = new Map(); // Pixels of NDVI tiles read by the inspector { url: Promise<ImageData | null> }
+let boundaryEdits = {};         // Drawn/edited boundaries from BOUNDARIES_STORE { id: { id, sourceKey, feature (null = deleted), updatedAt } }
+let boundaryEditsPromise = null; // Promise of the boundary edits load (see loadBoundaryEdits)
+let boundaryEditSession = null; // { mode: 'draw' | 'new' | 'edit', layer, feature } while a boundary is drawn or edited
+let parcelTheme = 'coverage';   // Key of PARCEL_THEMES used to colour the parcels
+let parcelThemeScale = null;    // Cached colour scale of the theme (see getParcelThemeScale)
+let parcelThemeControl = null;  // L.control with the theme select and legend
+let searchRecords = [];         // Parcels of the last search (see buildSearchRecords)
+let searchResults = [];         // Ranked matches of the last search
+let searchInputTimer = null;    // Timeout ID of the pending search while typing
+let selectedFarmId = null;      // FARM_ID chosen in the farm view ('' = parcels without FARM_ID)
+let farmHighlightLayer = null;  // L.geoJSON outlining the parcels of the chosen farm
+let layerCheckActive = false;   // Flag: true while the layer check runs
+let layerCheckCancelled = false; // Flag: set by the Stop button to end the running check
+let zoneLayer = null;           // L.geoJSON preview of the management zones
+let managementZones = null;     // Zones of the shown grid { features, zones: [{ zone, min, max, cellCount, areaHa, rate }] }
 let layerControl = null;        // The Leaflet layer control instance
 let currentParcelLabel = null;  // Permanent L.tooltip showing the name of the selected parcel
 let animationInterval = null;   // Interval ID for the play button animation
-let dataHasChanged = false;     // Flag: true if parcel data was modified via the form
+let dataHasChanged = false;     // Flag: true while unsaved parcel drafts exist (see updateDraftIndicators)
+let appDbPromise = null;        // Cached Promise<IDBDatabase> for APP_DB_NAME
+let pendingMergeRows = [];      // Rows of the merge screen for the last imported file
+let bulkPreviewRows = [];       // Parcel rows of the bulk layer preview (see previewBulkLayers)
+let urlStateSyncEnabled = false; // Flag: false until the initial URL state is restored (and while restoring)
+let urlStateUpdateTimer = null; // Timeout ID of the pending URL hash update
+let lastUrlSelectionKey = null; // "kmlId|date" last written to the URL, to decide push vs. replace
+let ndviChart = null;           // The Chart.js instance for the NDVI time-series panel
+let ndviChartKmlId = null;      // KML ID of the parcel currently plotted in the chart
+let compareModeActive = false;  // Flag: true while the side-by-side date comparison is shown
+let compareLeftLayer = null;    // L.tileLayer shown on the left of the swipe divider
+let compareRightLayer = null;   // L.tileLayer shown on the right of the swipe divider
+let compareDivider = null;      // The draggable divider element inside the map container
+let compareSwipePosition = 0.5; // Divider position as a fraction of the map width (0-1)
+let dashboardSort = { key: 'location', ascending: true }; // Sort column and direction of the parcel dashboard
+let offlineDownloadActive = false; // Flag: true while files are being pre-downloaded
+let offlineDownloadCancelled = false; // Flag: set by the Cancel button to stop the running download
+let offlineMessages = [];       // Messages shown in the offline banner instead of alert() while offline
 
 // --- UI Element References ---
 // Using const assuming these elements exist and won't be reassigned
@@ -44,10 +217,55 @@ const dateLabel = document.getElementById("dateLabel");
 const sliderContainer = document.getElementById("slider-container");
 const playButton = document.getElementById("play-button");
 const ndviCheckbox = document.getElementById("ndviCheckbox");
+const ndviBlendOptionsDiv = document.getElementById("ndvi-blend-options");
+const ndviOpacitySlider = document.getElementById("ndviOpacity");
+const ndviOpacityValue = document.getElementById("ndviOpacityValue");
+const ndviBlendModeSelect = document.getElementById("ndviBlendMode");
+const baseMapOpacitySlider = document.getElementById("baseMapOpacity");
+const baseMapOpacityValue = document.getElementById("baseMapOpacityValue");
+const ndviPaletteSelect = document.getElementById("ndviPalette");
+const ndviRecolorOptionsDiv = document.getElementById("ndvi-recolor-options");
+const ndviStretchMinInput = document.getElementById("ndviStretchMin");
+const ndviStretchMaxInput = document.getElementById("ndviStretchMax");
+const ndviMaskCheckbox = document.getElementById("ndviMask");
+const ndviMaskThresholdInput = document.getElementById("ndviMaskThreshold");
+const ndviPaletteLegend = document.getElementById("ndviPaletteLegend");
+const ndviEncodingRampSelect = document.getElementById("ndviEncodingRamp");
+const ndviEncodingMinInput = document.getElementById("ndviEncodingMin");
+const ndviEncodingMaxInput = document.getElementById("ndviEncodingMax");
+const hiddenCanvas = document.getElementById("hiddenCanvas"); // Scratch canvas for reading NDVI tile pixels
 const ndviValuesDiv = document.getElementById("ndvi-values");
+const ndviExtraValuesDiv = document.getElementById("ndvi-extra-values");
 const popupCheckbox = document.getElementById("popupCheckbox"); // Controls grid display
+const gridOptionsDiv = document.getElementById("grid-options");
+const gridLabelsCheckbox = document.getElementById("gridLabelsCheckbox");
+const gridRampSelect = document.getElementById("gridRampSelect");
+const gridMethodSelect = document.getElementById("gridMethodSelect");
+const gridClassCountInput = document.getElementById("gridClassCount");
 const searchInput = document.getElementById("searchInput");
 const searchButton = document.getElementById("searchButton");
+const searchDropdown = document.getElementById("search-dropdown");
+const searchVillageSelect = document.getElementById("searchVillage");
+const searchCropSelect = document.getElementById("searchCrop");
+const searchFarmSelect = document.getElementById("searchFarm");
+const searchDataSelect = document.getElementById("searchData");
+const closeSearchResultsBtn = document.getElementById("close-search-results-btn");
+const searchResultsSummary = document.getElementById("searchResultsSummary");
+const searchResultsList = document.getElementById("searchResults");
+// NDVI Time Series Chart Elements
+const ndviChartPanel = document.getElementById("ndvi-chart-panel");
+const ndviChartTitle = document.getElementById("ndvi-chart-title");
+const ndviChartCanvas = document.getElementById("ndviChartCanvas");
+const ndviChartStatus = document.getElementById("ndvi-chart-status");
+const closeNdviChartBtn = document.getElementById("close-ndvi-chart-btn");
+// Date Comparison Elements
+const compareButton = document.getElementById("compare-button");
+const comparePanel = document.getElementById("compare-panel");
+const closeCompareBtn = document.getElementById("close-compare-btn");
+const compareLeftDate = document.getElementById("compareLeftDate");
+const compareLeftType = document.getElementById("compareLeftType");
+const compareRightDate = document.getElementById("compareRightDate");
+const compareRightType = document.getElementById("compareRightType");
 // "Manage Parcels" Form Elements
 const manageParcelsBtn = document.getElementById("manage-parcels-btn");
 const addParcelSection = document.getElementById("add-parcel-section");
@@ -58,7 +276,196 @@ const addParcelBtn = document.getElementById('addParcelBtn');
 const exportDataBtn = document.getElementById('exportDataBtn');
 const clearFormBtn = document.getElementById('clearFormBtn');
 const uploadStatus = document.getElementById('uploadStatus');
+const draftList = document.getElementById('draftList');
+const discardAllDraftsBtn = document.getElementById('discardAllDraftsBtn');
+const importDataBtn = document.getElementById('importDataBtn');
+const importFileInput = document.getElementById('importFileInput');
+// Import & Merge Panel Elements
+const mergePanel = document.getElementById('merge-panel');
+const mergeSummary = document.getElementById('mergeSummary');
+const mergeTableBody = document.querySelector('#mergeTable tbody');
+const mergeStatus = document.getElementById('mergeStatus');
+const applyMergeBtn = document.getElementById('applyMergeBtn');
+const cancelMergeBtn = document.getElementById('cancelMergeBtn');
+const closeMergeBtn = document.getElementById('close-merge-btn');
+// Bulk Layer Panel Elements
+const bulkLayersBtn = document.getElementById('bulkLayersBtn');
+const bulkLayersPanel = document.getElementById('bulk-layers-panel');
+const closeBulkLayersBtn = document.getElementById('close-bulk-layers-btn');
+const bulkRgbPatternInput = document.getElementById('bulkRgbPattern');
+const bulkNdviPatternInput = document.getElementById('bulkNdviPattern');
+const bulkDateFormatSelect = document.getElementById('bulkDateFormat');
+const bulkDatesInput = document.getElementById('bulkDates');
+const bulkOverwriteCheckbox = document.getElementById('bulkOverwrite');
+const bulkParcelList = document.getElementById('bulkParcelList');
+const bulkUseSelectedBtn = document.getElementById('bulkUseSelectedBtn');
+const bulkPreviewTableBody = document.querySelector('#bulkPreviewTable tbody');
+const previewBulkLayersBtn = document.getElementById('previewBulkLayersBtn');
+const applyBulkLayersBtn = document.getElementById('applyBulkLayersBtn');
+const cancelBulkLayersBtn = document.getElementById('cancelBulkLayersBtn');
+const bulkLayersStatus = document.getElementById('bulkLayersStatus');
 const layerInputTemplate = document.getElementById('layer-input-template');
+// NDVI Alerts
+const alertsBtn = document.getElementById('alerts-btn');
+const alertsPanel = document.getElementById('alerts-panel');
+const closeAlertsBtn = document.getElementById('close-alerts-btn');
+const alertDropThresholdInput = document.getElementById('alertDropThreshold');
+const alertMedianThresholdInput = document.getElementById('alertMedianThreshold');
+const alertLatestOnlyCheckbox = document.getElementById('alertLatestOnly');
+const alertsList = document.getElementById('alertsList');
+// Scouting Notes
+const notesBtn = document.getElementById('notes-btn');
+const notesPanel = document.getElementById('notes-panel');
+const closeNotesBtn = document.getElementById('close-notes-btn');
+const notesParcelFilterSelect = document.getElementById('notesParcelFilter');
+const notesCategoryFilterSelect = document.getElementById('notesCategoryFilter');
+const showNotesCheckbox = document.getElementById('showNotesCheckbox');
+const notesIncludePhotosCheckbox = document.getElementById('notesIncludePhotos');
+const notesCount = document.getElementById('notesCount');
+const notesList = document.getElementById('notesList');
+const exportNotesBtn = document.getElementById('exportNotesBtn');
+const noteFormPanel = document.getElementById('note-form-panel');
+const closeNoteFormBtn = document.getElementById('close-note-form-btn');
+const noteFormTitle = document.getElementById('noteFormTitle');
+const noteFormParcel = document.getElementById('noteFormParcel');
+const noteCategorySelect = document.getElementById('noteCategory');
+const noteDateInput = document.getElementById('noteDate');
+const noteTextInput = document.getElementById('noteText');
+const notePhotoInput = document.getElementById('notePhoto');
+const notePhotoPreview = document.getElementById('notePhotoPreview');
+const noteFormStatus = document.getElementById('noteFormStatus');
+const saveNoteBtn = document.getElementById('saveNoteBtn');
+const deleteNoteBtn = document.getElementById('deleteNoteBtn');
+const cancelNoteBtn = document.getElementById('cancelNoteBtn');
+const notePlacementBar = document.getElementById('note-placement-bar');
+const notePlacementHint = document.getElementById('notePlacementHint');
+const cancelNotePlacementBtn = document.getElementById('cancelNotePlacementBtn');
+const sliderNoteMarkers = document.getElementById('sliderNoteMarkers');
+// Parcel Boundary Editing
+const boundaryFormPanel = document.getElementById('boundary-form-panel');
+const closeBoundaryFormBtn = document.getElementById('close-boundary-form-btn');
+const boundaryFormTitle = document.getElementById('boundaryFormTitle');
+const boundaryFormInfo = document.getElementById('boundaryFormInfo');
+const boundaryParcelNrInput = document.getElementById('boundaryParcelNr');
+const boundaryVillageInput = document.getElementById('boundaryVillage');
+const boundaryVillageList = document.getElementById('boundaryVillageList');
+const boundaryNameInput = document.getElementById('boundaryName');
+const boundaryFarmIdInput = document.getElementById('boundaryFarmId');
+const boundaryCropFields = document.getElementById('boundaryCropFields');
+const boundaryAreaDecInput = document.getElementById('boundaryAreaDec');
+const useComputedAreaBtn = document.getElementById('useComputedAreaBtn');
+const boundaryFormStatus = document.getElementById('boundaryFormStatus');
+const saveBoundaryBtn = document.getElementById('saveBoundaryBtn');
+const deleteBoundaryBtn = document.getElementById('deleteBoundaryBtn');
+const cancelBoundaryBtn = document.getElementById('cancelBoundaryBtn');
+const boundariesPanel = document.getElementById('boundaries-panel');
+const closeBoundariesBtn = document.getElementById('close-boundaries-btn');
+const boundaryEditsList = document.getElementById('boundaryEditsList');
+const boundaryExportChangedOnlyCheckbox = document.getElementById('boundaryExportChangedOnly');
+const exportBoundariesKmlBtn = document.getElementById('exportBoundariesKmlBtn');
+const exportBoundariesGeoJsonBtn = document.getElementById('exportBoundariesGeoJsonBtn');
+// Farm View
+const farmsBtn = document.getElementById('farms-btn');
+const farmsPanel = document.getElementById('farms-panel');
+const closeFarmsBtn = document.getElementById('close-farms-btn');
+const farmsFilterInput = document.getElementById('farmsFilter');
+const farmsSummary = document.getElementById('farmsSummary');
+const farmsTableBody = document.querySelector('#farmsTable tbody');
+const farmDetailsDiv = document.getElementById('farmDetails');
+const farmDetailsContent = document.getElementById('farmDetailsContent');
+const zoomToFarmBtn = document.getElementById('zoomToFarmBtn');
+const clearFarmHighlightBtn = document.getElementById('clearFarmHighlightBtn');
+// Parcel Report
+const reportBtn = document.getElementById('report-btn');
+const reportPanel = document.getElementById('report-panel');
+const closeReportBtn = document.getElementById('close-report-btn');
+const reportSummary = document.getElementById('reportSummary');
+const reportLogoInput = document.getElementById('reportLogo');
+const reportLogoPreview = document.getElementById('reportLogoPreview');
+const removeReportLogoBtn = document.getElementById('removeReportLogoBtn');
+const reportNotesInput = document.getElementById('reportNotes');
+const reportNdviTableCheckbox = document.getElementById('reportNdviTable');
+const reportGridCheckbox = document.getElementById('reportGrid');
+const reportScoutingNotesCheckbox = document.getElementById('reportScoutingNotes');
+const generateReportBtn = document.getElementById('generateReportBtn');
+const reportStatus = document.getElementById('reportStatus');
+// Layer Health Check
+const layerCheckBtn = document.getElementById('layer-check-btn');
+const layerCheckPanel = document.getElementById('layer-check-panel');
+const closeLayerCheckBtn = document.getElementById('close-layer-check-btn');
+const layerCheckSummary = document.getElementById('layerCheckSummary');
+const layerCheckScopeSelect = document.getElementById('layerCheckScope');
+const layerCheckProblemsOnlyCheckbox = document.getElementById('layerCheckProblemsOnly');
+const layerCheckTableBody = document.querySelector('#layerCheckTable tbody');
+const runLayerCheckBtn = document.getElementById('runLayerCheckBtn');
+const cancelLayerCheckBtn = document.getElementById('cancelLayerCheckBtn');
+const layerCheckStatus = document.getElementById('layerCheckStatus');
+const sliderHealthMarkers = document.getElementById('sliderHealthMarkers');
+// Crop Rotation
+const rotationBtn = document.getElementById('rotation-btn');
+const rotationPanel = document.getElementById('rotation-panel');
+const closeRotationBtn = document.getElementById('close-rotation-btn');
+const rotationSummary = document.getElementById('rotationSummary');
+const rotationVillageSelect = document.getElementById('rotationVillage');
+const rotationProblemsOnlyCheckbox = document.getElementById('rotationProblemsOnly');
+const rotationTable = document.getElementById('rotationTable');
+const rotationRulesBody = document.querySelector('#rotationRulesTable tbody');
+const addRotationRuleBtn = document.getElementById('addRotationRuleBtn');
+const resetRotationRulesBtn = document.getElementById('resetRotationRulesBtn');
+// Management Zones
+const zonesButton = document.getElementById('zones-button');
+const zonesPanel = document.getElementById('zones-panel');
+const closeZonesBtn = document.getElementById('close-zones-btn');
+const zonesSummary = document.getElementById('zonesSummary');
+const zonesCountInput = document.getElementById('zonesCount');
+const zonesMethodSelect = document.getElementById('zonesMethod');
+const zonesSmoothCheckbox = document.getElementById('zonesSmooth');
+const zonesSmoothPassesInput = document.getElementById('zonesSmoothPasses');
+const zonesMergeCheckbox = document.getElementById('zonesMerge');
+const zonesProductInput = document.getElementById('zonesProduct');
+const zonesUnitSelect = document.getElementById('zonesUnit');
+const zonesTableBody = document.querySelector('#zonesTable tbody');
+const zonesTotal = document.getElementById('zonesTotal');
+const exportZonesGeoJsonBtn = document.getElementById('exportZonesGeoJsonBtn');
+const exportZonesShapefileBtn = document.getElementById('exportZonesShapefileBtn');
+const exportZonesIsoXmlBtn = document.getElementById('exportZonesIsoXmlBtn');
+// Parcel Dashboard
+const dashboardBtn = document.getElementById('dashboard-btn');
+const dashboardPanel = document.getElementById('dashboard-panel');
+const closeDashboardBtn = document.getElementById('close-dashboard-btn');
+const dashboardFilterInput = document.getElementById('dashboardFilter');
+const dashboardLocationSelect = document.getElementById('dashboardLocation');
+const dashboardImageryOnlyCheckbox = document.getElementById('dashboardImageryOnly');
+const dashboardTableBody = document.querySelector('#dashboardTable tbody');
+const dashboardTableHeaders = document.querySelectorAll('#dashboardTable th[data-sort-key]');
+const dashboardCount = document.getElementById('dashboardCount');
+// NDVI CSV Import Report
+const csvReportBtn = document.getElementById('csv-report-btn');
+const csvReportPanel = document.getElementById('csv-report-panel');
+const csvReportSummary = document.getElementById('csvReportSummary');
+const csvReportTableBody = document.querySelector('#csvReportTable tbody');
+const downloadCsvReportBtn = document.getElementById('downloadCsvReportBtn');
+const closeCsvReportBtn = document.getElementById('close-csv-report-btn');
+// Offline Field Mode
+const offlineBtn = document.getElementById('offline-btn');
+const offlinePanel = document.getElementById('offline-panel');
+const closeOfflineBtn = document.getElementById('close-offline-btn');
+const offlineParcelList = document.getElementById('offlineParcelList');
+const offlineDateList = document.getElementById('offlineDateList');
+const offlineSelectCurrentBtn = document.getElementById('offlineSelectCurrentBtn');
+const offlineMinZoomInput = document.getElementById('offlineMinZoom');
+const offlineMaxZoomInput = document.getElementById('offlineMaxZoom');
+const offlineIncludeNdvi = document.getElementById('offlineIncludeNdvi');
+const offlineIncludeGrids = document.getElementById('offlineIncludeGrids');
+const offlineIncludeBaseMap = document.getElementById('offlineIncludeBaseMap');
+const offlineExpirySelect = document.getElementById('offlineExpirySelect');
+const offlineStorageUsage = document.getElementById('offlineStorageUsage');
+const offlineStoredList = document.getElementById('offlineStoredList');
+const offlineDownloadBtn = document.getElementById('offlineDownloadBtn');
+const offlineCancelBtn = document.getElementById('offlineCancelBtn');
+const offlineClearAllBtn = document.getElementById('offlineClearAllBtn');
+const offlineStatus = document.getElementById('offlineStatus');
+const offlineBanner = document.getElementById('offline-banner');
 // Form Input Fields (Grouped)
 const formElements = {
     id: document.getElementById('newParcelId'),
@@ -87,6 +494,7 @@ async function loadParcelData() {
             throw new Error(`HTTP error! status: ${response.status} fetching ${PARCELS_JSON_URL}`);
         }
         allParcelsData = await response.json();
+        fileParcelsData = JSON.parse(JSON.stringify(allParcelsData)); // Baseline for drafts/discard
         // Sort parcels for consistent display (e.g., in search, potentially layer control)
         allParcelsData.sort((a, b) => (a.location + a.name).localeCompare(b.location + b.name));
         console.log("Parcel data loaded successfully:", allParcelsData.length, "records");
@@ -100,7 +508,7 @@ async function loadParcelData() {
 
 /**
  * Loads and parses NDVI statistics from the CSV file using jQuery.ajax.
- * Populates the `ndviStatsData` object.
+ * Populates the `ndviStatsData` object and the `csvImportReport` (see `parseNdviCsv`).
  * Executes a callback function upon completion (success or error).
  * @param {function} callback - Function to call after attempting to load data.
  */
@@ -110,61 +518,289 @@ function loadCsvData(callback) {
         url: NDVI_CSV_URL + '?_=' + new Date().getTime(), // Cache bust
         dataType: 'text',
         success: function (data) {
-            ndviStatsData = {}; // Reset data
-            const lines = data.split('\n');
-            if (lines.length < 2 || !lines[0].trim()) {
-                console.warn('NDVI CSV file appears empty or lacks a header row.');
-                callback();
-                return;
-            }
+            const { stats, report } = parseNdviCsv(data);
+            ndviStatsData = stats;
+            csvImportReport = report;
+            updateCsvReportIndicator();
 
-            const headers = lines[0].trim().split(',');
-            // Basic validation: Expect at least PARCEL_NR, DATE, MEAN, MIN, MAX
-            if (headers.length < 5) {
-                 console.warn('NDVI CSV header seems incomplete. Expected at least 5 columns.');
-                 // Continue processing assuming standard columns 0-4
+            if (report.error) {
+                console.error(`NDVI CSV import failed: ${report.error}`);
+            } else {
+                console.log(`NDVI CSV Data Loaded: Parsed ${report.acceptedCount} valid records, rejected ${report.rejected.length}.`);
             }
-
-            let parsedCount = 0;
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (!line) continue; // Skip empty lines
-
-                const values = line.split(',');
-                if (values.length === headers.length) { // Ensure correct column count
-                    const kmlId = values[0].trim(); // Match JSON kmlId
-                    const date = values[1].trim(); // Match JSON layer date format (e.g., DD-MM-YYYY)
-                    const mean = parseFloat(values[2]);
-                    const min = parseFloat(values[3]);
-                    const max = parseFloat(values[4]);
-
-                    // Basic validation of parsed numbers
-                    if (kmlId && date && !isNaN(mean) && !isNaN(min) && !isNaN(max)) {
-                        if (!ndviStatsData[kmlId]) {
-                            ndviStatsData[kmlId] = {};
-                        }
-                        ndviStatsData[kmlId][date] = { mean, min, max };
-                        parsedCount++;
-                    } else {
-                        // console.warn(`Skipping invalid CSV line ${i + 1}: ${line}`);
-                    }
-                } else {
-                     // console.warn(`Skipping CSV line ${i + 1} due to column mismatch: expected ${headers.length}, got ${values.length}`);
-                }
+            if (report.rejected.length > 0) {
+                console.warn("NDVI CSV rows rejected:", report.rejected);
             }
-            console.log(`NDVI CSV Data Loaded: Parsed ${parsedCount} valid records.`);
-            // console.log("Parsed NDVI Data:", ndviStatsData); // Optional: Log the full data structure
             callback();
         },
         error: function (xhr, status, error) {
             console.error(`Error loading NDVI CSV data from ${NDVI_CSV_URL}:`, status, error);
             // Proceed even if CSV fails, but stats won't be available
-            alert(`Warning: Could not load NDVI statistics from ${NDVI_CSV_URL}. NDVI values will show N/A.`);
+            notifyUser(`Warning: Could not load NDVI statistics from ${NDVI_CSV_URL}. NDVI values will show N/A.`);
             callback();
         }
     });
 }
 
+// =====================================================================
+// NDVI CSV IMPORT
+// =====================================================================
+
+/**
+ * Picks the delimiter of a CSV file from its header line (comma, semicolon or tab).
+ * @param {string} headerLine - The first line of the file.
+ * @returns {string} The delimiter character.
+ */
+function detectCsvDelimiter(headerLine) {
+    const unquoted = headerLine.replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: unquoted.split(delimiter).length - 1 }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+/**
+ * Splits CSV text into records. Handles quoted fields (with "" escapes and line
+ * breaks inside quotes), CRLF line endings and a leading byte order mark.
+ * @param {string} text - The CSV file contents.
+ * @param {string} delimiter - The field delimiter.
+ * @returns {{line: number, values: string[], text: string}[]} Non-empty records with their 1-based line number.
+ */
+function splitCsvRecords(text, delimiter) {
+    const records = [];
+    const source = text.replace(/^\uFEFF/, '');
+    let values = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    let recordStart = 0;
+
+    const endRecord = (endIndex) => {
+        values.push(field);
+        const recordText = source.slice(recordStart, endIndex).replace(/\r$/, '');
+        if (values.length > 1 || values[0].trim() !== '') {
+            records.push({ line: recordLine, values, text: recordText });
+        }
+        values = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            values.push(field);
+            field = '';
+        } else if (char === '\n') {
+            endRecord(i);
+            line++;
+            recordLine = line;
+            recordStart = i + 1;
+        } else if (char !== '\r') {
+            field += char;
+        }
+    }
+    if (field !== '' || values.length > 0) {
+        endRecord(source.length);
+    }
+    return records;
+}
+
+/**
+ * Normalizes a CSV header for matching against NDVI_CSV_COLUMNS.
+ * @param {string} header - Raw header text.
+ * @returns {string} Lower-case header with "_" separators.
+ */
+function normalizeCsvHeader(header) {
+    return header.trim().toLowerCase().replace(/[\s\-.]+/g, '_');
+}
+
+/**
+ * Converts an acquisition date from the CSV to the DD-MM-YYYY layer key format.
+ * Accepts DD-MM-YYYY (also with "/" or "." separators) and ISO YYYY-MM-DD (optionally with a time).
+ * @param {string} value - Date text from the CSV.
+ * @returns {string | null} The DD-MM-YYYY date, or null if not a valid date.
+ */
+function parseCsvDate(value) {
+    const text = value.trim();
+    let day, month, year;
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+    if (match) {
+        [, year, month, day] = match;
+    } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+        [, day, month, year] = match;
+    } else {
+        return null;
+    }
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) {
+        return null; // e.g. 31-02-2025
+    }
+    return `${String(day).padStart(2, '0')}-${String(month).padStart(2, '0')}-${year}`;
+}
+
+/**
+ * Parses a numeric CSV field. A decimal comma is accepted (semicolon-delimited exports).
+ * @param {string} value - Field text.
+ * @returns {number} The number, or NaN if empty or not numeric.
+ */
+function parseCsvNumber(value) {
+    const text = (value ?? '').trim().replace(/^(-?\d+),(\d+)$/, '$1.$2');
+    return text === '' ? NaN : Number(text);
+}
+
+/**
+ * Parses the NDVI statistics CSV by header name and validates every row.
+ * @param {string} text - The CSV file contents.
+ * @returns {{stats: object, report: object}} `stats` in the `ndviStatsData` shape and
+ *          a report { delimiter, rowCount, acceptedCount, rejected: [{line, reason, text}],
+ *          missingColumns, ignoredColumns, error }.
+ */
+function parseNdviCsv(text) {
+    const stats = {};
+    const report = {
+        delimiter: ',', rowCount: 0, acceptedCount: 0, rejected: [],
+        missingColumns: [], ignoredColumns: [], error: null
+    };
+    const firstLine = text.replace(/^\uFEFF/, '').split('\n')[0] || '';
+    if (!firstLine.trim()) {
+        report.error = 'The file is empty or lacks a header row.';
+        return { stats, report };
+    }
+
+    report.delimiter = detectCsvDelimiter(firstLine);
+    const [headerRecord, ...rows] = splitCsvRecords(text, report.delimiter);
+    const headers = headerRecord.values.map(normalizeCsvHeader);
+
+    // Map each statistic to its column index by header name
+    const columns = {};
+    Object.entries(NDVI_CSV_COLUMNS).forEach(([key, aliases]) => {
+        const index = headers.findIndex(header => aliases.includes(header));
+        if (index > -1) columns[key] = index;
+    });
+    const mappedIndexes = new Set(Object.values(columns));
+    report.ignoredColumns = headerRecord.values.filter((header, index) => !mappedIndexes.has(index)).map(header => header.trim());
+    report.missingColumns = NDVI_CSV_REQUIRED_COLUMNS.filter(key => columns[key] === undefined).map(key => NDVI_CSV_COLUMNS[key][0].toUpperCase());
+    report.rowCount = rows.length;
+    if (report.missingColumns.length > 0) {
+        report.error = `Required column(s) not found in the header: ${report.missingColumns.join(', ')}.`;
+        return { stats, report };
+    }
+
+    const optionalKeys = ['std', 'median', 'pixelCount'].filter(key => columns[key] !== undefined);
+    const firstLineByKey = {};
+    rows.forEach(row => {
+        const reject = reason => report.rejected.push({ line: row.line, reason, text: row.text });
+        if (row.values.length !== headers.length) {
+            reject(`Expected ${headers.length} columns, found ${row.values.length}`);
+            return;
+        }
+        const field = key => row.values[columns[key]];
+
+        const kmlId = field('kmlId').trim();
+        if (!kmlId) {
+            reject('Missing parcel number');
+            return;
+        }
+        const date = parseCsvDate(field('date'));
+        if (!date) {
+            reject(`Unrecognised date "${field('date').trim()}" (expected DD-MM-YYYY or YYYY-MM-DD)`);
+            return;
+        }
+        const record = {};
+        for (const key of ['mean', 'min', 'max', ...optionalKeys]) {
+            const value = parseCsvNumber(field(key));
+            const required = NDVI_CSV_REQUIRED_COLUMNS.includes(key);
+            if (isNaN(value) && (required || field(key).trim() !== '')) {
+                reject(`${headerRecord.values[columns[key]].trim()} is not a number ("${field(key).trim()}")`);
+                return;
+            }
+            if (!isNaN(value)) record[key] = value;
+        }
+        if (record.min > record.max || record.mean < record.min || record.mean > record.max) {
+            reject(`Values out of order (min ${record.min}, mean ${record.mean}, max ${record.max})`);
+            return;
+        }
+        const key = `${kmlId}|${date}`;
+        if (firstLineByKey[key]) {
+            reject(`Duplicate of line ${firstLineByKey[key]} (parcel ${kmlId}, ${date})`);
+            return;
+        }
+        firstLineByKey[key] = row.line;
+
+        if (!stats[kmlId]) {
+            stats[kmlId] = {};
+        }
+        stats[kmlId][date] = record;
+        report.acceptedCount++;
+    });
+    return { stats, report };
+}
+
+/**
+ * Shows the CSV report button when the last import rejected rows or failed.
+ */
+function updateCsvReportIndicator() {
+    const report = csvImportReport;
+    if (!report || (!report.error && report.rejected.length === 0)) {
+        csvReportBtn.style.display = 'none';
+        return;
+    }
+    csvReportBtn.textContent = report.error
+        ? 'NDVI CSV: import failed'
+        : `NDVI CSV: ${report.rejected.length} row${report.rejected.length > 1 ? 's' : ''} rejected`;
+    csvReportBtn.style.display = 'block';
+}
+
+/**
+ * Opens the panel listing the rejected rows of the last NDVI CSV import.
+ */
+function openCsvReportPanel() {
+    const report = csvImportReport;
+    if (!report) return;
+    const delimiterName = { ',': 'comma', ';': 'semicolon', '\t': 'tab' }[report.delimiter];
+    csvReportSummary.textContent = report.error
+        ? `${report.error} No NDVI statistics were loaded from ${NDVI_CSV_URL}.`
+        : `${report.acceptedCount} of ${report.rowCount} rows loaded from ${NDVI_CSV_URL} (${delimiterName}-delimited). ` +
+          `${report.rejected.length} rejected.` +
+          (report.ignoredColumns.length ? ` Ignored columns: ${report.ignoredColumns.join(', ')}.` : '');
+
+    csvReportTableBody.innerHTML = '';
+    report.rejected.forEach(row => {
+        const tr = document.createElement('tr');
+        [row.line, row.reason, row.text].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        csvReportTableBody.appendChild(tr);
+    });
+    downloadCsvReportBtn.disabled = report.rejected.length === 0;
+    csvReportPanel.style.display = 'flex';
+}
+
+/**
+ * Downloads the rejected rows as a CSV file (line, reason, original row).
+ */
+function downloadCsvReport() {
+    const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+    const lines = ['LINE,REASON,ROW'].concat(
+        csvImportReport.rejected.map(row => [row.line, quote(row.reason), quote(row.text)].join(','))
+    );
+    downloadTextFile(lines.join('\n'), 'ndvi_csv_rejected_rows.csv', 'text/csv');
+}
+
 // =====================================================================
 // UTILITY FUNCTIONS
 // =====================================================================
@@ -194,6 +830,289 @@ function normalizeNDVI(value) {
     return  value ; // Using the original formula provided
 }
 
+/**
+ * Compares two date strings in DD-MM-YYYY format chronologically.
+ * Suitable for use as an `Array.prototype.sort` comparator.
+ * @param {string} a - First date (DD-MM-YYYY).
+ * @param {string} b - Second date (DD-MM-YYYY).
+ * @returns {number} Negative if a is earlier, positive if later, 0 if equal.
+ */
+function compareDdMmYyyyDates(a, b) {
+    const [dayA, monthA, yearA] = a.split('-').map(Number);
+    const [dayB, monthB, yearB] = b.split('-').map(Number);
+    return new Date(yearA, monthA - 1, dayA) - new Date(yearB, monthB - 1, dayB);
+}
+
+/**
+ * Returns the sorted image dates of a parcel (layer keys without the "-NDVI" suffix).
+ * @param {object} parcel - The parcel object from `allParcelsData`.
+ * @returns {string[]} Dates in DD-MM-YYYY format, oldest first.
+ */
+function getParcelImageDates(parcel) {
+    return Object.keys(parcel?.layers || {})
+        .filter(key => !key.endsWith("-NDVI"))
+        .sort(compareDdMmYyyyDates);
+}
+
+/**
+ * Looks up the tile URL template of a parcel for a given date.
+ * @param {object} parcel - The parcel object from `allParcelsData`.
+ * @param {string} date - The acquisition date (DD-MM-YYYY).
+ * @param {boolean} useNdvi - If true, returns the NDVI layer URL instead of RGB.
+ * @returns {string | null} The tile URL template or null if not configured.
+ */
+function getParcelLayerUrl(parcel, date, useNdvi) {
+    return parcel?.layers?.[date + (useNdvi ? '-NDVI' : '')] || null;
+}
+
+/**
+ * Summarizes the latest NDVI statistics of a parcel.
+ * @param {string} kmlId - The parcel's KML ID.
+ * @returns {{date: string, mean: number, previousDate: string | null, change: number | null} | null}
+ *          Mean of the latest CSV date and its change since the previous date, or null without statistics.
+ */
+function getLatestNdviSummary(kmlId) {
+    const statsByDate = ndviStatsData[kmlId] || {};
+    const dates = Object.keys(statsByDate).sort(compareDdMmYyyyDates);
+    if (dates.length === 0) return null;
+    const date = dates[dates.length - 1];
+    const previousDate = dates.length > 1 ? dates[dates.length - 2] : null;
+    return {
+        date,
+        mean: statsByDate[date].mean,
+        previousDate,
+        change: previousDate ? statsByDate[date].mean - statsByDate[previousDate].mean : null
+    };
+}
+
+/**
+ * Computes class breaks for a list of numeric values.
+ * @param {number[]} values - The values to classify (invalid numbers are ignored).
+ * @param {number} classCount - The requested number of classes.
+ * @param {'equal' | 'quantile' | 'jenks'} method - The classification method.
+ * @returns {number[]} Break values [min, b1, ..., max]. Length is classCount + 1,
+ *                     or less if there are fewer distinct values than classes.
+ */
+function computeClassBreaks(values, classCount, method) {
+    const sorted = values.filter(v => typeof v === 'number' && !isNaN(v)).sort((a, b) => a - b);
+    if (sorted.length === 0) return [];
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const distinctCount = new Set(sorted).size;
+    const k = Math.max(1, Math.min(classCount, distinctCount));
+    if (k === 1 || min === max) return [min, max];
+
+    let breaks;
+    if (method === 'quantile') {
+        breaks = [min];
+        for (let i = 1; i < k; i++) {
+            breaks.push(sorted[Math.ceil((i * sorted.length) / k) - 1]);
+        }
+        breaks.push(max);
+    } else if (method === 'jenks') {
+        breaks = computeJenksBreaks(sorted, k);
+    } else {
+        const step = (max - min) / k;
+        breaks = [min];
+        for (let i = 1; i < k; i++) breaks.push(min + step * i);
+        breaks.push(max);
+    }
+    // Drop duplicate breaks (quantiles of heavily repeated values). The first class
+    // may legitimately hold only the minimum, so breaks[1] === breaks[0] is kept.
+    return breaks.filter((b, i) => i <= 1 || b > breaks[i - 1]);
+}
+
+/**
+ * Jenks natural breaks optimisation (minimises within-class variance).
+ * @param {number[]} sorted - Values sorted ascending.
+ * @param {number} k - Number of classes (2 or more, not more than distinct values).
+ * @returns {number[]} Break values [min, b1, ..., max].
+ */
+function computeJenksBreaks(sorted, k) {
+    const n = sorted.length;
+    // lowerClassLimits[i][j]: index (1-based) of the first value of class j when the first i values form j classes
+    const lowerClassLimits = [];
+    const varianceCombinations = [];
+    for (let i = 0; i <= n; i++) {
+        lowerClassLimits.push(new Array(k + 1).fill(0));
+        varianceCombinations.push(new Array(k + 1).fill(i === 0 ? 0 : Infinity));
+    }
+    for (let j = 1; j <= k; j++) {
+        lowerClassLimits[1][j] = 1;
+        varianceCombinations[1][j] = 0;
+    }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0, sumSquares = 0, w = 0, variance = 0;
+        for (let m = 1; m <= l; m++) {
+            const lowerClassLimit = l - m + 1;
+            const value = sorted[lowerClassLimit - 1];
+            w++;
+            sum += value;
+            sumSquares += value * value;
+            variance = sumSquares - (sum * sum) / w;
+            const i4 = lowerClassLimit - 1;
+            if (i4 !== 0) {
+                for (let j = 2; j <= k; j++) {
+                    if (varianceCombinations[l][j] >= variance + varianceCombinations[i4][j - 1]) {
+                        lowerClassLimits[l][j] = lowerClassLimit;
+                        varianceCombinations[l][j] = variance + varianceCombinations[i4][j - 1];
+                    }
+                }
+            }
+        }
+        lowerClassLimits[l][1] = 1;
+        varianceCombinations[l][1] = variance;
+    }
+
+    const breaks = new Array(k + 1);
+    breaks[k] = sorted[n - 1];
+    breaks[0] = sorted[0];
+    let countNum = k;
+    let kIndex = n;
+    while (countNum > 1) {
+        const lowerIndex = lowerClassLimits[kIndex][countNum] - 1;
+        breaks[countNum - 1] = sorted[lowerIndex - 1]; // Upper bound of the previous class
+        kIndex = lowerIndex;
+        countNum--;
+    }
+    return breaks;
+}
+
+/**
+ * Finds the class a value falls into.
+ * @param {number} value - The value to classify.
+ * @param {number[]} breaks - Break values as returned by `computeClassBreaks`.
+ * @returns {number} Class index (0-based), or -1 if the value or breaks are invalid.
+ */
+function getClassIndex(value, breaks) {
+    if (typeof value !== 'number' || isNaN(value) || !breaks || breaks.length < 2) return -1;
+    for (let i = 1; i < breaks.length; i++) {
+        if (value <= breaks[i]) return i - 1;
+    }
+    return breaks.length - 2; // Above max (rounding) -> top class
+}
+
+/**
+ * Samples a colour ramp into a fixed number of colours.
+ * @param {string} rampName - Key of `COLOR_RAMPS`.
+ * @param {number} count - Number of colours needed.
+ * @returns {string[]} Hex colours from low to high.
+ */
+function getRampColors(rampName, count) {
+    const stops = COLOR_RAMPS[rampName] || COLOR_RAMPS[DEFAULT_GRID_RAMP];
+    if (count <= 1) return [stops[stops.length - 1]];
+    const toRgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+        const position = (i / (count - 1)) * (stops.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, stops.length - 1);
+        const t = position - lower;
+        const a = toRgb(stops[lower]);
+        const b = toRgb(stops[upper]);
+        const rgb = a.map((c, idx) => Math.round(c + (b[idx] - c) * t));
+        colors.push('#' + rgb.map(c => c.toString(16).padStart(2, '0')).join(''));
+    }
+    return colors;
+}
+
+/**
+ * Escapes text for safe insertion into HTML strings.
+ * @param {any} text - The text to escape.
+ * @returns {string} HTML-escaped text.
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Normalizes text for matching: lower case, diacritics removed (ă â î ș ț), single spaces.
+ * @param {any} text - The text.
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Shows a message to the user. While the browser is offline the messages are
+ * collected in the offline banner instead of raising one alert() per failed request.
+ * @param {string} message - The message text.
+ */
+function notifyUser(message) {
+    if (navigator.onLine !== false) {
+        alert(message);
+        return;
+    }
+    console.warn("[OFFLINE]", message);
+    if (!offlineMessages.includes(message)) {
+        offlineMessages.push(message);
+    }
+    updateOfflineBanner();
+}
+
+/**
+ * Formats a byte count for display (e.g., "12.3 MB").
+ * @param {number} bytes - Size in bytes.
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Computes the geodesic area of a ring on the WGS84 sphere.
+ * @param {L.LatLng[]} latLngs - Ring vertices (closing vertex optional).
+ * @returns {number} Area in m².
+ */
+function computeGeodesicArea(latLngs) {
+    const earthRadius = 6378137;
+    const toRadians = Math.PI / 180;
+    let area = 0;
+    for (let i = 0; i < latLngs.length; i++) {
+        const p1 = latLngs[i];
+        const p2 = latLngs[(i + 1) % latLngs.length];
+        area += (p2.lng - p1.lng) * toRadians * (2 + Math.sin(p1.lat * toRadians) + Math.sin(p2.lat * toRadians));
+    }
+    return Math.abs(area * earthRadius * earthRadius / 2);
+}
+
+/**
+ * Offers text content as a file download.
+ * @param {string} content - File contents.
+ * @param {string} fileName - Suggested file name.
+ * @param {string} mimeType - MIME type of the file.
+ */
+function downloadTextFile(content, fileName, mimeType) {
+    downloadBlob(new Blob([content], { type: mimeType }), fileName);
+}
+
+/**
+ * Offers a Blob as a file download.
+ * @param {Blob} blob - File contents.
+ * @param {string} fileName - Suggested file name.
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 /** Disables map scroll wheel zoom (used for layer control hover). */
 function disableMapScrollZoom() { map.scrollWheelZoom.disable(); }
 /** Enables map scroll wheel zoom (used for layer control mouseout). */
@@ -205,134 +1124,308 @@ function enableMapScrollZoom() { map.scrollWheelZoom.enable(); }
 // =====================================================================
 
 /**
- * Loads and displays KML features for a specific village.
- * Filters features based on the VILLAGE property.
- * Styles features based on whether corresponding data exists in `allParcelsData`.
- * Sets up popups and click handlers for each KML feature.
- * @param {string} villageName - The name of the village (must match KML VILLAGE property).
+ * Returns the Leaflet path style for a KML parcel feature.
+ * With the coverage theme: blue if the parcel has image layers in the JSON, red otherwise.
+ * Other themes fill the parcel with its theme colour (left unfilled on the selected
+ * parcel so its imagery stays visible). Orange outline for NDVI alerts and
+ * dashed outline if the parcel has an unsaved draft, in every theme.
+ * @param {object} feature - The GeoJSON feature from the KML.
+ * @returns {object} Leaflet path options.
  */
-function loadKmlLayer(villageName) {
-    // Avoid reloading if already loaded and on map
-    if (kmlLayers[villageName] && map.hasLayer(kmlLayers[villageName])) {
-        console.log(`KML layer for "${villageName}" is already loaded and visible.`);
-        return;
-    }
-    // Clear any stale reference if the layer was removed previously
-    if (kmlLayers[villageName]) {
-        console.log(`Clearing stale KML layer reference for "${villageName}".`);
-        kmlLayers[villageName] = null;
+function getParcelStyle(feature) {
+    const parcelData = findParcelByKmlId(feature.properties?.PARCEL_NR);
+    // Style differently if data & layers exist in JSON
+    const hasDataAndLayers = parcelData?.layers && Object.keys(parcelData.layers).length > 0;
+    const hasDraft = parcelData ? draftParcelIds.has(parcelData.id) : false;
+    const hasAlert = Boolean(ndviAlertsByKmlId[String(feature.properties?.PARCEL_NR ?? '').trim()]);
+    const themeScale = getParcelThemeScale();
+    if (themeScale) {
+        const themeColor = themeScale.getColor(feature);
+        const isSelected = Boolean(parcelData && currentParcel?.id === parcelData.id);
+        return {
+            color: hasAlert ? '#ff6f00' : (isSelected ? '#000' : '#555'),
+            weight: hasAlert ? 4 : (isSelected ? 3 : 1),
+            fillColor: themeColor || '#ffffff',
+            fillOpacity: isSelected ? 0 : (themeColor ? 0.6 : 0.15),
+            dashArray: hasDraft ? '6, 4' : null
+        };
     }
-
-    console.log(`Attempting to load KML for village: "${villageName}" from ${KML_LAYER_URL}`);
-    const kmlLayerInstance = omnivore.kml(KML_LAYER_URL, null, L.geoJson(null, {
-        // Filter KML features to only show those matching the requested village
-        filter: function(feature) {
-            return feature.properties && feature.properties.VILLAGE === villageName;
-        },
-        // Style KML features
-        style: function(feature) {
-            const parcelNr = feature.properties?.PARCEL_NR; // Use optional chaining
-            const parcelData = findParcelByKmlId(parcelNr);
-            // Style differently if data & layers exist in JSON
-            const hasDataAndLayers = parcelData?.layers && Object.keys(parcelData.layers).length > 0;
-            return {
-                color: hasDataAndLayers ? 'blue' : 'red', // Blue if data/layers exist, Red otherwise
-                weight: 2,
-                fillOpacity: 0 // No fill for boundary polygons
-            };
-        }
-    }))
-    .on('ready', function() {
-        console.log(`KML features loaded successfully for "${villageName}". Processing features...`);
-        let featureCount = 0;
-        const villageLayerGroup = L.layerGroup(); // Use a layer group to hold features for this village
-
-        this.eachLayer(function(featureLayer) {
-            featureCount++;
-            if (featureLayer.feature?.properties) {
-                setupKmlFeature(featureLayer, villageName); // Delegate feature setup
-                villageLayerGroup.addLayer(featureLayer); // Add to the village-specific group
-            }
-        });
-
-        if (featureCount === 0) {
-            console.warn(`No KML features found with VILLAGE = "${villageName}" in the KML file.`);
-            // Optionally remove the placeholder layer if it's empty
-            if (layerControl) {
-                 // How to remove the placeholder from GroupedLayers? This might be tricky.
-                 // For now, it will just be an empty group in the control.
-            }
-        } else {
-            console.log(`Added ${featureCount} KML features for "${villageName}".`);
-            kmlLayers[villageName] = villageLayerGroup; // Store the group
-            if (!map.hasLayer(villageLayerGroup)) {
-                map.addLayer(villageLayerGroup); // Add the whole group to the map
-            }
-            // Ensure layer control reflects the loaded layer (might need explicit update if using GroupedLayers)
-             if (layerControl && layerControl.addOverlay) {
-                // This might add it again if GroupedLayers doesn't handle this well. Test needed.
-                // layerControl.addOverlay(villageLayerGroup, villageName);
-            }
-        }
-    })
-    .on('error', function(error) {
-        console.error(`Error loading or processing KML for "${villageName}":`, error);
-        alert(`Failed to load map features for ${villageName}. Please check the KML source and console.`);
-        kmlLayers[villageName] = null; // Clear reference on error
-    });
+    return {
+        // Orange for NDVI alerts, else blue if data/layers exist, red otherwise
+        color: hasAlert ? '#ff6f00' : (hasDataAndLayers ? 'blue' : 'red'),
+        weight: hasAlert ? 4 : 2,
+        fillOpacity: 0, // No fill for boundary polygons
+        dashArray: hasDraft ? '6, 4' : null // Dashed while the edit is only a draft
+    };
 }
 
 /**
- * Sets up popup, tooltip, and click handler for a single KML feature layer.
- * @param {L.Layer} featureLayer - The Leaflet layer representing the KML feature.
- * @param {string} villageName - The village this feature belongs to.
+ * Builds the popup HTML for a KML parcel feature.
+ * @param {object} props - The KML feature properties.
+ * @returns {string} Popup HTML.
  */
-function setupKmlFeature(featureLayer, villageName) {
-    const props = featureLayer.feature.properties;
+function buildParcelPopupContent(props) {
     const parcelNr = props.PARCEL_NR; // This is the KML ID
     const parcelData = findParcelByKmlId(parcelNr); // Find corresponding JSON data
 
-    // --- Popup Content ---
     let popupContent = `<b>PARCEL_NR (KML ID):</b> ${parcelNr}<br>`;
     if (parcelData) {
         popupContent += `<b>Name:</b> ${parcelData.name || '(N/A)'}<br>`;
         popupContent += `<b>Location:</b> ${parcelData.location || '(N/A)'}<br>`;
+        if (draftParcelIds.has(parcelData.id)) {
+            popupContent += `<i style='color:orange;'>(Unsaved draft - export to keep)</i><br>`;
+        }
+        const parcelAlerts = ndviAlertsByKmlId[String(parcelNr).trim()] || [];
+        if (parcelAlerts.length > 0) {
+            popupContent += `<b style='color:#e65100;'>NDVI alert (${parcelAlerts[0].date}):</b> ${escapeHtml(parcelAlerts[0].message)}<br>`;
+        }
         // Add other relevant JSON data if needed
     } else {
         popupContent += `<i style='color:red;'>(No matching data found in JSON)</i><br>`;
     }
     // Add other KML properties
     popupContent += `<b>FARM_ID:</b> ${props.FARM_ID || 'N/A'}<br>`;
-    popupContent += `<b>Crop 2024:</b> ${props.CROP_NAME2024 || 'N/A'}<br>`;
-    popupContent += `<b>Crop 2025:</b> ${props.CROP_NAME2025 || 'N/A'}<br>`;
-    popupContent += `<b>Area (dec.):</b> ${props.AREA_DEC || 'N/A'}<br>`;
+    const cropHistory = getCropHistory(props);
+    popupContent += `<b>Crops:</b> ${cropHistory.length > 0 ? cropHistory.map(entry => `${entry.year}: ${escapeHtml(entry.crop)}`).join(' &rarr; ') : 'N/A'}<br>`;
+    checkCropRotation(cropHistory, getCropRotationRules()).forEach(issue => {
+        popupContent += `<span class="popup-rotation-issue">Rotation: ${escapeHtml(issue.message)}</span><br>`;
+    });
+    popupContent += `<b>Area (dec.):</b> ${props.AREA_DEC || 'N/A'} <button type="button" class="check-area-btn">Check Area</button><br>`;
+    popupContent += `<div class="area-check-result"></div>`;
+    const parcelNotes = getParcelNotes(parcelNr, props.VILLAGE);
+    if (parcelNotes.length > 0) {
+        popupContent += `<b>Scouting notes (${parcelNotes.length}):</b><ul class="popup-note-list">`;
+        parcelNotes.slice(0, 3).forEach(note => {
+            const category = SCOUTING_CATEGORIES[note.category] || SCOUTING_CATEGORIES.other;
+            popupContent += `<li><span style="color:${category.color};">${category.label}</span> ${note.date}: ${escapeHtml(note.text || '(photo)')}</li>`;
+        });
+        popupContent += `</ul>`;
+    }
     popupContent += `<button type="button" class="edit-parcel-btn" data-kmlid="${parcelNr}">Edit/Add Parcel Data</button>`;
-    featureLayer.bindPopup(popupContent);
+    popupContent += ` <button type="button" class="add-note-btn">Add Scouting Note</button>`;
+    popupContent += ` <button type="button" class="edit-boundary-btn">Edit Boundary</button>`;
+    return popupContent;
+}
 
-    // --- Tooltip ---
-    // Use KML name if available, otherwise default
-    const tooltipText = props.name || `Parcel ${parcelNr}`;
-    featureLayer.bindTooltip(tooltipText, { permanent: false, direction: "top" });
+/**
+ * Re-applies the styles of all loaded KML features (theme change, selection change).
+ */
+function restyleKmlFeatures() {
+    Object.values(kmlLayers).forEach(villageLayer => {
+        villageLayer?.eachLayer(l => {
+            if (l.feature?.properties && l.setStyle) l.setStyle(getParcelStyle(l.feature));
+        });
+    });
+}
 
-    // --- Click Handler ---
-    featureLayer.on('click', function(e) {
-        L.DomEvent.stopPropagation(e); // Prevent map click event
-        const clickedFeatureLayer = e.target;
-        const clickedProps = clickedFeatureLayer.feature.properties;
-        const clickedParcelNr = clickedProps.PARCEL_NR;
-        console.log(`--- KML Feature Clicked ---`);
-        console.log(`   Parcel KML ID: ${clickedParcelNr}`);
-        console.log(`   Village: ${villageName}`);
+/**
+ * Re-applies styles and popups to all loaded KML features.
+ * Used after parcel data changes (form save, draft discard).
+ */
+function refreshKmlFeatures() {
+    restyleKmlFeatures();
+    Object.entries(kmlLayers).forEach(([villageName, villageLayer]) => {
+        if (!villageLayer) return;
+        villageLayer.eachLayer(l => {
+            if (!l.feature?.properties) return;
+            try {
+                l.bindPopup(buildParcelPopupContent(l.feature.properties));
+            } catch (popupError) {
+                console.error(`[KML] Error re-binding popup for KML ID ${l.feature.properties.PARCEL_NR} in ${villageName}:`, popupError);
+            }
+        });
+    });
+}
 
-        const clickedParcelData = findParcelByKmlId(clickedParcelNr);
+/**
+ * Downloads and parses KML_LAYER_URL once and indexes its features by village
+ * and by PARCEL_NR, with the boundaries drawn or edited in the browser applied.
+ * Concurrent callers share the same load; a failed load is retried on the next call.
+ * @returns {Promise<{features: object[], byVillage: Object<string, object[]>, byParcelNr: Object<string, object[]>} | null>}
+ *          The index of GeoJSON features, or null if the KML could not be loaded.
+ */
+function loadKmlIndex() {
+    if (kmlIndexPromise) return kmlIndexPromise;
+
+    console.log(`Loading and indexing KML features from ${KML_LAYER_URL}`);
+    kmlIndexPromise = new Promise(resolve => {
+        omnivore.kml(KML_LAYER_URL)
+            .on('ready', function() {
+                const features = [];
+                this.eachLayer(function(layer) {
+                    if (layer.feature?.properties) features.push(layer.feature);
+                });
+                kmlFileFeatures = features;
+                loadBoundaryEdits().then(() => {
+                    kmlIndex = buildKmlIndex();
+                    console.log(`KML indexed: ${kmlIndex.features.length} features in ${Object.keys(kmlIndex.byVillage).length} villages.`);
+                    resolve(kmlIndex);
+                });
+            })
+            .on('error', function(error) {
+                console.error(`Error loading or parsing KML from ${KML_LAYER_URL}:`, error);
+                kmlIndexPromise = null; // Allow a retry (e.g. once the connection is back)
+                resolve(null);
+            });
+    });
+    return kmlIndexPromise;
+}
 
-        // Remove previous permanent label if it exists
-        if (currentParcelLabel) {
-            map.removeLayer(currentParcelLabel);
-            currentParcelLabel = null;
+/**
+ * Indexes the KML file features with the stored boundary edits applied: edited
+ * features replace their original, deleted ones are left out and new ones are added.
+ * @returns {{features: object[], byVillage: Object<string, object[]>, byParcelNr: Object<string, object[]>}}
+ */
+function buildKmlIndex() {
+    const editsBySourceKey = {};
+    const newFeatures = [];
+    Object.values(boundaryEdits).forEach(edit => {
+        if (edit.sourceKey) editsBySourceKey[edit.sourceKey] = edit;
+        else if (edit.feature) newFeatures.push(edit.feature);
+    });
+
+    const index = { features: [], byVillage: {}, byParcelNr: {} };
+    kmlFileFeatures.forEach(feature => {
+        const edit = editsBySourceKey[getKmlFeatureKey(feature)];
+        if (!edit) index.features.push(feature);
+        else if (edit.feature) index.features.push(edit.feature);
+    });
+    index.features.push(...newFeatures);
+
+    index.features.forEach(feature => {
+        const props = feature.properties;
+        if (props.VILLAGE) {
+            (index.byVillage[props.VILLAGE] = index.byVillage[props.VILLAGE] || []).push(feature);
         }
+        const parcelNr = String(props.PARCEL_NR ?? '').trim();
+        if (parcelNr) {
+            (index.byParcelNr[parcelNr] = index.byParcelNr[parcelNr] || []).push(feature);
+        }
+    });
+    return index;
+}
 
-        // Case 1: Clicked the *same* parcel that is currently active
+/**
+ * Returns the key identifying a KML feature: "VILLAGE|PARCEL_NR".
+ * @param {object} feature - The GeoJSON feature.
+ * @returns {string}
+ */
+function getKmlFeatureKey(feature) {
+    return `${String(feature.properties?.VILLAGE ?? '').trim()}|${String(feature.properties?.PARCEL_NR ?? '').trim()}`;
+}
+
+/**
+ * Looks up a parcel's GeoJSON feature in the KML index.
+ * @param {string} kmlId - The PARCEL_NR to find.
+ * @param {string} [villageName] - Prefer the feature in this village if the number is reused.
+ * @returns {object | null} The GeoJSON feature, or null if not indexed (or the index is not loaded yet).
+ */
+function getIndexedKmlFeature(kmlId, villageName) {
+    const features = kmlIndex?.byParcelNr[String(kmlId).trim()] || [];
+    return features.find(f => f.properties.VILLAGE === villageName) || features[0] || null;
+}
+
+/**
+ * Displays the KML features of a village, served from the KML index.
+ * Styles features based on whether corresponding data exists in `allParcelsData`.
+ * Sets up popups and click handlers for each KML feature. A village that was
+ * shown before is re-added without rebuilding its layers.
+ * @param {string} villageName - The name of the village (must match KML VILLAGE property).
+ * @returns {Promise<L.LayerGroup | null>} Resolves with the village layer group once loaded (null on failure).
+ */
+function loadKmlLayer(villageName) {
+    // Avoid reloading if already loaded and on map
+    if (kmlLayers[villageName] && map.hasLayer(kmlLayers[villageName])) {
+        console.log(`KML layer for "${villageName}" is already loaded and visible.`);
+        return Promise.resolve(kmlLayers[villageName]);
+    }
+    // Share a load that is already in progress (e.g. layer control + deep link restore)
+    if (kmlLoadPromises[villageName]) {
+        return kmlLoadPromises[villageName];
+    }
+    // Re-show a group built earlier (styles and popups are kept current by refreshKmlFeatures)
+    if (kmlLayers[villageName]) {
+        console.log(`Re-adding KML layer for "${villageName}".`);
+        map.addLayer(kmlLayers[villageName]);
+        scheduleUrlStateUpdate();
+        return Promise.resolve(kmlLayers[villageName]);
+    }
+
+    kmlLoadPromises[villageName] = loadKmlIndex().then(index => {
+        if (!index) {
+            notifyUser(`Failed to load map features for ${villageName}. Please check the KML source and console.`);
+            return null;
+        }
+        const features = index.byVillage[villageName] || [];
+        if (features.length === 0) {
+            console.warn(`No KML features found with VILLAGE = "${villageName}" in the KML file.`);
+            return null;
+        }
+
+        const villageLayerGroup = L.layerGroup(); // Use a layer group to hold features for this village
+        L.geoJson(features, { style: getParcelStyle }).eachLayer(function(featureLayer) {
+            setupKmlFeature(featureLayer, villageName); // Delegate feature setup
+            villageLayerGroup.addLayer(featureLayer);
+        });
+        console.log(`Added ${features.length} KML features for "${villageName}".`);
+        kmlLayers[villageName] = villageLayerGroup; // Store the group
+        // Skip showing it if the village was unticked while the KML was loading
+        const placeholder = villageControlLayers[villageName];
+        if (!placeholder || map.hasLayer(placeholder)) {
+            map.addLayer(villageLayerGroup);
+        }
+        scheduleUrlStateUpdate(); // The visible villages are part of the shareable state
+        return villageLayerGroup;
+    }).finally(() => {
+        delete kmlLoadPromises[villageName];
+    });
+    return kmlLoadPromises[villageName];
+}
+
+/**
+ * Sets up popup, tooltip, and click handler for a single KML feature layer.
+ * @param {L.Layer} featureLayer - The Leaflet layer representing the KML feature.
+ * @param {string} villageName - The village this feature belongs to.
+ */
+function setupKmlFeature(featureLayer, villageName) {
+    const props = featureLayer.feature.properties;
+    const parcelNr = props.PARCEL_NR; // This is the KML ID
+
+    // --- Popup Content ---
+    featureLayer.bindPopup(buildParcelPopupContent(props));
+
+    // --- Tooltip ---
+    // Use KML name if available, otherwise default
+    const tooltipText = props.name || `Parcel ${parcelNr}`;
+    featureLayer.bindTooltip(tooltipText, { permanent: false, direction: "top" });
+
+    // --- Click Handler ---
+    featureLayer.on('click', function(e) {
+        L.DomEvent.stopPropagation(e); // Prevent map click event
+        // While a scouting note is being placed, a measurement drawn or NDVI inspected, the click only adds a point
+        if (notePlacement || measuring || inspectMode || boundaryEditSession) {
+            map.closePopup();
+            if (notePlacement) placeNoteAt(e.latlng);
+            else if (measuring) addMeasurePoint(e.latlng);
+            else if (inspectMode) handleInspectClick(e.latlng);
+            return;
+        }
+        const clickedFeatureLayer = e.target;
+        const clickedProps = clickedFeatureLayer.feature.properties;
+        const clickedParcelNr = clickedProps.PARCEL_NR;
+        console.log(`--- KML Feature Clicked ---`);
+        console.log(`   Parcel KML ID: ${clickedParcelNr}`);
+        console.log(`   Village: ${villageName}`);
+
+        const clickedParcelData = findParcelByKmlId(clickedParcelNr);
+
+        // Remove previous permanent label if it exists
+        if (currentParcelLabel) {
+            map.removeLayer(currentParcelLabel);
+            currentParcelLabel = null;
+        }
+
+        // Case 1: Clicked the *same* parcel that is currently active
         if (currentParcel === clickedParcelData && clickedParcelData !== null) {
             console.log(`   Clicked the currently active parcel (${currentParcel?.id}). Clearing selection.`);
             clearParcelSelection();
@@ -343,14 +1436,12 @@ function setupKmlFeature(featureLayer, villageName) {
         else if (clickedParcelData?.layers && Object.keys(clickedParcelData.layers).length > 0) {
             console.log(`   Processing NEW valid parcel selection: ID=${clickedParcelData.id}, KML_ID=${clickedParcelNr}`);
 
-            // Clear previous tile layer if any
-            if (activeTileLayer) {
-                map.removeLayer(activeTileLayer);
-                activeTileLayer = null;
-            }
+            // Clear previous tile layers if any
+            removeActiveTileLayers();
 
             // Set the new current parcel
             currentParcel = clickedParcelData;
+            restyleKmlFeatures(); // Themes leave the selected parcel unfilled
 
             // Extract and sort available dates (only base dates, not NDVI keys)
             availableDates = Object.keys(currentParcel.layers)
@@ -370,6 +1461,8 @@ function setupKmlFeature(featureLayer, villageName) {
                 // Update NDVI display and Grid based on checkboxes
                 updateNdviValuesDisplay();
                 displayGridOnCheckbox();
+                updateNdviChart(); // Plot the full NDVI time series for this parcel
+                if (compareModeActive) refreshCompareMode(); // Swap compare layers to the new parcel
 
                 // Show slider only if multiple dates exist
                 sliderContainer.style.display = (availableDates.length > 1) ? 'flex' : 'none';
@@ -422,14 +1515,115 @@ function handleOverlayRemove(e) {
         map.removeLayer(kmlLayers[villageName]);
         console.log(`   Removed KML layer for "${villageName}" from map.`);
     }
-    // We might still keep the reference in kmlLayers unless we are sure it won't be added again
-    // kmlLayers[villageName] = null; // Clear the reference
+    // Keep the reference in kmlLayers so re-enabling the village is instant
 
     // If the currently selected parcel belongs to the removed village, clear the selection
     if (currentParcel && currentParcel.location === villageName) {
         console.log(`   Clearing current parcel selection as its village layer was removed.`);
         clearParcelSelection();
     }
+    scheduleUrlStateUpdate();
+}
+
+/**
+ * Turns on a village layer as if its checkbox was ticked in the layer control.
+ * @param {string} villageName - The village to enable.
+ * @returns {Promise<L.LayerGroup | null>} Resolves with the loaded village layer group.
+ */
+function enableVillageLayer(villageName) {
+    const placeholder = villageControlLayers[villageName];
+    if (placeholder && !map.hasLayer(placeholder)) {
+        console.log(`Enabling village layer "${villageName}" through the layer control.`);
+        map.addLayer(placeholder); // Fires 'overlayadd' -> handleOverlayAdd -> loadKmlLayer
+    }
+    return loadKmlLayer(villageName);
+}
+
+/**
+ * Finds the KML feature layer of a parcel among the loaded village layers.
+ * @param {string} kmlId - The PARCEL_NR to find.
+ * @param {string} [villageName] - Limit the search to this village.
+ * @returns {L.Layer | null} The feature layer or null if not loaded.
+ */
+function findKmlFeatureLayer(kmlId, villageName) {
+    const searchId = String(kmlId).trim();
+    const villages = villageName ? [villageName] : Object.keys(kmlLayers);
+    let foundLayer = null;
+    villages.forEach(village => {
+        if (foundLayer || !kmlLayers[village]) return;
+        kmlLayers[village].eachLayer(layer => {
+            if (!foundLayer && String(layer.feature?.properties?.PARCEL_NR).trim() === searchId) {
+                foundLayer = layer;
+            }
+        });
+    });
+    return foundLayer;
+}
+
+/**
+ * Enables the parcel's village layer, selects the parcel and optionally moves
+ * the slider to a date. Does nothing to an already selected parcel except the date change.
+ * @param {string} kmlId - The parcel's KML ID (PARCEL_NR).
+ * @param {string} [date] - Date (DD-MM-YYYY) to show.
+ * @param {string} [villageName] - Village to load; defaults to the parcel's location in the JSON.
+ * @returns {Promise<boolean>} True if the parcel's feature was found on the map.
+ */
+async function selectParcelByKmlId(kmlId, date, villageName) {
+    const parcelData = findParcelByKmlId(kmlId);
+    const village = villageName || parcelData?.location;
+    if (!village) {
+        console.warn(`Cannot select parcel ${kmlId}: its village is unknown.`);
+        return false;
+    }
+    await enableVillageLayer(village);
+    const featureLayer = findKmlFeatureLayer(kmlId, village);
+    if (!featureLayer) {
+        console.warn(`Parcel ${kmlId} was not found in the "${village}" KML layer.`);
+        return false;
+    }
+
+    if (!parcelData || currentParcel !== parcelData) {
+        // The fired click has no position, so a map tool waiting for one is ended first
+        if (notePlacement) stopNotePlacement();
+        if (measuring) finishMeasurement();
+        if (inspectMode) stopInspectMode();
+        featureLayer.fire('click'); // Same selection path as a user click
+    }
+    if (date && currentParcel === parcelData) {
+        const dateIndex = availableDates.indexOf(date);
+        if (dateIndex > -1 && dateIndex !== parseInt(timeSlider.value)) {
+            timeSlider.value = dateIndex;
+            updateTileLayer();
+        } else if (dateIndex === -1) {
+            console.warn(`Date ${date} is not available for parcel ${kmlId}.`);
+        }
+    }
+    return true;
+}
+
+/**
+ * Shows a KML parcel: selects it if it has imagery, otherwise enables its village
+ * and opens its popup. The map zooms to the parcel either way.
+ * @param {string} kmlId - The PARCEL_NR.
+ * @param {string} villageName - The parcel's village.
+ * @returns {Promise<boolean>} False if the parcel's shape was not found.
+ */
+async function showKmlParcel(kmlId, villageName) {
+    const parcelData = findParcelByKmlId(kmlId);
+    const hasImagery = parcelData?.location === villageName && getParcelImageDates(parcelData).length > 0;
+    if (hasImagery) {
+        await selectParcelByKmlId(kmlId, null, villageName);
+    } else {
+        await enableVillageLayer(villageName);
+    }
+    const featureLayer = findKmlFeatureLayer(kmlId, villageName);
+    if (!featureLayer) {
+        alert(`The shape of parcel ${kmlId} could not be found in the '${villageName}' KML layer.`);
+        return false;
+    }
+    map.fitBounds(featureLayer.getBounds());
+    if (!hasImagery) featureLayer.openPopup();
+    return true;
 }
 
 /**
@@ -467,6 +1661,7 @@ function initializeLayerControl() {
     const groupedOverlays = {
         "Locations": {} // Create a single group named "Locations" (or choose another name)
     };
+    villageControlLayers = {};
 
     if (uniqueLocations.length > 0) {
         uniqueLocations.forEach(locName => {
@@ -474,6 +1669,7 @@ function initializeLayerControl() {
             // The key 'locName' will be the checkbox label
             // The value is the placeholder layer group
             groupedOverlays["Locations"][locName] = L.layerGroup();
+            villageControlLayers[locName] = groupedOverlays["Locations"][locName]; // Kept to toggle villages from code
         });
 
         console.log(`   Created overlay group "Locations" with entries for: ${uniqueLocations.join(', ')}`);
@@ -515,11 +1711,8 @@ function initializeLayerControl() {
  */
 function clearParcelSelection() {
     console.log("--- Clearing Parcel Selection ---");
-    // Remove imagery layer
-    if (activeTileLayer && map.hasLayer(activeTileLayer)) {
-        map.removeLayer(activeTileLayer);
-    }
-    activeTileLayer = null;
+    // Remove imagery layers
+    removeActiveTileLayers();
 
     // Remove permanent label
     if (currentParcelLabel && map.hasLayer(currentParcelLabel)) {
@@ -530,9 +1723,16 @@ function clearParcelSelection() {
     // Remove grid overlay
     removeGrid();
 
+    // Hide and reset the NDVI time-series chart
+    hideNdviChart();
+
+    // Leave compare mode (its layers belong to the old parcel)
+    stopCompareMode(false);
+
     // Reset state variables
     currentParcel = null;
     availableDates = [];
+    restyleKmlFeatures();
 
     // Reset UI elements
     sliderContainer.style.display = 'none';
@@ -542,10 +1742,31 @@ function clearParcelSelection() {
 
     // Reset slider to default state
     setupSlider(); // This will hide it as availableDates is empty
+    scheduleUrlStateUpdate();
 
     console.log("--- Parcel Selection Cleared ---");
 }
 
+/**
+ * Re-reads the `currentParcel` from `allParcelsData` after its record was
+ * replaced (form update, merge) and refreshes the slider, imagery and compare layers.
+ */
+function refreshSelectedParcel() {
+    if (!currentParcel) return;
+    const updatedParcel = allParcelsData.find(p => p.id === currentParcel.id);
+    const updatedDates = getParcelImageDates(updatedParcel);
+    if (!updatedParcel || updatedDates.length === 0) {
+        console.log("Selected parcel was removed or has no image dates anymore. Clearing selection.");
+        clearParcelSelection();
+        return;
+    }
+    currentParcel = updatedParcel;
+    availableDates = updatedDates;
+    setupSlider();
+    updateTileLayer();
+    if (compareModeActive) refreshCompareMode();
+}
+
 /**
  * Sets up the time slider based on the `availableDates` for the `currentParcel`.
  * Hides the slider if no dates or only one date is available.
@@ -566,6 +1787,9 @@ function setupSlider() {
 
         // Show slider only if there's more than one date to slide through
         sliderContainer.style.display = (availableDates.length > 1) ? 'flex' : 'none';
+        updateSliderNoteMarkers(); // Scouting notes next to their nearest date
+        updateSliderHealthMarkers(); // Dates with broken layers in the last check
+        renderNotesPanel();
         console.log(`Slider setup: ${availableDates.length} dates. Min=0, Max=${timeSlider.max}, CurrentVal=${timeSlider.value}`);
     } else {
         // Reset slider when no parcel is selected or no dates available
@@ -574,6 +1798,9 @@ function setupSlider() {
         timeSlider.value = 0;
         dateLabel.textContent = "No date";
         sliderContainer.style.display = 'none';
+        updateSliderNoteMarkers();
+        updateSliderHealthMarkers();
+        renderNotesPanel();
          console.log("Slider setup: No dates available. Hiding slider.");
     }
 }
@@ -584,11 +1811,11 @@ function setupSlider() {
  */
 function updateTileLayer() {
     console.log(`--- Updating Tile Layer ---`);
+    ndviBlendOptionsDiv.style.display = ndviCheckbox.checked ? 'block' : 'none';
     if (!currentParcel || availableDates.length === 0) {
         console.warn("   Skipped: No current parcel selected or no available dates.");
-        // Ensure layer is removed if selection was cleared but this func was called somehow
-        if (activeTileLayer && map.hasLayer(activeTileLayer)) map.removeLayer(activeTileLayer);
-        activeTileLayer = null;
+        // Ensure layers are removed if selection was cleared but this func was called somehow
+        removeActiveTileLayers();
         return;
     }
 
@@ -606,30 +1833,21 @@ function updateTileLayer() {
     // Determine if NDVI layer is requested
     const useNDVI = ndviCheckbox.checked;
 
-    // Construct the key to look up the URL in the parcel's layers object
-    let urlKey = selectedDate + (useNDVI ? "-NDVI" : "");
-    let tileUrl = currentParcel.layers?.[urlKey]; // Safely access nested property
+    // RGB is the base layer; with NDVI on, the NDVI layer is stacked over it
+    // with the opacity and blend mode of the layer display controls
+    const rgbUrl = currentParcel.layers?.[selectedDate] || null;
+    const ndviUrl = useNDVI ? (currentParcel.layers?.[`${selectedDate}-NDVI`] || null) : null;
+    const tileUrl = rgbUrl || ndviUrl;
+    const overlayUrl = rgbUrl ? ndviUrl : null;
 
     console.log(`   Parcel ID: ${currentParcel.id}, KML ID: ${currentParcel.kmlId}`);
     console.log(`   Selected Date: ${selectedDate} (Index: ${selectedDateIndex})`);
     console.log(`   NDVI Checked: ${useNDVI}`);
-    console.log(`   Looking for URL key: "${urlKey}"`);
-
-    // --- Fallback Logic ---
-    // If NDVI is checked but the specific NDVI layer URL doesn't exist, fall back to RGB for that date
-    if (!tileUrl && useNDVI) {
-        console.warn(`   NDVI layer URL for key "${urlKey}" not found. Attempting to fall back to RGB layer for date ${selectedDate}.`);
-        urlKey = selectedDate; // Key for the RGB layer
-        tileUrl = currentParcel.layers?.[urlKey];
-        if (tileUrl) {
-             console.log(`   Fallback successful: Using RGB URL for key "${urlKey}".`);
-             // Optionally uncheck the NDVI box visually? Or indicate fallback?
-             // ndviCheckbox.checked = false; // This might confuse the user. Better to show message?
-             // dateLabel.textContent = `${selectedDate} (NDVI N/A)`; // Indicate fallback
-        }
+    if (useNDVI && !ndviUrl) {
+        console.warn(`   NDVI layer URL for "${selectedDate}-NDVI" not found. Showing the RGB layer only.`);
     }
 
-    // --- Update or Create Layer ---
+    // --- Update or Create Layers ---
     if (tileUrl) {
         console.log(`   Using Tile URL: ${tileUrl}`);
         if (activeTileLayer) {
@@ -644,35 +1862,177 @@ function updateTileLayer() {
             // If no layer exists, create a new one
             console.log(`   Creating NEW tile layer.`);
             activeTileLayer = L.tileLayer(tileUrl, {
-                minZoom: 10, // Adjust as needed
-                maxZoom: 21, // Adjust as needed
-                maxNativeZoom: 20, // Adjust based on your tile source
-                opacity: 1.0 // Default opacity
+                ...PARCEL_TILE_OPTIONS // Zoom range shared with the compare layers
                 // Add other tilelayer options here (tms, attribution, etc.) if needed
             }).addTo(map);
         }
-        // Bring KML layers to front if needed (optional)
-        // Object.values(kmlLayers).forEach(layer => layer?.bringToFront());
+
+        if (overlayUrl) {
+            console.log(`   Stacking NDVI Tile URL: ${overlayUrl}`);
+            // A chosen palette needs the canvas layer, the original colours a plain tile layer
+            const recolor = getLayerDisplaySettings().ndviPalette !== 'original';
+            if (activeNdviLayer && Boolean(activeNdviLayer.isNdviCanvas) !== recolor) {
+                if (map.hasLayer(activeNdviLayer)) map.removeLayer(activeNdviLayer);
+                activeNdviLayer = null;
+            }
+            if (activeNdviLayer) {
+                activeNdviLayer.setUrl(overlayUrl);
+            } else if (recolor) {
+                activeNdviLayer = createNdviCanvasLayer(overlayUrl);
+            } else {
+                activeNdviLayer = L.tileLayer(overlayUrl, { ...PARCEL_TILE_OPTIONS, zIndex: 2 }); // Above the RGB layer
+            }
+            if (!map.hasLayer(activeNdviLayer)) map.addLayer(activeNdviLayer);
+            applyLayerDisplaySettings();
+        } else if (activeNdviLayer && map.hasLayer(activeNdviLayer)) {
+            map.removeLayer(activeNdviLayer);
+        }
+
+        // In compare mode the two swipe layers replace the single active layer
+        if (compareModeActive) {
+            removeActiveTileLayers(true);
+        }
     } else {
-        // Critical: No URL found even after fallback
+        // Critical: No URL found for the date
         console.error(`   FINAL ERROR: No valid tile URL found for parcel ${currentParcel.id} for date ${selectedDate} (checked NDVI: ${useNDVI}). Removing any active layer.`);
-        if (activeTileLayer && map.hasLayer(activeTileLayer)) {
-            map.removeLayer(activeTileLayer);
-        }
-        activeTileLayer = null;
+        removeActiveTileLayers();
         dateLabel.textContent = `${selectedDate} (Image N/A)`; // Indicate missing image
         // Optionally alert the user
-         alert(`Image data for parcel ${currentParcel.name} on ${selectedDate} ${useNDVI ? '(NDVI requested)' : ''} is missing. Check the configuration.`);
+         notifyUser(`Image data for parcel ${currentParcel.name} on ${selectedDate} ${useNDVI ? '(NDVI requested)' : ''} is missing. Check the configuration.`);
     }
 
     // Update dependent UI elements *after* determining the layer
     updateNdviValuesDisplay();
+    updateNdviChart(); // Highlight the selected date in the chart
     displayGridOnCheckbox(); // Grid display might depend on the date
+    scheduleUrlStateUpdate(); // Parcel, date and NDVI state are shareable
 
     console.log(`--- Tile Layer Update Complete ---`);
 }
 
 
+/**
+ * Removes the parcel imagery layers (RGB and the stacked NDVI layer) from the map.
+ * @param {boolean} [keepLayers=false] - Keep the layer instances for re-adding (compare mode).
+ */
+function removeActiveTileLayers(keepLayers = false) {
+    [activeTileLayer, activeNdviLayer].forEach(layer => {
+        if (layer && map.hasLayer(layer)) map.removeLayer(layer);
+    });
+    if (!keepLayers) {
+        activeTileLayer = null;
+        activeNdviLayer = null;
+    }
+}
+
+/**
+ * Reads the layer display settings from localStorage (defaults: LAYER_DISPLAY_DEFAULTS).
+ * @returns {{ndviOpacity: number, ndviBlendMode: string, baseMapOpacity: number}}
+ */
+function getLayerDisplaySettings() {
+    try {
+        return { ...LAYER_DISPLAY_DEFAULTS, ...JSON.parse(localStorage.getItem(LAYER_DISPLAY_KEY) || '{}') };
+    } catch (error) {
+        console.warn("[LAYERS] Ignoring invalid stored layer display settings:", error);
+        return { ...LAYER_DISPLAY_DEFAULTS };
+    }
+}
+
+/**
+ * Fills the NDVI opacity, blend mode, palette, tile colour and base map opacity
+ * controls with the stored settings, applies them and attaches their listeners.
+ */
+function setupLayerDisplayControls() {
+    const settings = getLayerDisplaySettings();
+    ndviPaletteSelect.add(new Option('Original', 'original'));
+    [['RdYlGn', 'RdYlGn'], ['Viridis', 'Viridis'], ['Greys', 'Greyscale']].forEach(([rampName, label]) => {
+        ndviPaletteSelect.add(new Option(label, rampName));
+        ndviEncodingRampSelect.add(new Option(label, rampName));
+    });
+    ndviOpacitySlider.value = Math.round(settings.ndviOpacity * 100);
+    ndviBlendModeSelect.value = settings.ndviBlendMode;
+    baseMapOpacitySlider.value = Math.round(settings.baseMapOpacity * 100);
+    ndviPaletteSelect.value = settings.ndviPalette;
+    ndviStretchMinInput.value = settings.ndviStretchMin;
+    ndviStretchMaxInput.value = settings.ndviStretchMax;
+    ndviMaskCheckbox.checked = settings.ndviMaskEnabled;
+    ndviMaskThresholdInput.value = settings.ndviMaskThreshold;
+    ndviEncodingRampSelect.value = settings.ndviEncodingRamp;
+    ndviEncodingMinInput.value = settings.ndviEncodingMin;
+    ndviEncodingMaxInput.value = settings.ndviEncodingMax;
+    ndviBlendOptionsDiv.style.display = ndviCheckbox.checked ? 'block' : 'none';
+    applyLayerDisplaySettings();
+
+    [ndviOpacitySlider, baseMapOpacitySlider].forEach(input => input.addEventListener('input', handleLayerDisplayChange));
+    [ndviBlendModeSelect, ndviPaletteSelect, ndviStretchMinInput, ndviStretchMaxInput, ndviMaskCheckbox, ndviMaskThresholdInput,
+        ndviEncodingRampSelect, ndviEncodingMinInput, ndviEncodingMaxInput]
+        .forEach(input => input.addEventListener('change', handleLayerDisplayChange));
+}
+
+/**
+ * Stores the values of the layer display controls and applies them. Palette,
+ * stretch, mask and tile colour changes re-render the recoloured NDVI tiles.
+ */
+function handleLayerDisplayChange() {
+    const previous = getLayerDisplaySettings();
+    const readNumber = (input, fallback) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) ? fallback : value;
+    };
+    let stretchMin = readNumber(ndviStretchMinInput, previous.ndviStretchMin);
+    let stretchMax = readNumber(ndviStretchMaxInput, previous.ndviStretchMax);
+    if (stretchMin > stretchMax) [stretchMin, stretchMax] = [stretchMax, stretchMin];
+    let encodingMin = readNumber(ndviEncodingMinInput, previous.ndviEncodingMin);
+    let encodingMax = readNumber(ndviEncodingMaxInput, previous.ndviEncodingMax);
+    if (encodingMin > encodingMax) [encodingMin, encodingMax] = [encodingMax, encodingMin];
+    const settings = {
+        ndviOpacity: parseInt(ndviOpacitySlider.value, 10) / 100,
+        ndviBlendMode: ndviBlendModeSelect.value,
+        baseMapOpacity: parseInt(baseMapOpacitySlider.value, 10) / 100,
+        ndviPalette: ndviPaletteSelect.value,
+        ndviStretchMin: stretchMin,
+        ndviStretchMax: stretchMax,
+        ndviMaskEnabled: ndviMaskCheckbox.checked,
+        ndviMaskThreshold: readNumber(ndviMaskThresholdInput, previous.ndviMaskThreshold),
+        ndviEncodingRamp: ndviEncodingRampSelect.value,
+        ndviEncodingMin: encodingMin,
+        ndviEncodingMax: encodingMax
+    };
+    ndviStretchMinInput.value = settings.ndviStretchMin;
+    ndviStretchMaxInput.value = settings.ndviStretchMax;
+    ndviEncodingMinInput.value = settings.ndviEncodingMin;
+    ndviEncodingMaxInput.value = settings.ndviEncodingMax;
+    localStorage.setItem(LAYER_DISPLAY_KEY, JSON.stringify(settings));
+
+    const recolorChanged = ['ndviPalette', 'ndviStretchMin', 'ndviStretchMax', 'ndviMaskEnabled', 'ndviMaskThreshold',
+        'ndviEncodingRamp', 'ndviEncodingMin', 'ndviEncodingMax']
+        .some(key => settings[key] !== previous[key]);
+    if (settings.ndviPalette !== previous.ndviPalette && (previous.ndviPalette === 'original' || settings.ndviPalette === 'original')) {
+        if (currentParcel && ndviCheckbox.checked) updateTileLayer(); // Switches between the tile and the canvas layer
+    } else if (recolorChanged && activeNdviLayer?.isNdviCanvas) {
+        activeNdviLayer.redraw();
+    }
+    applyLayerDisplaySettings();
+}
+
+/**
+ * Applies the stored opacity and blend mode to the stacked NDVI layer and the
+ * opacity to the base map. 'multiply' darkens the RGB image where NDVI is low,
+ * so stressed patches stay recognisable in the true-colour image.
+ */
+function applyLayerDisplaySettings() {
+    const settings = getLayerDisplaySettings();
+    ndviOpacityValue.textContent = `${Math.round(settings.ndviOpacity * 100)}%`;
+    baseMapOpacityValue.textContent = `${Math.round(settings.baseMapOpacity * 100)}%`;
+    updateNdviPaletteLegend(settings);
+    googleHybrid.setOpacity(settings.baseMapOpacity);
+    if (activeNdviLayer) {
+        activeNdviLayer.setOpacity(settings.ndviOpacity);
+        const container = activeNdviLayer.getContainer();
+        if (container) container.style.mixBlendMode = settings.ndviBlendMode === 'multiply' ? 'multiply' : '';
+    }
+}
+
 /**
  * Updates the display area for NDVI statistics (mean, min, max).
  * Uses data from `ndviStatsData` based on `currentParcel` and selected date.
@@ -683,6 +2043,7 @@ function updateNdviValuesDisplay() {
     $("#mean-value").text("N/A"); // Use jQuery selectors as per original code
     $("#min-value").text("N/A");
     $("#max-value").text("N/A");
+    ndviExtraValuesDiv.innerHTML = '';
 
     // Check prerequisites
     if (!ndviCheckbox.checked || !currentParcel || !currentParcel.csvAvailable) {
@@ -708,6 +2069,12 @@ function updateNdviValuesDisplay() {
         $("#mean-value").text(stats.mean.toFixed(3));
         $("#min-value").text(stats.min.toFixed(3));
         $("#max-value").text(stats.max.toFixed(3));
+        // Optional statistics, only present if the CSV has these columns
+        const extraLines = [];
+        if (stats.std !== undefined) extraLines.push(`<b>Std-NDVI:</b> <span>${stats.std.toFixed(3)}</span>`);
+        if (stats.median !== undefined) extraLines.push(`<b>Median-NDVI:</b> <span>${stats.median.toFixed(3)}</span>`);
+        if (stats.pixelCount !== undefined) extraLines.push(`<b>Pixels:</b> <span>${stats.pixelCount}</span>`);
+        ndviExtraValuesDiv.innerHTML = extraLines.join('<br>');
     } else {
         console.warn(`NDVI Display: No stats found for KML ID ${parcelKmlId}, Date ${selectedDate}`);
         // Values remain "N/A"
@@ -719,97 +2086,586 @@ function updateNdviValuesDisplay() {
 
 
 // =====================================================================
-// GRID DISPLAY FUNCTIONS
+// URL STATE (DEEP LINKS)
 // =====================================================================
 
-/** Removes the currently displayed grid overlay and its labels from the map. */
-function removeGrid() {
-    // Remove grid boundary layer
-    if (ndviGridLayer && map.hasLayer(ndviGridLayer)) {
-        map.removeLayer(ndviGridLayer);
-        console.log("[GRID] Removed existing grid layer.");
+/**
+ * Collects the shareable map state.
+ * @returns {URLSearchParams} Parameters for the URL hash.
+ */
+function buildUrlState() {
+    const params = new URLSearchParams();
+    if (currentParcel) {
+        params.set('parcel', currentParcel.kmlId);
+        const selectedDate = availableDates[parseInt(timeSlider.value)];
+        if (selectedDate) params.set('date', selectedDate);
     }
-    ndviGridLayer = null;
+    if (ndviCheckbox.checked) params.set('ndvi', '1');
+    if (popupCheckbox.checked) params.set('grid', '1');
+    const visibleVillages = Object.keys(kmlLayers).filter(v => kmlLayers[v] && map.hasLayer(kmlLayers[v])).sort();
+    if (visibleVillages.length > 0) params.set('villages', visibleVillages.join(','));
+    const center = map.getCenter();
+    params.set('map', `${map.getZoom()}/${center.lat.toFixed(5)}/${center.lng.toFixed(5)}`);
+    return params;
+}
 
-    // Remove any currently visible labels
-    gridLabels.forEach(label => {
-        if (map.hasLayer(label)) {
-            map.removeLayer(label);
-        }
-    });
-    // Clear the array holding all label markers
-    gridLabels = [];
-    console.log("[GRID] Cleared grid labels array and removed visible labels.");
+/**
+ * Parses the URL hash written by `buildUrlState()`.
+ * @returns {{ parcel: string | null, date: string | null, ndvi: boolean, grid: boolean,
+ *             villages: string[], view: { zoom: number, lat: number, lng: number } | null }}
+ */
+function parseUrlState() {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    let view = null;
+    const mapParts = (params.get('map') || '').split('/').map(Number);
+    if (mapParts.length === 3 && mapParts.every(n => !isNaN(n))) {
+        view = { zoom: mapParts[0], lat: mapParts[1], lng: mapParts[2] };
+    }
+    return {
+        parcel: params.get('parcel'),
+        date: params.get('date'),
+        ndvi: params.get('ndvi') === '1',
+        grid: params.get('grid') === '1',
+        villages: (params.get('villages') || '').split(',').map(v => v.trim()).filter(Boolean),
+        view
+    };
+}
 
-    // Remove event listeners if they were added specifically for this grid (optional, less common)
-    // map.off('moveend', updateVisibleGridLabels);
-    // map.off('zoomend', updateVisibleGridLabels);
+/**
+ * Schedules a URL hash update. Several state changes in a row (selection,
+ * slider, fitBounds) are written as one history entry.
+ */
+function scheduleUrlStateUpdate() {
+    if (!urlStateSyncEnabled) return;
+    clearTimeout(urlStateUpdateTimer);
+    urlStateUpdateTimer = setTimeout(writeUrlState, 150);
 }
 
 /**
- * Fetches and displays the GeoJSON grid overlay if the checkbox is checked.
- * Uses the grid URL derived from `currentParcel` data or the default pattern.
- * Creates labels showing normalized NDVI and elevation for each grid cell.
+ * Writes the current state to the URL hash. A new parcel or date selection
+ * creates a history entry (so back/forward step through selections); other
+ * changes such as map moves replace the current entry.
  */
+function writeUrlState() {
+    urlStateUpdateTimer = null;
+    if (!urlStateSyncEnabled) return;
+    const params = buildUrlState();
+    // Keep commas and slashes readable in shared links (URLSearchParams parses them either way)
+    const newHash = '#' + Array.from(params)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%2C/g, ',').replace(/%2F/g, '/')}`)
+        .join('&');
+    if (newHash === window.location.hash) return;
+
+    const selectionKey = `${params.get('parcel') || ''}|${params.get('date') || ''}`;
+    // The play animation would flood the history, so it only replaces the entry
+    if (selectionKey !== lastUrlSelectionKey && !animationInterval) {
+        history.pushState(null, '', newHash);
+    } else {
+        history.replaceState(null, '', newHash);
+    }
+    lastUrlSelectionKey = selectionKey;
+}
+
 /**
- * Fetches and displays the GeoJSON grid overlay if the checkbox is checked.
- * Uses the grid URL derived from `currentParcel` data or the default pattern.
- * Creates labels showing normalized NDVI and elevation for each grid cell.
- * **Includes date reformatting to match MM-DD-YYYY filenames.**
+ * Restores a state parsed from the URL hash: checkboxes, village layers,
+ * parcel selection, date and map view.
+ * @param {object} state - The state returned by `parseUrlState()`.
  */
-function displayGridOnCheckbox() {
-    removeGrid(); // Always remove the old grid first
+async function restoreUrlState(state) {
+    console.log("[URL STATE] Restoring state from URL:", state);
+    urlStateSyncEnabled = false; // Don't write intermediate states while restoring
+    try {
+        const checkboxesChanged = ndviCheckbox.checked !== state.ndvi || popupCheckbox.checked !== state.grid;
+        const previousParcel = currentParcel;
+        ndviCheckbox.checked = state.ndvi;
+        popupCheckbox.checked = state.grid;
+        gridOptionsDiv.style.display = popupCheckbox.checked ? 'block' : 'none';
+
+        // Villages in the link are shown; other visible villages stay as they are
+        await Promise.all(state.villages.map(village => enableVillageLayer(village)));
+
+        if (state.parcel) {
+            const parcelData = findParcelByKmlId(state.parcel);
+            const village = parcelData?.location || state.villages.find(v => findKmlFeatureLayer(state.parcel, v));
+            const selected = await selectParcelByKmlId(state.parcel, state.date, village);
+            if (!selected) console.warn(`[URL STATE] Parcel ${state.parcel} from the URL could not be selected.`);
+        } else if (currentParcel) {
+            clearParcelSelection();
+        }
 
-    // Check prerequisites
-    if (!popupCheckbox.checked || !currentParcel || !currentParcel.layers || availableDates.length === 0) {
-        console.log("[GRID] Grid display skipped: Checkbox off, no parcel, or no dates.");
-        // Ensure map event listeners for labels are off if we are not displaying grids
-        map.off('moveend', updateVisibleGridLabels);
-        map.off('zoomend', updateVisibleGridLabels);
+        // A newly selected parcel already used the restored checkboxes; an unchanged one must be refreshed
+        if (currentParcel && currentParcel === previousParcel && checkboxesChanged) {
+            updateTileLayer();
+        }
+        if (state.view) {
+            map.setView([state.view.lat, state.view.lng], state.view.zoom);
+        }
+    } catch (error) {
+        console.error("[URL STATE] Error restoring state from URL:", error);
+    } finally {
+        const params = buildUrlState();
+        lastUrlSelectionKey = `${params.get('parcel') || ''}|${params.get('date') || ''}`;
+        urlStateSyncEnabled = true;
+    }
+}
+
+/** Handles browser back/forward by restoring the state of that history entry. */
+function handleUrlPopState() {
+    clearTimeout(urlStateUpdateTimer); // A pending write belongs to the state we are leaving
+    restoreUrlState(parseUrlState());
+}
+
+
+// =====================================================================
+// NDVI TIME SERIES CHART
+// =====================================================================
+
+/**
+ * Shows the NDVI time-series chart for the `currentParcel`.
+ * Plots the mean NDVI as a line with a min-max band for every date found in
+ * `ndviStatsData`. The chart is only rebuilt when the parcel changes; otherwise
+ * just the point for the date under the slider is highlighted.
+ */
+function updateNdviChart() {
+    if (!currentParcel) {
+        hideNdviChart();
+        return;
+    }
+    if (typeof Chart === 'undefined') {
+        console.warn("[CHART] Chart.js is not loaded. NDVI time series unavailable.");
         return;
     }
 
-    // Get current date from availableDates (assuming DD-MM-YYYY format)
-    let selectedDateIndex = parseInt(timeSlider.value);
-    if (isNaN(selectedDateIndex) || selectedDateIndex < 0 || selectedDateIndex >= availableDates.length) {
-        console.warn("[GRID] Grid display skipped: Invalid date index.");
+    const parcelKmlId = String(currentParcel.kmlId).trim();
+    const selectedDate = availableDates[parseInt(timeSlider.value)];
+
+    // Same parcel already plotted: only refresh the highlighted point
+    if (ndviChart && ndviChartKmlId === parcelKmlId) {
+        highlightNdviChartDate(selectedDate);
         return;
     }
-    let selectedDate_DDMMYYYY = availableDates[selectedDateIndex]; // Original format: DD-MM-YYYY
 
-    // --- REFORMAT DATE TO MM-DD-YYYY FOR FILENAME ---
-    let dateFormattedForFile = '';
-    try {
-        const parts = selectedDate_DDMMYYYY.split('-'); // Split DD-MM-YYYY
-        if (parts.length === 3) {
-            dateFormattedForFile = `${parts[1]}-${parts[0]}-${parts[2]}`; // Reassemble as MM-DD-YYYY
-        } else {
-            dateFormattedForFile = selectedDate_DDMMYYYY; // Fallback
-        }
-    } catch (dateError) {
-         console.error("[GRID] Error reformatting date:", dateError);
-         dateFormattedForFile = selectedDate_DDMMYYYY; // Fallback
+    const parcelStats = ndviStatsData?.[parcelKmlId] || {};
+    const dates = Object.keys(parcelStats).sort(compareDdMmYyyyDates);
+
+    if (ndviChart) {
+        ndviChart.destroy();
+        ndviChart = null;
     }
+    ndviChartKmlId = parcelKmlId;
+    ndviChartTitle.textContent = `NDVI Time Series - ${currentParcel.name} (KML ID: ${parcelKmlId})`;
+    ndviChartPanel.style.display = 'block';
 
-    // Get parcel identifiers needed for URL
-    let parcelKmlId = currentParcel.kmlId;
-    let parcelName = currentParcel.name;
-    if (!parcelKmlId || !parcelName) {
-         console.warn("[GRID] Grid display skipped: Missing kmlId or name in current parcel data.");
-         return;
+    if (dates.length === 0) {
+        console.log(`[CHART] No NDVI statistics found for KML ID ${parcelKmlId}.`);
+        ndviChartStatus.textContent = 'No NDVI statistics available for this parcel.';
+        return;
     }
+    ndviChartStatus.textContent = 'Click a point to show that date on the map.';
+
+    console.log(`[CHART] Plotting ${dates.length} NDVI dates for KML ID ${parcelKmlId}.`);
+    ndviChart = new Chart(ndviChartCanvas, {
+        type: 'line',
+        data: {
+            labels: dates,
+            datasets: [
+                {
+                    label: 'Max',
+                    data: dates.map(d => parcelStats[d].max),
+                    borderColor: 'rgba(76, 175, 80, 0.4)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    fill: false
+                },
+                {
+                    label: 'Min',
+                    data: dates.map(d => parcelStats[d].min),
+                    borderColor: 'rgba(76, 175, 80, 0.4)',
+                    backgroundColor: 'rgba(76, 175, 80, 0.2)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    fill: '-1' // Fill up to the "Max" dataset to draw the min-max band
+                },
+                {
+                    label: 'Mean',
+                    data: dates.map(d => parcelStats[d].mean),
+                    borderColor: '#1b5e20',
+                    backgroundColor: '#1b5e20',
+                    borderWidth: 2,
+                    pointRadius: 4,
+                    pointHoverRadius: 6,
+                    fill: false
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                y: { suggestedMin: 0, suggestedMax: 1, title: { display: true, text: 'NDVI' } }
+            },
+            plugins: {
+                legend: { labels: { boxWidth: 12, font: { size: 11 } } },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${Number(context.parsed.y).toFixed(3)}`
+                    }
+                }
+            },
+            onClick: (event, elements) => {
+                if (elements.length > 0) {
+                    handleNdviChartClick(dates[elements[0].index]);
+                }
+            }
+        }
+    });
+    highlightNdviChartDate(selectedDate);
+}
 
-    let nameForUrl = encodeURIComponent(parcelName.replace(/ /g, '_'));
+/**
+ * Enlarges the mean point for the given date and resets the others.
+ * @param {string | undefined} date - The date (DD-MM-YYYY) to highlight.
+ */
+function highlightNdviChartDate(date) {
+    if (!ndviChart) return;
+    const meanDataset = ndviChart.data.datasets[2];
+    meanDataset.pointRadius = ndviChart.data.labels.map(label => label === date ? 7 : 4);
+    meanDataset.pointBackgroundColor = ndviChart.data.labels.map(label => label === date ? '#ff9800' : '#1b5e20');
+    ndviChart.update('none');
+}
 
-    // Determine the GeoJSON URL
-    let geojsonUrl;
-    if (currentParcel.gridBaseUrl) {
-        geojsonUrl = `${currentParcel.gridBaseUrl}/${nameForUrl}_${dateFormattedForFile}_grid.geojson`; // Use MM-DD-YYYY
-    } else {
-        geojsonUrl = DEFAULT_GRID_URL_PATTERN
-            .replace('{kmlId}', parcelKmlId)
-            .replace('{name}', nameForUrl)
-            .replace('{date}', dateFormattedForFile); // Use MM-DD-YYYY
+/**
+ * Handles a click on a chart point: moves the time slider to that date
+ * and refreshes the imagery.
+ * @param {string} date - The clicked date (DD-MM-YYYY).
+ */
+function handleNdviChartClick(date) {
+    const dateIndex = availableDates.indexOf(date);
+    console.log(`[CHART] Point clicked for date ${date} (slider index: ${dateIndex}).`);
+    if (dateIndex === -1) {
+        ndviChartStatus.textContent = `No imagery configured for ${date}. Statistics only.`;
+        return;
+    }
+    ndviChartStatus.textContent = 'Click a point to show that date on the map.';
+    timeSlider.value = dateIndex;
+    updateTileLayer();
+}
+
+/** Hides the NDVI chart panel and destroys the chart instance. */
+function hideNdviChart() {
+    if (ndviChart) {
+        ndviChart.destroy();
+        ndviChart = null;
+    }
+    ndviChartKmlId = null;
+    ndviChartPanel.style.display = 'none';
+}
+
+
+// =====================================================================
+// DATE COMPARISON (SWIPE)
+// =====================================================================
+
+/** Handles the Compare button: starts or stops the side-by-side comparison. */
+function toggleCompareMode() {
+    if (compareModeActive) {
+        stopCompareMode();
+    } else {
+        startCompareMode();
+    }
+}
+
+/**
+ * Starts compare mode for the `currentParcel`.
+ * Hides the single active tile layer and shows two dates separated by a
+ * draggable swipe divider. Defaults to the first date (left) vs. the last date (right).
+ */
+function startCompareMode() {
+    if (!currentParcel || availableDates.length === 0) {
+        console.warn("[COMPARE] Cannot start compare mode: No parcel selected or no dates available.");
+        return;
+    }
+    console.log(`[COMPARE] Starting compare mode for parcel ${currentParcel.id}.`);
+    compareModeActive = true;
+    compareButton.classList.add('active');
+    comparePanel.style.display = 'block';
+
+    removeActiveTileLayers(true);
+
+    populateCompareSelects(true);
+    createCompareDivider();
+    updateCompareLayers();
+}
+
+/**
+ * Re-populates the compare selects for a new or updated `currentParcel`,
+ * keeping the previous choices where the dates still exist.
+ */
+function refreshCompareMode() {
+    if (!compareModeActive) return;
+    if (!currentParcel || availableDates.length === 0) {
+        stopCompareMode();
+        return;
+    }
+    console.log(`[COMPARE] Refreshing compare layers for parcel ${currentParcel.id}.`);
+    populateCompareSelects(false);
+    updateCompareLayers();
+}
+
+/**
+ * Fills the left/right date selects with the `availableDates`.
+ * @param {boolean} resetSelection - If true, selects the first (left) and last (right) date.
+ */
+function populateCompareSelects(resetSelection) {
+    const previousLeft = compareLeftDate.value;
+    const previousRight = compareRightDate.value;
+    [compareLeftDate, compareRightDate].forEach(select => {
+        select.innerHTML = '';
+        availableDates.forEach(date => {
+            const option = document.createElement('option');
+            option.value = date;
+            option.textContent = date;
+            select.appendChild(option);
+        });
+    });
+    const lastDate = availableDates[availableDates.length - 1];
+    compareLeftDate.value = (!resetSelection && availableDates.includes(previousLeft)) ? previousLeft : availableDates[0];
+    compareRightDate.value = (!resetSelection && availableDates.includes(previousRight)) ? previousRight : lastDate;
+}
+
+/**
+ * Creates or updates the left and right tile layers from the compare selects.
+ * Each side falls back to RGB if the NDVI layer is not configured for its date.
+ */
+function updateCompareLayers() {
+    if (!compareModeActive || !currentParcel) return;
+
+    const leftUrl = getCompareSideUrl(compareLeftDate.value, compareLeftType.value === 'NDVI');
+    const rightUrl = getCompareSideUrl(compareRightDate.value, compareRightType.value === 'NDVI');
+    console.log(`[COMPARE] Left: ${compareLeftDate.value} ${compareLeftType.value}, Right: ${compareRightDate.value} ${compareRightType.value}`);
+
+    compareLeftLayer = setCompareLayerUrl(compareLeftLayer, leftUrl);
+    compareRightLayer = setCompareLayerUrl(compareRightLayer, rightUrl);
+    updateCompareClip();
+}
+
+/**
+ * Resolves the tile URL for one side of the comparison.
+ * @param {string} date - The selected date (DD-MM-YYYY).
+ * @param {boolean} useNdvi - If true, the NDVI layer is requested.
+ * @returns {string | null} The tile URL template, or null if not even RGB exists.
+ */
+function getCompareSideUrl(date, useNdvi) {
+    let url = getParcelLayerUrl(currentParcel, date, useNdvi);
+    if (!url && useNdvi) {
+        console.warn(`[COMPARE] NDVI layer for ${date} not found. Falling back to RGB.`);
+        url = getParcelLayerUrl(currentParcel, date, false);
+    }
+    return url;
+}
+
+/**
+ * Points a compare tile layer at a new URL, creating it if needed.
+ * @param {L.TileLayer | null} layer - The existing layer or null.
+ * @param {string | null} url - The tile URL template to show.
+ * @returns {L.TileLayer | null} The layer on the map, or null if there is no URL.
+ */
+function setCompareLayerUrl(layer, url) {
+    if (!url) {
+        if (layer && map.hasLayer(layer)) map.removeLayer(layer);
+        return null;
+    }
+    if (layer) {
+        layer.setUrl(url);
+        if (!map.hasLayer(layer)) map.addLayer(layer);
+        return layer;
+    }
+    return L.tileLayer(url, { ...PARCEL_TILE_OPTIONS, opacity: 1.0 }).addTo(map);
+}
+
+/** Creates the draggable swipe divider inside the map container. */
+function createCompareDivider() {
+    if (compareDivider) return;
+    compareDivider = L.DomUtil.create('div', 'compare-divider', map.getContainer());
+    const handle = L.DomUtil.create('div', 'compare-divider-handle', compareDivider);
+    handle.innerHTML = '&#8596;';
+    L.DomEvent.disableClickPropagation(compareDivider);
+
+    compareDivider.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        compareDivider.setPointerCapture(e.pointerId);
+        map.dragging.disable();
+
+        const onMove = (moveEvent) => {
+            const mapRect = map.getContainer().getBoundingClientRect();
+            const x = moveEvent.clientX - mapRect.left;
+            compareSwipePosition = Math.min(Math.max(x / mapRect.width, 0), 1);
+            updateCompareClip();
+        };
+        const onUp = () => {
+            compareDivider.removeEventListener('pointermove', onMove);
+            compareDivider.removeEventListener('pointerup', onUp);
+            compareDivider.removeEventListener('pointercancel', onUp);
+            map.dragging.enable();
+        };
+        compareDivider.addEventListener('pointermove', onMove);
+        compareDivider.addEventListener('pointerup', onUp);
+        compareDivider.addEventListener('pointercancel', onUp);
+    });
+
+    map.on('move zoomend resize', updateCompareClip);
+}
+
+/**
+ * Clips the left and right compare layers at the divider position.
+ * Clip rectangles are expressed in layer points, so they must be recalculated
+ * whenever the map moves.
+ */
+function updateCompareClip() {
+    if (!compareDivider) return;
+    const mapSize = map.getSize();
+    const dividerX = Math.round(mapSize.x * compareSwipePosition);
+    compareDivider.style.left = dividerX + 'px';
+
+    const nw = map.containerPointToLayerPoint([0, 0]);
+    const se = map.containerPointToLayerPoint(mapSize);
+    const clipX = nw.x + dividerX;
+    if (compareLeftLayer?.getContainer()) {
+        compareLeftLayer.getContainer().style.clip = `rect(${nw.y}px, ${clipX}px, ${se.y}px, ${nw.x}px)`;
+    }
+    if (compareRightLayer?.getContainer()) {
+        compareRightLayer.getContainer().style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${clipX}px)`;
+    }
+}
+
+/**
+ * Leaves compare mode and removes the swipe layers.
+ * @param {boolean} [restoreActiveLayer=true] - If true, shows the slider-driven layer again.
+ */
+function stopCompareMode(restoreActiveLayer = true) {
+    if (!compareModeActive) return;
+    console.log("[COMPARE] Stopping compare mode.");
+    compareModeActive = false;
+    compareButton.classList.remove('active');
+    comparePanel.style.display = 'none';
+
+    [compareLeftLayer, compareRightLayer].forEach(layer => {
+        if (layer && map.hasLayer(layer)) map.removeLayer(layer);
+    });
+    compareLeftLayer = null;
+    compareRightLayer = null;
+
+    if (compareDivider) {
+        map.off('move zoomend resize', updateCompareClip);
+        L.DomUtil.remove(compareDivider);
+        compareDivider = null;
+    }
+
+    // Bring back the slider-driven layer for the current parcel
+    if (restoreActiveLayer && currentParcel && availableDates.length > 0) {
+        updateTileLayer();
+    }
+}
+
+
+// =====================================================================
+// GRID DISPLAY FUNCTIONS
+// =====================================================================
+
+/** Removes the currently displayed grid overlay and its labels from the map. */
+function removeGrid() {
+    // Remove grid boundary layer
+    if (ndviGridLayer && map.hasLayer(ndviGridLayer)) {
+        map.removeLayer(ndviGridLayer);
+        console.log("[GRID] Removed existing grid layer.");
+    }
+    ndviGridLayer = null;
+
+    // Remove the colour legend
+    if (gridLegendControl) {
+        map.removeControl(gridLegendControl);
+        gridLegendControl = null;
+    }
+    gridClassBreaks = null;
+    removeZonePreview(); // Zones belong to the removed grid
+
+    // Remove any currently visible labels
+    gridLabels.forEach(label => {
+        if (map.hasLayer(label)) {
+            map.removeLayer(label);
+        }
+    });
+    // Clear the array holding all label markers
+    gridLabels = [];
+    console.log("[GRID] Cleared grid labels array and removed visible labels.");
+
+    // Remove event listeners if they were added specifically for this grid (optional, less common)
+    // map.off('moveend', updateVisibleGridLabels);
+    // map.off('zoomend', updateVisibleGridLabels);
+}
+
+/**
+ * Builds the grid GeoJSON URL of a parcel for one date (without cache-busting).
+ * Grid files are named with MM-DD-YYYY dates, so the DD-MM-YYYY layer key is reformatted.
+ * @param {object} parcel - Parcel object from `allParcelsData`.
+ * @param {string} date - Layer date (DD-MM-YYYY).
+ * @returns {string | null} The URL, or null if the parcel lacks a kmlId or name.
+ */
+function buildGridUrl(parcel, date) {
+    if (!parcel?.kmlId || !parcel.name) return null;
+    const parts = date.split('-');
+    const dateFormattedForFile = parts.length === 3 ? `${parts[1]}-${parts[0]}-${parts[2]}` : date;
+    const nameForUrl = encodeURIComponent(parcel.name.replace(/ /g, '_'));
+    if (parcel.gridBaseUrl) {
+        return `${parcel.gridBaseUrl}/${nameForUrl}_${dateFormattedForFile}_grid.geojson`;
+    }
+    return DEFAULT_GRID_URL_PATTERN
+        .replace('{kmlId}', parcel.kmlId)
+        .replace('{name}', nameForUrl)
+        .replace('{date}', dateFormattedForFile);
+}
+
+/**
+ * Fetches and displays the GeoJSON grid overlay if the checkbox is checked.
+ * Uses the grid URL derived from `currentParcel` data or the default pattern.
+ * Creates labels showing normalized NDVI and elevation for each grid cell.
+ */
+/**
+ * Fetches and displays the GeoJSON grid overlay if the checkbox is checked.
+ * Uses the grid URL derived from `currentParcel` data or the default pattern.
+ * Fills each cell by its `_NDVImean` class (see `applyGridStyling`) and creates
+ * optional labels showing normalized NDVI and elevation for each grid cell.
+ * The file name uses MM-DD-YYYY dates (see `buildGridUrl`).
+ */
+function displayGridOnCheckbox() {
+    removeGrid(); // Always remove the old grid first
+    gridOptionsDiv.style.display = popupCheckbox.checked ? 'block' : 'none';
+
+    // Check prerequisites
+    if (!popupCheckbox.checked || !currentParcel || !currentParcel.layers || availableDates.length === 0) {
+        console.log("[GRID] Grid display skipped: Checkbox off, no parcel, or no dates.");
+        // Ensure map event listeners for labels are off if we are not displaying grids
+        map.off('moveend', updateVisibleGridLabels);
+        map.off('zoomend', updateVisibleGridLabels);
+        return;
+    }
+
+    // Get current date from availableDates (assuming DD-MM-YYYY format)
+    let selectedDateIndex = parseInt(timeSlider.value);
+    if (isNaN(selectedDateIndex) || selectedDateIndex < 0 || selectedDateIndex >= availableDates.length) {
+        console.warn("[GRID] Grid display skipped: Invalid date index.");
+        return;
+    }
+    let selectedDate_DDMMYYYY = availableDates[selectedDateIndex]; // Original format: DD-MM-YYYY
+
+    // Get parcel identifiers needed for URL
+    let parcelKmlId = currentParcel.kmlId;
+    let geojsonUrl = buildGridUrl(currentParcel, selectedDate_DDMMYYYY);
+    if (!geojsonUrl) {
+         console.warn("[GRID] Grid display skipped: Missing kmlId or name in current parcel data.");
+         return;
     }
 
     // Add cache-busting parameter
@@ -836,7 +2692,7 @@ function displayGridOnCheckbox() {
             gridLabels = []; // Ensure gridLabels is empty before populating
 
             ndviGridLayer = L.geoJSON(data, {
-                style: { /* Style for the grid lines */
+                style: { /* Style for the grid lines, fill is applied by applyGridStyling */
                     fillColor: 'transparent', weight: 0.5, color: '#555', fillOpacity: 0
                 },
                 onEachFeature: function(feature, layer) {
@@ -870,6 +2726,10 @@ function displayGridOnCheckbox() {
 
             console.log(`[GRID] Created ${gridLabels.length} label markers in memory.`);
 
+            // Colour the cells by NDVI class and show the legend
+            applyGridStyling();
+            if (zonesPanel.style.display === 'flex') updateManagementZones(); // Zones follow the shown grid
+
             // *** Add map event listeners for showing/hiding labels based on view ***
             // Remove existing listeners first to prevent duplicates
             map.off('moveend', updateVisibleGridLabels);
@@ -898,6 +2758,13 @@ function updateVisibleGridLabels() {
         // console.log("[GRID LABELS] Update skipped: No map, no labels, or checkbox off.");
         return;
     }
+    // Labels are optional: without them the grid works as a plain heat map
+    if (!gridLabelsCheckbox.checked) {
+        gridLabels.forEach(label => {
+            if (map.hasLayer(label)) map.removeLayer(label);
+        });
+        return;
+    }
 
     const bounds = map.getBounds(); // Get current map viewport bounds
     // console.log("[GRID LABELS] Updating visible labels for bounds:", bounds.toBBoxString()); // Uncomment for debugging
@@ -924,155 +2791,4796 @@ function updateVisibleGridLabels() {
     });
 }
 
+/**
+ * Reads the normalized NDVI mean of a grid cell feature.
+ * @param {object} feature - A GeoJSON grid cell feature.
+ * @returns {number | null} The NDVI value or null if missing/invalid.
+ */
+function getGridCellNdvi(feature) {
+    const rawValue = parseFloat(feature?.properties?._NDVImean);
+    return isNaN(rawValue) ? null : normalizeNDVI(rawValue);
+}
+
+/**
+ * Classifies the loaded grid cells by `_NDVImean` with the selected method and
+ * class count, fills them from the selected colour ramp and updates the legend.
+ * Called after the grid loads and whenever a grid colouring option changes.
+ */
+function applyGridStyling() {
+    if (!ndviGridLayer) return;
+
+    const rampName = gridRampSelect.value;
+    if (rampName === 'none') {
+        console.log("[GRID] Colouring disabled. Showing outlines only.");
+        gridClassBreaks = null;
+        ndviGridLayer.setStyle({ fillColor: 'transparent', fillOpacity: 0 });
+        updateGridLegend();
+        return;
+    }
+
+    const classCount = Math.min(Math.max(parseInt(gridClassCountInput.value) || 5, 2), 9);
+    const values = [];
+    ndviGridLayer.eachLayer(layer => values.push(getGridCellNdvi(layer.feature)));
+    gridClassBreaks = computeClassBreaks(values, classCount, gridMethodSelect.value);
+    const colors = getRampColors(rampName, gridClassBreaks.length - 1);
+    console.log(`[GRID] Classified ${values.length} cells (${gridMethodSelect.value}, ${colors.length} classes):`, gridClassBreaks);
+
+    ndviGridLayer.setStyle(feature => {
+        const classIndex = getClassIndex(getGridCellNdvi(feature), gridClassBreaks);
+        return {
+            weight: 0.5,
+            color: '#555',
+            fillColor: classIndex === -1 ? 'transparent' : colors[classIndex],
+            fillOpacity: classIndex === -1 ? 0 : 0.7
+        };
+    });
+    updateGridLegend();
+}
+
+/** Creates, updates or removes the grid legend control based on `gridClassBreaks`. */
+function updateGridLegend() {
+    if (!gridClassBreaks || gridClassBreaks.length < 2) {
+        if (gridLegendControl) {
+            map.removeControl(gridLegendControl);
+            gridLegendControl = null;
+        }
+        return;
+    }
+    if (!gridLegendControl) {
+        gridLegendControl = L.control({ position: 'bottomright' });
+        gridLegendControl.onAdd = function() {
+            return L.DomUtil.create('div', 'grid-legend');
+        };
+        gridLegendControl.addTo(map);
+    }
+
+    const colors = getRampColors(gridRampSelect.value, gridClassBreaks.length - 1);
+    let legendHtml = '<div class="grid-legend-title">NDVI mean</div>';
+    // Highest class first, as on a typical map legend
+    for (let i = colors.length - 1; i >= 0; i--) {
+        legendHtml += `<div><i style="background:${colors[i]}"></i>${gridClassBreaks[i].toFixed(3)} &ndash; ${gridClassBreaks[i + 1].toFixed(3)}</div>`;
+    }
+    gridLegendControl.getContainer().innerHTML = legendHtml;
+}
+
+/** Fills the grid colour ramp select from `COLOR_RAMPS`. */
+function populateGridRampSelect() {
+    gridRampSelect.innerHTML = '';
+    Object.keys(COLOR_RAMPS).forEach(rampName => {
+        const option = document.createElement('option');
+        option.value = rampName;
+        option.textContent = rampName;
+        gridRampSelect.appendChild(option);
+    });
+    const noneOption = document.createElement('option');
+    noneOption.value = 'none';
+    noneOption.textContent = 'None (outlines only)';
+    gridRampSelect.appendChild(noneOption);
+    gridRampSelect.value = DEFAULT_GRID_RAMP;
+}
+
 // =====================================================================
-// SEARCH FUNCTIONALITY
+// NDVI ALERTS
 // =====================================================================
 
 /**
- * Searches for a parcel based on the input value.
- * Prioritizes searching `allParcelsData` (by name, kmlId, location, id).
- * If found in JSON, attempts to find the corresponding KML feature if its village layer is loaded.
- * If not found in JSON, falls back to searching visible KML feature properties directly (less reliable).
+ * Reads the alert thresholds from localStorage (defaults: NDVI_ALERT_DEFAULTS).
+ * @returns {{dropThreshold: number, medianThreshold: number, latestOnly: boolean}}
  */
-function searchLocation() {
-    const searchTerm = searchInput.value.toLowerCase().trim();
-    if (!searchTerm) return;
-    console.log("--- Searching for:", searchTerm, "---");
+function getNdviAlertSettings() {
+    try {
+        return { ...NDVI_ALERT_DEFAULTS, ...JSON.parse(localStorage.getItem(NDVI_ALERT_SETTINGS_KEY) || '{}') };
+    } catch (error) {
+        console.warn("[ALERTS] Ignoring invalid stored alert settings:", error);
+        return { ...NDVI_ALERT_DEFAULTS };
+    }
+}
 
-    let foundParcelData = null;
-    let foundKmlLayer = null;
+/**
+ * Median of a list of numbers.
+ * @param {number[]} values - Non-empty list.
+ * @returns {number}
+ */
+function getMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
 
-    // --- Stage 1: Search within loaded JSON data ---
-    for (const parcel of allParcelsData) {
-        // Construct a string of searchable fields for the parcel
-        const searchableText = `
-            ${parcel.name || ''}
-            ${parcel.kmlId || ''}
-            ${parcel.location || ''}
-            ${parcel.id || ''}
-        `.toLowerCase();
+/**
+ * Scans `ndviStatsData` for every parcel in `allParcelsData` and flags
+ * (a) drops of the mean NDVI between consecutive dates above the threshold and
+ * (b) means well below the median of the parcel's village on the same date.
+ * @param {{dropThreshold: number, medianThreshold: number, latestOnly: boolean}} settings - Alert thresholds.
+ * @returns {object[]} Alerts { kmlId, location, name, date, type: 'drop' | 'belowMedian', message }, newest first.
+ */
+function scanNdviAlerts(settings) {
+    const alerts = [];
+    const getStats = parcel => ndviStatsData[String(parcel.kmlId).trim()]; // CSV keys are trimmed
+    const parcelsWithStats = allParcelsData.filter(getStats);
+
+    // Mean NDVI of each village's parcels per date, for the median comparison
+    const villageMeans = {};
+    parcelsWithStats.forEach(parcel => {
+        Object.entries(getStats(parcel)).forEach(([date, stats]) => {
+            const key = `${parcel.location}|${date}`;
+            (villageMeans[key] = villageMeans[key] || []).push(stats.mean);
+        });
+    });
 
-        if (searchableText.includes(searchTerm)) {
-            foundParcelData = parcel;
-            console.log(`   Found match in JSON data: Parcel ID=${foundParcelData.id}, KML_ID=${foundParcelData.kmlId}, Name=${foundParcelData.name}`);
-            break; // Stop after first match
-        }
-    }
+    parcelsWithStats.forEach(parcel => {
+        const statsByDate = getStats(parcel);
+        const dates = Object.keys(statsByDate).sort(compareDdMmYyyyDates);
+        const checkedDates = settings.latestOnly ? dates.slice(-1) : dates;
+        const addAlert = (date, type, message) => alerts.push({
+            kmlId: String(parcel.kmlId).trim(), location: parcel.location, name: parcel.name, date, type, message
+        });
 
-    // --- Stage 2: Process JSON match ---
-    if (foundParcelData) {
-        const village = foundParcelData.location;
-        // Check if the KML layer for the parcel's village is loaded and on the map
-        if (kmlLayers[village] && map.hasLayer(kmlLayers[village])) {
-            console.log(`   Village layer "${village}" is loaded. Searching for KML feature with KML_ID=${foundParcelData.kmlId}...`);
-            kmlLayers[village].eachLayer(function(layer) {
-                if (layer.feature && String(layer.feature.properties?.PARCEL_NR).trim() === String(foundParcelData.kmlId).trim()) {
-                    foundKmlLayer = layer;
-                    return false; // Stop iterating once found
+        checkedDates.forEach(date => {
+            const mean = statsByDate[date].mean;
+            const previousDate = dates[dates.indexOf(date) - 1];
+            if (previousDate) {
+                const drop = statsByDate[previousDate].mean - mean;
+                if (drop > settings.dropThreshold) {
+                    addAlert(date, 'drop', `Mean NDVI fell by ${drop.toFixed(3)} since ${previousDate} (${statsByDate[previousDate].mean.toFixed(3)} → ${mean.toFixed(3)})`);
                 }
-            });
-
-            if (foundKmlLayer) {
-                console.log(`   Found matching KML feature. Zooming and triggering click.`);
-                map.fitBounds(foundKmlLayer.getBounds());
-                // foundKmlLayer.openPopup(); // Opening popup is handled by the click event
-                foundKmlLayer.fire('click'); // Simulate click to select the parcel
-                return; // Search successful
-            } else {
-                 console.warn(`   Found parcel data in JSON, but couldn't find the corresponding KML feature in the loaded "${village}" layer.`);
-                 alert(`Found data for '${foundParcelData.name}', but its shape (KML ID: ${foundParcelData.kmlId}) could not be located on the map within the '${village}' layer. The KML might be missing this feature or the ID might mismatch.`);
-                 return;
             }
-        } else {
-            console.log(`   Found parcel data in JSON, but the KML layer for its village ("${village}") is not currently loaded/visible.`);
-            alert(`Found data for '${foundParcelData.name}' in location '${village}'. Please enable the '${village}' layer in the layer control to see its location on the map.`);
-            // Optionally, try to programmatically enable the layer?
-            // This is complex with GroupedLayers, might require finding the checkbox and clicking it.
-            return;
-        }
-    }
+            const villageValues = villageMeans[`${parcel.location}|${date}`];
+            if (villageValues.length >= NDVI_ALERT_MIN_VILLAGE_PARCELS) {
+                const median = getMedian(villageValues);
+                if (median - mean > settings.medianThreshold) {
+                    addAlert(date, 'belowMedian', `Mean NDVI ${mean.toFixed(3)} is ${(median - mean).toFixed(3)} below the ${parcel.location} median (${median.toFixed(3)}, ${villageValues.length} parcels)`);
+                }
+            }
+        });
+    });
+    return alerts.sort((a, b) => compareDdMmYyyyDates(b.date, a.date) || a.name.localeCompare(b.name));
+}
 
-    // --- Stage 3: Fallback - Search visible KML features directly (if no JSON match) ---
-    // This searches properties of currently visible KML shapes. Less reliable as it depends on what layers are active.
-    console.log("   No match found in JSON data. Falling back to searching visible KML features...");
-    let fallbackFound = false;
-    const visibleKmlLayers = Object.values(kmlLayers).filter(layer => layer && map.hasLayer(layer));
-
-    for (const kmlLayerGroup of visibleKmlLayers) {
-        if (fallbackFound) break; // Stop if already found in another group
-        kmlLayerGroup.eachLayer(function(layer) {
-             if (layer.feature?.properties) {
-                const props = layer.feature.properties;
-                // Search common KML properties
-                const kmlSearchableText = `
-                    ${props.PARCEL_NR || ''}
-                    ${props.name || ''}
-                    ${props.FARM_ID || ''}
-                    ${props.VILLAGE || ''}
-                    ${props.CROP_NAME2024 || ''}
-                    ${props.CROP_NAME2025 || ''}
-                `.toLowerCase();
-
-                 if (kmlSearchableText.includes(searchTerm)) {
-                     console.log(`   Found fallback match in visible KML feature: KML_ID=${props.PARCEL_NR}, Name=${props.name}`);
-                     map.fitBounds(layer.getBounds());
-                     layer.openPopup(); // Open popup directly for fallback matches
-                     // Don't fire 'click' here, as it might trigger unwanted layer loading if no JSON data exists
-                     fallbackFound = true;
-                     return false; // Stop iterating within this group
-                 }
-             }
-         });
-    }
+/**
+ * Re-runs the alert scan with the stored settings, restyles the KML features
+ * and refreshes the alerts button and panel.
+ */
+function updateNdviAlerts() {
+    const settings = getNdviAlertSettings();
+    ndviAlerts = scanNdviAlerts(settings);
+    ndviAlertsByKmlId = {};
+    ndviAlerts.forEach(ndviAlert => {
+        (ndviAlertsByKmlId[ndviAlert.kmlId] = ndviAlertsByKmlId[ndviAlert.kmlId] || []).push(ndviAlert);
+    });
+    console.log(`[ALERTS] ${ndviAlerts.length} alert(s) on ${Object.keys(ndviAlertsByKmlId).length} parcel(s).`);
+
+    refreshKmlFeatures(); // Flagged parcels get the alert style
+    const flaggedCount = Object.keys(ndviAlertsByKmlId).length;
+    alertsBtn.textContent = flaggedCount > 0 ? `NDVI Alerts (${flaggedCount})` : 'NDVI Alerts';
+    alertsBtn.classList.toggle('has-alerts', flaggedCount > 0);
+    renderNdviAlertsPanel();
+}
+
+/**
+ * Opens the alerts panel with the current settings.
+ */
+function openNdviAlertsPanel() {
+    const settings = getNdviAlertSettings();
+    alertDropThresholdInput.value = settings.dropThreshold;
+    alertMedianThresholdInput.value = settings.medianThreshold;
+    alertLatestOnlyCheckbox.checked = settings.latestOnly;
+    alertsPanel.style.display = 'flex';
+    renderNdviAlertsPanel();
+}
+
+/**
+ * Stores the thresholds entered in the alerts panel and re-scans.
+ */
+function handleNdviAlertSettingsChange() {
+    const dropThreshold = parseFloat(alertDropThresholdInput.value);
+    const medianThreshold = parseFloat(alertMedianThresholdInput.value);
+    const settings = {
+        dropThreshold: isNaN(dropThreshold) || dropThreshold < 0 ? NDVI_ALERT_DEFAULTS.dropThreshold : dropThreshold,
+        medianThreshold: isNaN(medianThreshold) || medianThreshold < 0 ? NDVI_ALERT_DEFAULTS.medianThreshold : medianThreshold,
+        latestOnly: alertLatestOnlyCheckbox.checked
+    };
+    localStorage.setItem(NDVI_ALERT_SETTINGS_KEY, JSON.stringify(settings));
+    updateNdviAlerts();
+}
 
-    // --- Stage 4: No Results ---
-    if (!fallbackFound) {
-         console.log("   Search term not found in JSON data or visible KML features.");
-        alert(`Location "${searchInput.value}" not found.`);
+/**
+ * Lists the alerts in the panel, each with a link that selects the parcel on the flagged date.
+ */
+function renderNdviAlertsPanel() {
+    if (alertsPanel.style.display !== 'flex') return;
+    alertsList.innerHTML = '';
+    if (ndviAlerts.length === 0) {
+        alertsList.innerHTML = '<span class="draft-empty">No parcels flagged with the current thresholds.</span>';
+        return;
     }
-     console.log("--- Search Complete ---");
+    ndviAlerts.forEach(ndviAlert => {
+        const item = document.createElement('div');
+        item.className = `ndvi-alert-item ndvi-alert-${ndviAlert.type}`;
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = `${ndviAlert.name} (${ndviAlert.location}) - ${ndviAlert.date}`;
+        link.addEventListener('click', event => {
+            event.preventDefault();
+            showNdviAlert(ndviAlert);
+        });
+        const message = document.createElement('div');
+        message.className = 'ndvi-alert-message';
+        message.textContent = ndviAlert.message;
+        item.appendChild(link);
+        item.appendChild(message);
+        alertsList.appendChild(item);
+    });
 }
 
+/**
+ * Selects the flagged parcel on the flagged date and zooms to it.
+ * @param {object} ndviAlert - Alert from `scanNdviAlerts`.
+ */
+async function showNdviAlert(ndviAlert) {
+    console.log(`[ALERTS] Showing alert for ${ndviAlert.kmlId} on ${ndviAlert.date}`);
+    const found = await selectParcelByKmlId(ndviAlert.kmlId, ndviAlert.date, ndviAlert.location);
+    const featureLayer = found ? findKmlFeatureLayer(ndviAlert.kmlId, ndviAlert.location) : null;
+    if (featureLayer) {
+        map.fitBounds(featureLayer.getBounds());
+    } else {
+        alert(`The shape of '${ndviAlert.name}' (KML ID: ${ndviAlert.kmlId}) could not be found in the '${ndviAlert.location}' KML layer.`);
+    }
+}
 
 // =====================================================================
-// PLAY BUTTON FUNCTIONALITY
+// SCOUTING NOTES
 // =====================================================================
+// Geotagged field notes (with an optional photo) are stored in the
+// SCOUTING_STORE object store, linked to the parcel's KML ID and village.
+
+/**
+ * Loads the notes from IndexedDB, creates the note markers layer and wires the note panels.
+ */
+async function setupScoutingNotes() {
+    scoutingNotesLayer = L.layerGroup().addTo(map);
+
+    notesBtn.addEventListener('click', openNotesPanel);
+    closeNotesBtn.addEventListener('click', () => {
+        notesPanel.style.display = 'none';
+    });
+    [notesParcelFilterSelect, notesCategoryFilterSelect].forEach(select => {
+        select.addEventListener('change', renderNotesPanel);
+    });
+    showNotesCheckbox.addEventListener('change', () => {
+        if (showNotesCheckbox.checked) map.addLayer(scoutingNotesLayer);
+        else map.removeLayer(scoutingNotesLayer);
+    });
+    exportNotesBtn.addEventListener('click', exportScoutingNotes);
+    closeNoteFormBtn.addEventListener('click', closeNoteForm);
+    cancelNoteBtn.addEventListener('click', closeNoteForm);
+    saveNoteBtn.addEventListener('click', saveScoutingNote);
+    deleteNoteBtn.addEventListener('click', deleteScoutingNote);
+    notePhotoInput.addEventListener('change', () => {
+        const file = notePhotoInput.files[0];
+        if (file) showNotePhotoPreview(URL.createObjectURL(file));
+    });
+    cancelNotePlacementBtn.addEventListener('click', stopNotePlacement);
+
+    Object.entries(SCOUTING_CATEGORIES).forEach(([key, category]) => {
+        noteCategorySelect.add(new Option(category.label, key));
+        notesCategoryFilterSelect.add(new Option(category.label, key));
+    });
+
+    // "Add Scouting Note" in parcel popups, "Edit Note" in note popups
+    map.on('popupopen', e => {
+        const popupNode = e.popup.getElement();
+        const addNoteButton = popupNode?.querySelector('.add-note-btn');
+        if (addNoteButton && e.popup._source?.feature) {
+            L.DomEvent.on(addNoteButton, 'click', () => startNotePlacement(e.popup._source.feature));
+        }
+        const editNoteButton = popupNode?.querySelector('.edit-note-btn');
+        if (editNoteButton) {
+            L.DomEvent.on(editNoteButton, 'click', () => {
+                const note = scoutingNotes.find(n => n.id === editNoteButton.dataset.noteId);
+                map.closePopup();
+                if (note) openNoteForm(note);
+            });
+        }
+    });
+    // Parcel clicks are handled in setupKmlFeature; this catches clicks outside any parcel
+    map.on('click', e => {
+        if (notePlacement) placeNoteAt(e.latlng);
+    });
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && notePlacement) stopNotePlacement();
+    });
+
+    try {
+        scoutingNotes = await runStoreRequest(SCOUTING_STORE, 'readonly', store => store.getAll());
+        console.log(`[NOTES] Loaded ${scoutingNotes.length} scouting note(s).`);
+    } catch (error) {
+        console.warn("[NOTES] Could not read scouting notes from browser storage:", error);
+        scoutingNotes = [];
+    }
+    handleScoutingNotesChanged();
+}
+
+/**
+ * Returns the notes of a parcel, newest first.
+ * @param {string} kmlId - The parcel's KML ID.
+ * @param {string} [villageName] - Only notes placed in this village (KML IDs can repeat across villages).
+ * @returns {object[]} Note records.
+ */
+function getParcelNotes(kmlId, villageName) {
+    return scoutingNotes
+        .filter(note => note.kmlId === String(kmlId).trim() && (!villageName || note.village === villageName))
+        .sort((a, b) => compareDdMmYyyyDates(b.date, a.date) || b.createdAt - a.createdAt);
+}
+
+/**
+ * Tests whether a point lies inside a Polygon or MultiPolygon (holes excluded).
+ * @param {number[]} point - [lng, lat].
+ * @param {object} geometry - GeoJSON geometry.
+ * @returns {boolean}
+ */
+function isPointInGeometry(point, geometry) {
+    return getGeometryRings(geometry).filter(ring => isPointInRing(point, ring)).length % 2 === 1;
+}
+
+/**
+ * Starts waiting for the map click that places a new note inside a parcel.
+ * @param {object} feature - The parcel's GeoJSON feature from the KML.
+ */
+function startNotePlacement(feature) {
+    if (boundaryEditSession) return; // Parcel clicks are disabled while a boundary is edited
+    map.closePopup();
+    if (measuring) finishMeasurement();
+    if (inspectMode) stopInspectMode();
+    const kmlId = String(feature.properties.PARCEL_NR).trim();
+    notePlacement = { kmlId, village: feature.properties.VILLAGE || '', feature };
+    notePlacementHint.textContent = `Click inside parcel ${kmlId} to place the note.`;
+    notePlacementBar.style.display = 'flex';
+    map.getContainer().classList.add('note-placement-mode');
+    console.log(`[NOTES] Waiting for a click inside parcel ${kmlId} (${notePlacement.village}).`);
+}
+
+/**
+ * Leaves note placement mode.
+ */
+function stopNotePlacement() {
+    notePlacement = null;
+    notePlacementBar.style.display = 'none';
+    map.getContainer().classList.remove('note-placement-mode');
+}
+
+/**
+ * Handles the placement click: opens the note form if the point is inside the parcel.
+ * @param {L.LatLng} latlng - The clicked position.
+ */
+function placeNoteAt(latlng) {
+    const { kmlId, village, feature } = notePlacement;
+    if (!isPointInGeometry([latlng.lng, latlng.lat], feature.geometry)) {
+        notePlacementHint.textContent = `That point is outside parcel ${kmlId}. Click inside its boundary.`;
+        return;
+    }
+    stopNotePlacement();
+    openNoteForm({ kmlId, village, lat: latlng.lat, lng: latlng.lng });
+}
+
+/**
+ * Opens the note form for a new note (no `id`) or an existing one.
+ * @param {object} note - A stored note, or { kmlId, village, lat, lng } for a new note.
+ */
+function openNoteForm(note) {
+    editingNote = note;
+    const parcel = findParcelByKmlId(note.kmlId);
+    noteFormTitle.textContent = note.id ? 'Edit Scouting Note' : 'New Scouting Note';
+    noteFormParcel.textContent = `Parcel ${parcel?.name || note.kmlId} (KML ID: ${note.kmlId}, ${note.village || 'no village'}) at ${note.lat.toFixed(6)}, ${note.lng.toFixed(6)}`;
+    noteCategorySelect.value = note.category || Object.keys(SCOUTING_CATEGORIES)[0];
+    // <input type="date"> uses YYYY-MM-DD, notes use the app's DD-MM-YYYY
+    const today = new Date();
+    noteDateInput.value = note.date ? note.date.split('-').reverse().join('-')
+        : `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    noteTextInput.value = note.text || '';
+    notePhotoInput.value = '';
+    if (note.photo) showNotePhotoPreview(getNotePhotoUrl(note));
+    else notePhotoPreview.style.display = 'none';
+    deleteNoteBtn.style.display = note.id ? '' : 'none';
+    noteFormStatus.textContent = '';
+    noteFormPanel.style.display = 'flex';
+}
+
+/**
+ * Closes the note form without saving.
+ */
+function closeNoteForm() {
+    noteFormPanel.style.display = 'none';
+    editingNote = null;
+}
+
+/**
+ * Shows a photo in the note form.
+ * @param {string} url - Object URL of the photo.
+ */
+function showNotePhotoPreview(url) {
+    notePhotoPreview.src = url;
+    notePhotoPreview.style.display = 'block';
+}
+
+/**
+ * Returns a (cached) object URL for a note's photo.
+ * @param {object} note - Note record with a `photo` Blob.
+ * @returns {string}
+ */
+function getNotePhotoUrl(note) {
+    if (!notePhotoUrls[note.id]) notePhotoUrls[note.id] = URL.createObjectURL(note.photo);
+    return notePhotoUrls[note.id];
+}
+
+/**
+ * Validates the note form and stores the note in IndexedDB.
+ */
+async function saveScoutingNote() {
+    const date = parseCsvDate(noteDateInput.value || '');
+    const text = noteTextInput.value.trim();
+    const newPhoto = notePhotoInput.files[0] || null;
+    if (!date) {
+        noteFormStatus.textContent = 'Please enter a valid date.';
+        noteFormStatus.style.color = 'red';
+        return;
+    }
+    if (!text && !newPhoto && !editingNote.photo) {
+        noteFormStatus.textContent = 'Please enter a note or attach a photo.';
+        noteFormStatus.style.color = 'red';
+        return;
+    }
+
+    const note = {
+        ...editingNote,
+        id: editingNote.id || `note-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        category: noteCategorySelect.value,
+        date,
+        text,
+        createdAt: editingNote.createdAt || Date.now(),
+        updatedAt: Date.now()
+    };
+    if (newPhoto) {
+        note.photo = newPhoto;
+        note.photoName = newPhoto.name;
+        if (notePhotoUrls[note.id]) URL.revokeObjectURL(notePhotoUrls[note.id]);
+        delete notePhotoUrls[note.id];
+    }
+
+    try {
+        await runStoreRequest(SCOUTING_STORE, 'readwrite', store => store.put(note));
+    } catch (error) {
+        console.error("[NOTES] Could not save scouting note:", error);
+        noteFormStatus.textContent = `Could not save the note: ${error.message}`;
+        noteFormStatus.style.color = 'red';
+        return;
+    }
+    console.log(`[NOTES] Saved note ${note.id} for parcel ${note.kmlId}.`);
+    scoutingNotes = scoutingNotes.filter(n => n.id !== note.id).concat(note);
+    closeNoteForm();
+    handleScoutingNotesChanged();
+}
+
+/**
+ * Deletes the note shown in the note form after confirmation.
+ */
+async function deleteScoutingNote() {
+    if (!editingNote?.id || !confirm('Delete this scouting note?')) return;
+    const noteId = editingNote.id;
+    try {
+        await runStoreRequest(SCOUTING_STORE, 'readwrite', store => store.delete(noteId));
+    } catch (error) {
+        console.error("[NOTES] Could not delete scouting note:", error);
+        noteFormStatus.textContent = `Could not delete the note: ${error.message}`;
+        noteFormStatus.style.color = 'red';
+        return;
+    }
+    if (notePhotoUrls[noteId]) URL.revokeObjectURL(notePhotoUrls[noteId]);
+    delete notePhotoUrls[noteId];
+    scoutingNotes = scoutingNotes.filter(n => n.id !== noteId);
+    closeNoteForm();
+    handleScoutingNotesChanged();
+}
+
+/**
+ * Refreshes everything that shows notes: markers, parcel popups, slider marks and the notes panel.
+ */
+function handleScoutingNotesChanged() {
+    renderScoutingNoteMarkers();
+    refreshKmlFeatures(); // Popups list the parcel's notes
+    updateSliderNoteMarkers();
+    notesBtn.textContent = scoutingNotes.length > 0 ? `Scouting Notes (${scoutingNotes.length})` : 'Scouting Notes';
+    renderNotesPanel();
+}
+
+/**
+ * Builds the popup HTML of a note marker.
+ * @param {object} note - Note record.
+ * @returns {string} Popup HTML.
+ */
+function buildNotePopupContent(note) {
+    const category = SCOUTING_CATEGORIES[note.category] || SCOUTING_CATEGORIES.other;
+    const parcel = findParcelByKmlId(note.kmlId);
+    let content = `<b style="color:${category.color};">${category.label}</b> - ${note.date}<br>`;
+    content += `<b>Parcel:</b> ${escapeHtml(parcel?.name || note.kmlId)} (${escapeHtml(note.village || 'N/A')})<br>`;
+    if (note.text) content += `<div class="note-popup-text">${escapeHtml(note.text)}</div>`;
+    if (note.photo) {
+        content += `<a href="${getNotePhotoUrl(note)}" target="_blank"><img class="note-popup-photo" src="${getNotePhotoUrl(note)}" alt="Note photo"></a>`;
+    }
+    content += `<button type="button" class="edit-note-btn" data-note-id="${note.id}">Edit Note</button>`;
+    return content;
+}
+
+/**
+ * Re-creates the note markers on the map.
+ */
+function renderScoutingNoteMarkers() {
+    scoutingNotesLayer.clearLayers();
+    scoutingNotes.forEach(note => {
+        const category = SCOUTING_CATEGORIES[note.category] || SCOUTING_CATEGORIES.other;
+        const marker = L.circleMarker([note.lat, note.lng], {
+            radius: 7, color: 'white', weight: 2, fillColor: category.color, fillOpacity: 1
+        });
+        marker.noteId = note.id;
+        marker.bindTooltip(`${category.label} (${note.date})`, { direction: 'top' });
+        marker.bindPopup(() => buildNotePopupContent(note), { maxWidth: 260 });
+        scoutingNotesLayer.addLayer(marker);
+    });
+}
+
+/**
+ * Marks the notes of the selected parcel below the time slider, each next to the
+ * acquisition date closest to the note's date. Clicking a mark shows that date.
+ */
+function updateSliderNoteMarkers() {
+    sliderNoteMarkers.innerHTML = '';
+    if (!currentParcel || availableDates.length < 2) return;
+
+    const distance = (a, b) => Math.abs(compareDdMmYyyyDates(a, b));
+    const notesByDateIndex = {};
+    getParcelNotes(currentParcel.kmlId, currentParcel.location).forEach(note => {
+        let nearestIndex = 0;
+        availableDates.forEach((date, index) => {
+            if (distance(date, note.date) < distance(availableDates[nearestIndex], note.date)) nearestIndex = index;
+        });
+        (notesByDateIndex[nearestIndex] = notesByDateIndex[nearestIndex] || []).push(note);
+    });
+
+    Object.entries(notesByDateIndex).forEach(([index, notes]) => {
+        const mark = document.createElement('div');
+        mark.className = 'slider-note-marker';
+        // Align with the slider thumb centre (8px from each end)
+        mark.style.left = `calc(8px + (100% - 16px) * ${index / (availableDates.length - 1)})`;
+        mark.style.backgroundColor = (SCOUTING_CATEGORIES[notes[0].category] || SCOUTING_CATEGORIES.other).color;
+        mark.textContent = notes.length > 1 ? notes.length : '';
+        mark.title = `Near ${availableDates[index]}:\n` + notes
+            .map(note => `${note.date} ${(SCOUTING_CATEGORIES[note.category] || SCOUTING_CATEGORIES.other).label}: ${note.text || '(photo)'}`)
+            .join('\n');
+        mark.addEventListener('click', () => {
+            timeSlider.value = index;
+            updateTileLayer();
+        });
+        sliderNoteMarkers.appendChild(mark);
+    });
+}
+
+/**
+ * Opens the notes list panel.
+ */
+function openNotesPanel() {
+    notesPanel.style.display = 'flex';
+    renderNotesPanel();
+}
+
+/**
+ * Lists the notes matching the panel filters, newest first. Clicking a note zooms to it.
+ */
+function renderNotesPanel() {
+    if (notesPanel.style.display !== 'flex') return;
+    const selectedOnly = notesParcelFilterSelect.value === 'selected';
+    const category = notesCategoryFilterSelect.value;
+    const notes = (selectedOnly ? (currentParcel ? getParcelNotes(currentParcel.kmlId, currentParcel.location) : []) : [...scoutingNotes])
+        .filter(note => !category || note.category === category)
+        .sort((a, b) => compareDdMmYyyyDates(b.date, a.date) || b.createdAt - a.createdAt);
+
+    notesCount.textContent = `${notes.length} of ${scoutingNotes.length} note(s)`;
+    notesList.innerHTML = '';
+    if (notes.length === 0) {
+        notesList.innerHTML = `<span class="draft-empty">${selectedOnly && !currentParcel ? 'No parcel selected.' : 'No scouting notes.'}</span>`;
+        return;
+    }
+    notes.forEach(note => {
+        const noteCategory = SCOUTING_CATEGORIES[note.category] || SCOUTING_CATEGORIES.other;
+        const parcel = findParcelByKmlId(note.kmlId);
+        const item = document.createElement('div');
+        item.className = 'note-list-item';
+        item.style.borderLeftColor = noteCategory.color;
+        item.innerHTML = `<b>${note.date}</b> ${noteCategory.label}${note.photo ? ' [photo]' : ''}`
+            + ` - ${escapeHtml(parcel?.name || note.kmlId)} (${escapeHtml(note.village || 'N/A')})`
+            + `<div class="note-list-text">${escapeHtml(note.text)}</div>`;
+        item.addEventListener('click', () => showScoutingNote(note.id));
+        notesList.appendChild(item);
+    });
+}
+
+/**
+ * Zooms to a note and opens its popup.
+ * @param {string} noteId - The note ID.
+ */
+function showScoutingNote(noteId) {
+    const marker = scoutingNotesLayer.getLayers().find(layer => layer.noteId === noteId);
+    if (!marker) return;
+    if (!map.hasLayer(scoutingNotesLayer)) {
+        showNotesCheckbox.checked = true;
+        map.addLayer(scoutingNotesLayer);
+    }
+    map.setView(marker.getLatLng(), Math.max(map.getZoom(), 17));
+    marker.openPopup();
+}
+
+/**
+ * Reads a Blob as a data URL.
+ * @param {Blob} blob - The Blob.
+ * @returns {Promise<string>}
+ */
+function readBlobAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Downloads all notes as a GeoJSON FeatureCollection of points. Photos are
+ * embedded as data URLs when "Include photos" is ticked.
+ */
+async function exportScoutingNotes() {
+    if (scoutingNotes.length === 0) {
+        alert('There are no scouting notes to export.');
+        return;
+    }
+    const includePhotos = notesIncludePhotosCheckbox.checked;
+    const features = await Promise.all(scoutingNotes.map(async note => {
+        const properties = {
+            id: note.id,
+            kmlId: note.kmlId,
+            village: note.village,
+            parcelName: findParcelByKmlId(note.kmlId)?.name || null,
+            category: note.category,
+            date: note.date,
+            text: note.text,
+            createdAt: new Date(note.createdAt).toISOString(),
+            photoName: note.photoName || null
+        };
+        if (includePhotos && note.photo) properties.photo = await readBlobAsDataUrl(note.photo);
+        return { type: 'Feature', geometry: { type: 'Point', coordinates: [note.lng, note.lat] }, properties };
+    }));
+    const collection = { type: 'FeatureCollection', features };
+    downloadTextFile(JSON.stringify(collection, null, 2), `scouting_notes_${new Date().toISOString().slice(0, 10)}.geojson`, 'application/geo+json');
+    console.log(`[NOTES] Exported ${features.length} note(s).`);
+}
+
+
+// =====================================================================
+// MEASUREMENT TOOLS & DECLARED AREA CHECK
+// =====================================================================
+
+/**
+ * Adds the measure control (distance / area / clear) and the "Check Area" popup handler.
+ */
+function setupMeasureTools() {
+    measureLayer = L.layerGroup().addTo(map);
+    measureControl = L.control({ position: 'topleft' });
+    measureControl.onAdd = function() {
+        const container = L.DomUtil.create('div', 'measure-control leaflet-bar');
+        container.innerHTML = `
+            <a href="#" role="button" data-measure="line" title="Measure distance (click points, double-click to finish)">Distance</a>
+            <a href="#" role="button" data-measure="area" title="Measure area (click points, double-click to finish)">Area</a>
+            <a href="#" role="button" data-measure="clear" title="Clear measurement">Clear</a>
+            <div class="measure-result"></div>`;
+        L.DomEvent.disableClickPropagation(container);
+        container.querySelectorAll('a[data-measure]').forEach(button => {
+            L.DomEvent.on(button, 'click', e => {
+                L.DomEvent.preventDefault(e);
+                if (button.dataset.measure === 'clear') clearMeasurement();
+                else startMeasurement(button.dataset.measure);
+            });
+        });
+        return container;
+    };
+    measureControl.addTo(map);
+
+    // Parcel clicks are handled in setupKmlFeature; these catch all other map clicks
+    map.on('click', e => {
+        if (measuring) addMeasurePoint(e.latlng);
+    });
+    map.on('dblclick', () => {
+        if (measuring) finishMeasurement();
+    });
+    map.on('mousemove', e => {
+        if (measuring && measurePoints.length > 0) renderMeasurement(e.latlng);
+    });
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && measuring) finishMeasurement();
+    });
+
+    // "Check Area" in parcel popups
+    map.on('popupopen', e => {
+        const popupNode = e.popup.getElement();
+        const checkButton = popupNode?.querySelector('.check-area-btn');
+        if (checkButton && e.popup._source?.feature) {
+            L.DomEvent.on(checkButton, 'click', () => {
+                showDeclaredAreaCheck(e.popup._source.feature, popupNode.querySelector('.area-check-result'));
+            });
+        }
+    });
+}
+
+/**
+ * Starts a new distance or area measurement (clicking the active tool again finishes it).
+ * @param {'line' | 'area'} mode - The measurement type.
+ */
+function startMeasurement(mode) {
+    if (measuring && measureMode === mode) {
+        finishMeasurement();
+        return;
+    }
+    if (notePlacement) stopNotePlacement();
+    if (inspectMode) stopInspectMode();
+    map.closePopup();
+    measureMode = mode;
+    measuring = true;
+    measurePoints = [];
+    measureLayer.clearLayers();
+    map.doubleClickZoom.disable(); // Double-click finishes the measurement
+    map.getContainer().classList.add('measure-mode');
+    measureControl.getContainer().querySelectorAll('a[data-measure]').forEach(button => {
+        button.classList.toggle('measure-active', button.dataset.measure === mode);
+    });
+    setMeasureResult(`Click on the map to add points, double-click to finish.`);
+}
+
+/**
+ * Adds a vertex to the current measurement.
+ * @param {L.LatLng} latlng - The clicked position.
+ */
+function addMeasurePoint(latlng) {
+    // The two clicks of a finishing double-click land on the same spot
+    if (measurePoints.length > 0 && measurePoints[measurePoints.length - 1].equals(latlng)) return;
+    measurePoints.push(latlng);
+    renderMeasurement();
+}
+
+/**
+ * Ends the current measurement and keeps the measured shape on the map.
+ */
+function finishMeasurement() {
+    measuring = false;
+    map.doubleClickZoom.enable();
+    map.getContainer().classList.remove('measure-mode');
+    measureControl.getContainer().querySelectorAll('a[data-measure]').forEach(button => {
+        button.classList.remove('measure-active');
+    });
+    renderMeasurement();
+}
+
+/**
+ * Removes the measured shape and result.
+ */
+function clearMeasurement() {
+    if (measuring) finishMeasurement();
+    measurePoints = [];
+    measureLayer.clearLayers();
+    setMeasureResult('');
+}
+
+/**
+ * Draws the measured shape and shows its length or area.
+ * @param {L.LatLng} [cursorLatLng] - Current mouse position, previewed as the next vertex while measuring.
+ */
+function renderMeasurement(cursorLatLng) {
+    const isArea = measureMode === 'area';
+    const points = cursorLatLng ? [...measurePoints, cursorLatLng] : measurePoints;
+    measureLayer.clearLayers();
+    if (points.length === 0) return;
+
+    const shapeStyle = { color: '#ffeb3b', weight: 3, dashArray: measuring ? '6, 6' : null, interactive: false };
+    if (isArea && points.length > 2) {
+        L.polygon(points, { ...shapeStyle, fillOpacity: 0.2 }).addTo(measureLayer);
+    } else {
+        L.polyline(points, shapeStyle).addTo(measureLayer);
+    }
+    measurePoints.forEach(point => {
+        L.circleMarker(point, { radius: 4, color: '#333', weight: 1, fillColor: '#ffeb3b', fillOpacity: 1, interactive: false }).addTo(measureLayer);
+    });
+
+    let length = 0;
+    for (let i = 1; i < points.length; i++) length += points[i - 1].distanceTo(points[i]);
+    if (isArea) {
+        if (points.length < 3) {
+            setMeasureResult('Add at least 3 points to measure an area.');
+            return;
+        }
+        const perimeter = length + points[points.length - 1].distanceTo(points[0]);
+        setMeasureResult(`<b>Area:</b> ${formatArea(computeGeodesicArea(points))}<br><b>Perimeter:</b> ${formatLength(perimeter)}`);
+    } else {
+        const lastSegment = points.length > 1 ? points[points.length - 2].distanceTo(points[points.length - 1]) : 0;
+        setMeasureResult(`<b>Distance:</b> ${formatLength(length)}<br><b>Last segment:</b> ${formatLength(lastSegment)}`);
+    }
+}
+
+/**
+ * Shows HTML in the measure control's result area (hidden when empty).
+ * @param {string} html - Result HTML.
+ */
+function setMeasureResult(html) {
+    const resultDiv = measureControl.getContainer().querySelector('.measure-result');
+    resultDiv.innerHTML = html;
+    resultDiv.style.display = html ? 'block' : 'none';
+}
+
+/**
+ * Formats a length for display.
+ * @param {number} meters - Length in metres.
+ * @returns {string} e.g. "245.3 m" or "1.284 km".
+ */
+function formatLength(meters) {
+    return meters < 1000 ? `${meters.toFixed(1)} m` : `${(meters / 1000).toFixed(3)} km`;
+}
+
+/**
+ * Formats an area in m², hectares and ares.
+ * @param {number} squareMeters - Area in m².
+ * @returns {string} e.g. "12,345 m² | 1.2345 ha | 123.45 ares".
+ */
+function formatArea(squareMeters) {
+    return `${Math.round(squareMeters).toLocaleString()} m² | ${(squareMeters / 10000).toFixed(4)} ha | ${(squareMeters / 100).toFixed(2)} ares`;
+}
+
+/**
+ * Compares a KML parcel's computed polygon area with its declared AREA_DEC (hectares).
+ * @param {object} feature - The parcel's GeoJSON feature.
+ * @returns {{computedHa: number, declaredHa: number | null, differenceHa: number | null,
+ *            differencePercent: number | null, withinTolerance: boolean | null}}
+ *          Comparison; the declared values are null if AREA_DEC is missing or not numeric.
+ */
+function checkDeclaredArea(feature) {
+    const computedHa = computeGeoJsonArea(feature.geometry) / 10000;
+    const declaredHa = parseCsvNumber(String(feature.properties?.AREA_DEC ?? ''));
+    if (isNaN(declaredHa) || declaredHa <= 0) {
+        return { computedHa, declaredHa: null, differenceHa: null, differencePercent: null, withinTolerance: null };
+    }
+    const differenceHa = computedHa - declaredHa;
+    const differencePercent = differenceHa / declaredHa * 100;
+    return { computedHa, declaredHa, differenceHa, differencePercent, withinTolerance: Math.abs(differencePercent) <= AREA_DEC_TOLERANCE_PERCENT };
+}
+
+/**
+ * Shows the declared area check of a parcel in its popup.
+ * @param {object} feature - The parcel's GeoJSON feature.
+ * @param {HTMLElement} resultDiv - The popup's result element.
+ */
+function showDeclaredAreaCheck(feature, resultDiv) {
+    const check = checkDeclaredArea(feature);
+    console.log(`[AREA] Parcel ${feature.properties?.PARCEL_NR}:`, check);
+    if (check.declaredHa === null) {
+        resultDiv.innerHTML = `Computed: <b>${check.computedHa.toFixed(4)} ha</b>. No numeric declared area (AREA_DEC) to compare with.`;
+        resultDiv.style.color = '#555';
+        return;
+    }
+    const sign = check.differenceHa >= 0 ? '+' : '';
+    resultDiv.innerHTML = `Computed: <b>${check.computedHa.toFixed(4)} ha</b>, declared: <b>${check.declaredHa.toFixed(4)} ha</b><br>`
+        + `Difference: ${sign}${check.differenceHa.toFixed(4)} ha (${sign}${check.differencePercent.toFixed(1)}%) - `
+        + (check.withinTolerance ? 'OK' : `<b>mismatch</b> (tolerance ±${AREA_DEC_TOLERANCE_PERCENT}%)`);
+    resultDiv.style.color = check.withinTolerance ? 'green' : 'red';
+}
+
+
+// =====================================================================
+// PARCEL BOUNDARY EDITING
+// =====================================================================
+// Drawn and edited geometries are stored in the BOUNDARIES_STORE object
+// store and applied over the KML file features by buildKmlIndex. Drawing,
+// vertex editing and snapping use Leaflet-Geoman (map.pm).
+
+/**
+ * Reads the stored boundary edits once.
+ * @returns {Promise<void>} Resolves when `boundaryEdits` is filled (empty if storage is unavailable).
+ */
+function loadBoundaryEdits() {
+    if (boundaryEditsPromise) return boundaryEditsPromise;
+    boundaryEditsPromise = runStoreRequest(BOUNDARIES_STORE, 'readonly', store => store.getAll())
+        .then(records => {
+            boundaryEdits = {};
+            records.forEach(record => { boundaryEdits[record.id] = record; });
+            console.log(`[BOUNDARY] Loaded ${records.length} boundary edit(s).`);
+        })
+        .catch(error => {
+            console.warn("[BOUNDARY] Could not read boundary edits from browser storage:", error);
+        });
+    return boundaryEditsPromise;
+}
+
+/**
+ * Adds the boundary control (draw / list) and wires the boundary panels.
+ */
+function setupBoundaryEditing() {
+    const boundaryControl = L.control({ position: 'topleft' });
+    boundaryControl.onAdd = function() {
+        const container = L.DomUtil.create('div', 'boundary-control leaflet-bar');
+        container.innerHTML = `
+            <a href="#" role="button" data-boundary="draw" title="Draw a new parcel boundary">Draw Parcel</a>
+            <a href="#" role="button" data-boundary="list" title="Edited boundaries and KML/GeoJSON export">Boundaries</a>`;
+        L.DomEvent.disableClickPropagation(container);
+        container.querySelectorAll('a[data-boundary]').forEach(button => {
+            L.DomEvent.on(button, 'click', e => {
+                L.DomEvent.preventDefault(e);
+                if (button.dataset.boundary === 'draw') startBoundaryDrawing();
+                else openBoundariesPanel();
+            });
+        });
+        return container;
+    };
+    boundaryControl.addTo(map);
+
+    closeBoundaryFormBtn.addEventListener('click', cancelBoundaryEdit);
+    cancelBoundaryBtn.addEventListener('click', cancelBoundaryEdit);
+    saveBoundaryBtn.addEventListener('click', saveBoundaryEdit);
+    deleteBoundaryBtn.addEventListener('click', deleteBoundary);
+    useComputedAreaBtn.addEventListener('click', () => {
+        boundaryAreaDecInput.value = (computeGeoJsonArea(boundaryEditSession.layer.toGeoJSON().geometry) / 10000).toFixed(2);
+    });
+    closeBoundariesBtn.addEventListener('click', () => {
+        boundariesPanel.style.display = 'none';
+    });
+    exportBoundariesKmlBtn.addEventListener('click', () => exportBoundaries('kml'));
+    exportBoundariesGeoJsonBtn.addEventListener('click', () => exportBoundaries('geojson'));
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && boundaryEditSession?.mode === 'draw') cancelBoundaryEdit();
+    });
+
+    // "Edit Boundary" in parcel popups
+    map.on('popupopen', e => {
+        const popupNode = e.popup.getElement();
+        const editBoundaryButton = popupNode?.querySelector('.edit-boundary-btn');
+        if (editBoundaryButton && e.popup._source?.feature) {
+            L.DomEvent.on(editBoundaryButton, 'click', () => startBoundaryEdit(e.popup._source));
+        }
+    });
+
+    if (map.pm) {
+        map.pm.setGlobalOptions({ snappable: true, snapDistance: BOUNDARY_SNAP_DISTANCE, allowSelfIntersection: false });
+        map.on('pm:create', e => {
+            if (boundaryEditSession?.mode !== 'draw') return;
+            e.layer.pm.enable(); // Vertices can be adjusted until the boundary is saved
+            openBoundaryForm({ mode: 'new', layer: e.layer, feature: null });
+        });
+    }
+}
+
+/**
+ * Checks that the drawing library is available and no other boundary is being edited.
+ * @returns {boolean} True if a boundary session can start.
+ */
+function canStartBoundarySession() {
+    if (!map.pm) {
+        alert("The drawing library could not be loaded. Check the connection and reload the page.");
+        return false;
+    }
+    if (boundaryEditSession) {
+        alert("Finish or cancel the boundary you are editing first.");
+        return false;
+    }
+    if (notePlacement) stopNotePlacement();
+    if (measuring) finishMeasurement();
+    if (inspectMode) stopInspectMode();
+    map.closePopup();
+    return true;
+}
+
+/**
+ * Starts drawing a new parcel polygon. The attribute form opens once the polygon is closed.
+ */
+function startBoundaryDrawing() {
+    if (boundaryEditSession?.mode === 'draw') {
+        cancelBoundaryEdit(); // Clicking "Draw Parcel" again stops drawing
+        return;
+    }
+    if (!canStartBoundarySession()) return;
+    boundaryEditSession = { mode: 'draw', layer: null, feature: null };
+    map.getContainer().classList.add('boundary-editing');
+    map.pm.enableDraw('Polygon');
+    console.log("[BOUNDARY] Drawing a new parcel boundary.");
+}
+
+/**
+ * Starts vertex editing of an existing KML parcel.
+ * @param {L.Polygon} featureLayer - The parcel's layer in its village group.
+ */
+function startBoundaryEdit(featureLayer) {
+    if (!canStartBoundarySession()) return;
+    map.getContainer().classList.add('boundary-editing');
+    featureLayer.pm.enable();
+    openBoundaryForm({ mode: 'edit', layer: featureLayer, feature: featureLayer.feature });
+    console.log(`[BOUNDARY] Editing the boundary of ${getKmlFeatureKey(featureLayer.feature)}.`);
+}
+
+/**
+ * Opens the attribute form of the boundary being drawn or edited.
+ * @param {{mode: 'new' | 'edit', layer: L.Polygon, feature: object | null}} session - The boundary session.
+ */
+function openBoundaryForm(session) {
+    boundaryEditSession = session;
+    const props = session.feature?.properties || {};
+    boundaryFormTitle.textContent = session.mode === 'new' ? 'New Parcel Boundary' : `Edit Boundary: ${props.PARCEL_NR} (${props.VILLAGE || 'no village'})`;
+    boundaryParcelNrInput.value = props.PARCEL_NR ?? '';
+    boundaryVillageInput.value = props.VILLAGE || (currentParcel?.location ?? '');
+    boundaryNameInput.value = props.name || '';
+    boundaryFarmIdInput.value = props.FARM_ID || '';
+
+    // Villages known from the KML and the JSON as suggestions
+    const villages = new Set([...Object.keys(kmlIndex?.byVillage || {}), ...allParcelsData.map(p => p.location).filter(Boolean)]);
+    boundaryVillageList.innerHTML = [...villages].sort().map(v => `<option value="${escapeHtml(v)}">`).join('');
+
+    // One crop field per CROP_NAME<year> in the KML, plus the current year
+    const cropYears = new Set([String(new Date().getFullYear())]);
+    (kmlIndex?.features || []).forEach(feature => {
+        Object.keys(feature.properties).forEach(key => {
+            const match = key.match(CROP_PROPERTY_PATTERN);
+            if (match) cropYears.add(match[1]);
+        });
+    });
+    boundaryCropFields.innerHTML = '';
+    [...cropYears].sort().forEach(year => {
+        const label = document.createElement('label');
+        label.textContent = `Crop ${year} (CROP_NAME${year}):`;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.dataset.property = `CROP_NAME${year}`;
+        input.value = props[`CROP_NAME${year}`] || '';
+        boundaryCropFields.appendChild(label);
+        boundaryCropFields.appendChild(input);
+    });
+
+    boundaryAreaDecInput.value = props.AREA_DEC ?? '';
+    if (session.mode === 'new') useComputedAreaBtn.click();
+    session.layer.on('pm:edit', updateBoundaryFormArea);
+    updateBoundaryFormArea();
+    deleteBoundaryBtn.style.display = session.mode === 'edit' ? '' : 'none';
+    boundaryFormStatus.textContent = '';
+    boundaryFormPanel.style.display = 'flex';
+}
+
+/**
+ * Shows the computed area of the boundary being edited in the form.
+ */
+function updateBoundaryFormArea() {
+    if (!boundaryEditSession?.layer) return;
+    const areaHa = computeGeoJsonArea(boundaryEditSession.layer.toGeoJSON().geometry) / 10000;
+    boundaryFormInfo.textContent = `Drag the vertices to adjust the boundary; they snap to neighbouring parcels. Computed area: ${areaHa.toFixed(4)} ha.`;
+}
+
+/**
+ * Leaves the boundary session: editing is switched off and the form closed.
+ * @returns {object} The finished session.
+ */
+function endBoundarySession() {
+    const session = boundaryEditSession;
+    boundaryEditSession = null;
+    if (map.pm) map.pm.disableDraw();
+    if (session?.layer) {
+        session.layer.off('pm:edit', updateBoundaryFormArea);
+        session.layer.pm.disable();
+    }
+    map.getContainer().classList.remove('boundary-editing');
+    boundaryFormPanel.style.display = 'none';
+    return session;
+}
+
+/**
+ * Discards the boundary being drawn or edited.
+ */
+function cancelBoundaryEdit() {
+    const session = endBoundarySession();
+    if (session?.mode === 'new' && session.layer) {
+        map.removeLayer(session.layer);
+    } else if (session?.mode === 'edit') {
+        rebuildVillageLayer(session.feature.properties.VILLAGE); // Restores the original vertices
+    }
+}
+
+/**
+ * Returns the stored boundary edit that produced a feature.
+ * @param {object} feature - A feature from the KML index.
+ * @returns {object | null} The BOUNDARIES_STORE record, or null for an unchanged KML file feature.
+ */
+function findBoundaryEdit(feature) {
+    return Object.values(boundaryEdits).find(edit => edit.feature === feature) || null;
+}
+
+/**
+ * Validates the boundary form and stores the geometry with its attributes.
+ */
+async function saveBoundaryEdit() {
+    const session = boundaryEditSession;
+    const geometry = session.layer.toGeoJSON().geometry;
+    const parcelNr = boundaryParcelNrInput.value.trim();
+    const village = boundaryVillageInput.value.trim();
+    const showError = message => {
+        boundaryFormStatus.textContent = message;
+        boundaryFormStatus.style.color = 'red';
+    };
+    if (!parcelNr || !village) {
+        showError('PARCEL_NR and VILLAGE are required.');
+        return;
+    }
+    if (!(computeGeoJsonArea(geometry) > 0)) {
+        showError('The boundary must be a polygon with at least 3 vertices.');
+        return;
+    }
+    const duplicate = (kmlIndex?.byParcelNr[parcelNr] || [])
+        .find(feature => feature !== session.feature && feature.properties.VILLAGE === village);
+    if (duplicate) {
+        showError(`Parcel ${parcelNr} already exists in ${village}.`);
+        return;
+    }
+
+    const properties = { ...(session.feature?.properties || {}), PARCEL_NR: parcelNr, VILLAGE: village };
+    const setProperty = (key, value) => {
+        if (value !== '' || key in properties) properties[key] = value;
+    };
+    setProperty('name', boundaryNameInput.value.trim());
+    setProperty('FARM_ID', boundaryFarmIdInput.value.trim());
+    setProperty('AREA_DEC', boundaryAreaDecInput.value.trim());
+    boundaryCropFields.querySelectorAll('input[data-property]').forEach(input => {
+        setProperty(input.dataset.property, input.value.trim());
+    });
+
+    const existingEdit = session.feature ? findBoundaryEdit(session.feature) : null;
+    const sourceKey = existingEdit ? existingEdit.sourceKey : (session.feature ? getKmlFeatureKey(session.feature) : null);
+    const record = {
+        id: existingEdit?.id || sourceKey || `new-${Date.now()}`,
+        sourceKey,
+        feature: { type: 'Feature', properties, geometry },
+        updatedAt: Date.now()
+    };
+    try {
+        await runStoreRequest(BOUNDARIES_STORE, 'readwrite', store => store.put(record));
+    } catch (error) {
+        console.error("[BOUNDARY] Could not save boundary:", error);
+        showError(`Could not save the boundary: ${error.message}`);
+        return;
+    }
+    console.log(`[BOUNDARY] Saved boundary ${record.id} as ${getKmlFeatureKey(record.feature)}.`);
+    boundaryEdits[record.id] = record;
+
+    endBoundarySession();
+    if (session.mode === 'new') map.removeLayer(session.layer); // Shown again as part of its village
+    applyBoundaryChanges([session.feature?.properties.VILLAGE, village]);
+    enableVillageLayer(village);
+}
+
+/**
+ * Removes the edited parcel from the map (a drawn parcel is discarded, a KML parcel is hidden).
+ */
+async function deleteBoundary() {
+    const session = boundaryEditSession;
+    const props = session.feature.properties;
+    if (!confirm(`Delete the boundary of parcel ${props.PARCEL_NR} (${props.VILLAGE})? The change can be reverted from the Boundaries list.`)) return;
+
+    const existingEdit = findBoundaryEdit(session.feature);
+    try {
+        if (existingEdit && !existingEdit.sourceKey) {
+            await runStoreRequest(BOUNDARIES_STORE, 'readwrite', store => store.delete(existingEdit.id));
+            delete boundaryEdits[existingEdit.id];
+        } else {
+            const sourceKey = existingEdit ? existingEdit.sourceKey : getKmlFeatureKey(session.feature);
+            const record = { id: existingEdit?.id || sourceKey, sourceKey, feature: null, updatedAt: Date.now() };
+            await runStoreRequest(BOUNDARIES_STORE, 'readwrite', store => store.put(record));
+            boundaryEdits[record.id] = record;
+        }
+    } catch (error) {
+        console.error("[BOUNDARY] Could not delete boundary:", error);
+        boundaryFormStatus.textContent = `Could not delete the boundary: ${error.message}`;
+        boundaryFormStatus.style.color = 'red';
+        return;
+    }
+    endBoundarySession();
+    applyBoundaryChanges([props.VILLAGE]);
+}
+
+/**
+ * Reverts a stored boundary edit to the KML file version.
+ * @param {string} editId - The BOUNDARIES_STORE record ID.
+ */
+async function revertBoundaryEdit(editId) {
+    const edit = boundaryEdits[editId];
+    if (!edit || !confirm('Revert this boundary to the version in the KML file?')) return;
+    try {
+        await runStoreRequest(BOUNDARIES_STORE, 'readwrite', store => store.delete(editId));
+    } catch (error) {
+        console.error("[BOUNDARY] Could not revert boundary:", error);
+        alert(`Could not revert the boundary: ${error.message}`);
+        return;
+    }
+    delete boundaryEdits[editId];
+    applyBoundaryChanges([edit.feature?.properties.VILLAGE, edit.sourceKey?.split('|')[0]]);
+}
+
+/**
+ * Re-indexes the KML features after a boundary change and redraws the affected villages.
+ * @param {Array<string | undefined>} villages - Villages whose features changed.
+ */
+function applyBoundaryChanges(villages) {
+    kmlIndex = buildKmlIndex();
+    kmlIndexPromise = Promise.resolve(kmlIndex);
+    [...new Set(villages.filter(Boolean))].forEach(rebuildVillageLayer);
+    renderBoundariesPanel();
+    renderCropRotation(); // Crop attributes may have changed
+    updateParcelThemeLegend(); // New index -> category colours are reassigned
+    refreshFarmsPanel();
+}
+
+/**
+ * Rebuilds a village's KML layer group from the index (shown again only if it was visible).
+ * @param {string} villageName - The village name.
+ */
+function rebuildVillageLayer(villageName) {
+    const villageLayer = kmlLayers[villageName];
+    if (!villageLayer) return;
+    const wasShown = map.hasLayer(villageLayer);
+    map.removeLayer(villageLayer);
+    delete kmlLayers[villageName];
+    if (wasShown) loadKmlLayer(villageName);
+}
+
+/**
+ * Opens the list of edited boundaries.
+ */
+function openBoundariesPanel() {
+    boundariesPanel.style.display = 'flex';
+    renderBoundariesPanel();
+}
+
+/**
+ * Lists the stored boundary edits with zoom and revert actions.
+ */
+function renderBoundariesPanel() {
+    if (boundariesPanel.style.display !== 'flex') return;
+    const edits = Object.values(boundaryEdits).sort((a, b) => b.updatedAt - a.updatedAt);
+    boundaryEditsList.innerHTML = '';
+    if (edits.length === 0) {
+        boundaryEditsList.innerHTML = '<span class="draft-empty">No boundaries drawn or edited in this browser.</span>';
+        return;
+    }
+    edits.forEach(edit => {
+        const status = !edit.feature ? 'deleted' : (edit.sourceKey ? 'modified' : 'new');
+        const [village, parcelNr] = (edit.feature ? getKmlFeatureKey(edit.feature) : edit.sourceKey).split('|');
+        const item = document.createElement('div');
+        item.className = `boundary-edit-item boundary-edit-${status}`;
+        item.innerHTML = `<b>${escapeHtml(parcelNr)}</b> (${escapeHtml(village)}) - ${status}`
+            + (edit.sourceKey && edit.feature && edit.sourceKey !== getKmlFeatureKey(edit.feature) ? `, was ${escapeHtml(edit.sourceKey.replace('|', ' / '))}` : '')
+            + ` <span class="boundary-edit-date">${new Date(edit.updatedAt).toLocaleString()}</span> `;
+        if (edit.feature) {
+            const zoomButton = document.createElement('button');
+            zoomButton.type = 'button';
+            zoomButton.textContent = 'Zoom';
+            zoomButton.addEventListener('click', async () => {
+                await enableVillageLayer(village);
+                map.fitBounds(L.geoJSON(edit.feature).getBounds());
+            });
+            item.appendChild(zoomButton);
+        }
+        const revertButton = document.createElement('button');
+        revertButton.type = 'button';
+        revertButton.textContent = edit.sourceKey ? 'Revert' : 'Discard';
+        revertButton.addEventListener('click', () => revertBoundaryEdit(edit.id));
+        item.appendChild(revertButton);
+        boundaryEditsList.appendChild(item);
+    });
+}
+
+/**
+ * Returns the KML schema attributes of a feature (parser-added style properties removed).
+ * @param {object} properties - GeoJSON feature properties.
+ * @returns {object}
+ */
+function getKmlSchemaProperties(properties) {
+    return Object.fromEntries(Object.entries(properties).filter(([key]) => !KML_PARSER_PROPERTIES.includes(key)));
+}
+
+/**
+ * Serializes polygon rings as KML boundaries.
+ * @param {number[][][]} rings - Outer ring followed by holes, [lng, lat] positions.
+ * @returns {string} KML <Polygon> element.
+ */
+function buildKmlPolygon(rings) {
+    const coordinates = ring => ring.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+    const [outer, ...holes] = rings;
+    return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>`
+        + holes.map(hole => `<innerBoundaryIs><LinearRing><coordinates>${coordinates(hole)}</coordinates></LinearRing></innerBoundaryIs>`).join('')
+        + `</Polygon>`;
+}
+
+/**
+ * Builds a KML document with the same ExtendedData schema as KML_LAYER_URL.
+ * @param {object[]} features - Polygon / MultiPolygon features.
+ * @returns {string} KML text.
+ */
+function buildBoundariesKml(features) {
+    const fields = [...new Set(features.flatMap(feature => Object.keys(getKmlSchemaProperties(feature.properties))))];
+    const schemaXml = fields.map(field => `\t<SimpleField name="${escapeHtml(field)}" type="string"></SimpleField>`).join('\n');
+    const placemarksXml = features.map(feature => {
+        const data = Object.entries(getKmlSchemaProperties(feature.properties))
+            .map(([key, value]) => `\t\t<SimpleData name="${escapeHtml(key)}">${escapeHtml(value)}</SimpleData>`).join('\n');
+        const geometry = feature.geometry.type === 'MultiPolygon'
+            ? `<MultiGeometry>${feature.geometry.coordinates.map(buildKmlPolygon).join('')}</MultiGeometry>`
+            : buildKmlPolygon(feature.geometry.coordinates);
+        return `  <Placemark>
+\t<name>${escapeHtml(feature.properties.name || feature.properties.PARCEL_NR)}</name>
+\t<ExtendedData><SchemaData schemaUrl="#${KML_SCHEMA_ID}">
+${data}
+\t</SchemaData></ExtendedData>
+      ${geometry}
+  </Placemark>`;
+    }).join('\n');
+    return `<?xml version="1.0" encoding="utf-8" ?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document id="root_doc">
+<Schema name="${KML_SCHEMA_ID}" id="${KML_SCHEMA_ID}">
+${schemaXml}
+</Schema>
+<Folder><name>${KML_SCHEMA_ID}</name>
+${placemarksXml}
+</Folder>
+</Document></kml>
+`;
+}
+
+/**
+ * Downloads the parcel boundaries (all, or only the edited ones) as KML or GeoJSON.
+ * @param {'kml' | 'geojson'} format - Export format.
+ */
+async function exportBoundaries(format) {
+    const index = await loadKmlIndex();
+    if (!index) {
+        alert("The KML could not be loaded, so there are no boundaries to export.");
+        return;
+    }
+    const features = boundaryExportChangedOnlyCheckbox.checked
+        ? Object.values(boundaryEdits).map(edit => edit.feature).filter(Boolean)
+        : index.features;
+    if (features.length === 0) {
+        alert("There are no boundaries to export.");
+        return;
+    }
+    const fileName = `parcel_boundaries_${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'kml') {
+        downloadTextFile(buildBoundariesKml(features), `${fileName}.kml`, 'application/vnd.google-earth.kml+xml');
+    } else {
+        const collection = {
+            type: 'FeatureCollection',
+            features: features.map(feature => ({
+                type: 'Feature',
+                properties: { ...(feature.properties.name ? { name: feature.properties.name } : {}), ...getKmlSchemaProperties(feature.properties) },
+                geometry: feature.geometry
+            }))
+        };
+        downloadTextFile(JSON.stringify(collection, null, 2), `${fileName}.geojson`, 'application/geo+json');
+    }
+    console.log(`[BOUNDARY] Exported ${features.length} boundaries as ${format}.`);
+}
+
+
+// =====================================================================
+// CROP ROTATION
+// =====================================================================
+
+/**
+ * Returns the rotation rule table (edited copy from localStorage, or the defaults).
+ * @returns {Array<{family: string, crops: string[], minYearsBetween: number, allowConsecutive: boolean}>}
+ */
+function getCropRotationRules() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CROP_ROTATION_RULES_KEY) || 'null');
+        if (Array.isArray(stored)) return stored;
+    } catch (error) {
+        console.warn("[ROTATION] Ignoring invalid stored rotation rules:", error);
+    }
+    return CROP_ROTATION_DEFAULT_RULES.map(rule => ({ ...rule, crops: [...rule.crops] }));
+}
+
+/**
+ * Stores the rotation rule table and re-checks all parcels.
+ * @param {Array<object>|null} rules - The rules, or null to go back to the defaults.
+ */
+function saveCropRotationRules(rules) {
+    if (rules) localStorage.setItem(CROP_ROTATION_RULES_KEY, JSON.stringify(rules));
+    else localStorage.removeItem(CROP_ROTATION_RULES_KEY);
+    renderRotationRules();
+    renderCropRotation();
+    refreshKmlFeatures(); // Popups show the rotation issues
+}
+
+/**
+ * Reads the crops of every CROP_NAME<year> property of a KML feature.
+ * @param {object} props - The KML feature properties.
+ * @returns {Array<{year: number, crop: string}>} Non-empty crops, oldest year first.
+ */
+function getCropHistory(props) {
+    return Object.entries(props || {})
+        .map(([key, value]) => ({ match: key.match(CROP_PROPERTY_PATTERN), crop: String(value ?? '').trim() }))
+        .filter(entry => entry.match && entry.crop)
+        .map(entry => ({ year: Number(entry.match[1]), crop: entry.crop }))
+        .sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Finds the rule (crop family) a crop belongs to. Names are compared without case and diacritics.
+ * @param {string} crop - The crop name from the KML.
+ * @param {Array<object>} rules - The rotation rules.
+ * @returns {number} Index of the rule, or -1 if the crop is not listed.
+ */
+function getCropRuleIndex(crop, rules) {
+    const name = normalizeText(crop);
+    return rules.findIndex(rule => rule.crops.some(ruleCrop => normalizeText(ruleCrop) === name));
+}
+
+/**
+ * Checks a crop history against the rotation rules: the same crop or crop family
+ * in consecutive years (unless the family allows it, e.g. lucerne), and crops of
+ * one family returning sooner than the family's minimum gap.
+ * @param {Array<{year: number, crop: string}>} history - From `getCropHistory`.
+ * @param {Array<object>} rules - The rotation rules.
+ * @returns {Array<{year: number, message: string}>} Issues, attached to the later year.
+ */
+function checkCropRotation(history, rules) {
+    const issues = [];
+    const lastByFamily = {};
+    history.forEach((entry, index) => {
+        const previous = history[index - 1];
+        const ruleIndex = getCropRuleIndex(entry.crop, rules);
+        const rule = rules[ruleIndex];
+        const last = rule ? lastByFamily[ruleIndex] : null;
+        const sameCrop = previous && normalizeText(previous.crop) === normalizeText(entry.crop);
+        // The same crop, or another crop of its family (e.g. 'porumb' then 'corn'), the year before
+        const consecutive = previous && previous.year === entry.year - 1 && (sameCrop || last === previous);
+        if (consecutive && !rule?.allowConsecutive) {
+            issues.push({
+                year: entry.year,
+                message: sameCrop
+                    ? `${entry.crop} in consecutive years (${previous.year}, ${entry.year})`
+                    : `${rule.family} in consecutive years (${previous.crop} ${previous.year}, ${entry.crop} ${entry.year})`
+            });
+        }
+        if (!rule) return;
+        if (last && !consecutive && entry.year - last.year < rule.minYearsBetween) {
+            issues.push({
+                year: entry.year,
+                message: `${rule.family} again after ${entry.year - last.year} year(s) (${last.crop} ${last.year}, ${entry.crop} ${entry.year}; minimum ${rule.minYearsBetween})`
+            });
+        }
+        lastByFamily[ruleIndex] = entry;
+    });
+    return issues;
+}
+
+/**
+ * Opens the crop rotation panel (loads the KML index if needed).
+ */
+async function openCropRotationPanel() {
+    rotationPanel.style.display = 'flex';
+    rotationSummary.textContent = 'Loading KML attributes...';
+    const index = await loadKmlIndex();
+    if (!index) {
+        rotationSummary.textContent = 'The KML could not be loaded.';
+        return;
+    }
+    const selectedVillage = rotationVillageSelect.value;
+    rotationVillageSelect.innerHTML = '<option value="">All villages</option>';
+    Object.keys(index.byVillage).sort().forEach(village => rotationVillageSelect.add(new Option(village, village)));
+    // Default to the village of the selected parcel, as rotations are planned per village
+    const preferred = selectedVillage || currentParcel?.location || '';
+    rotationVillageSelect.value = index.byVillage[preferred] ? preferred : '';
+    renderRotationRules();
+    renderCropRotation();
+}
+
+/**
+ * Renders the per-parcel crop timeline of the chosen village with rule violations highlighted.
+ */
+function renderCropRotation() {
+    if (rotationPanel.style.display !== 'flex' || !kmlIndex) return;
+    const rules = getCropRotationRules();
+    const village = rotationVillageSelect.value;
+    const problemsOnly = rotationProblemsOnlyCheckbox.checked;
+    const features = village ? (kmlIndex.byVillage[village] || []) : kmlIndex.features;
+
+    const rows = features.map(feature => {
+        const history = getCropHistory(feature.properties);
+        return { feature, history, issues: checkCropRotation(history, rules) };
+    });
+    const years = [...new Set(rows.flatMap(row => row.history.map(entry => entry.year)))].sort((a, b) => a - b);
+    const shownRows = rows
+        .filter(row => !problemsOnly || row.issues.length > 0)
+        .sort((a, b) => String(a.feature.properties.VILLAGE).localeCompare(String(b.feature.properties.VILLAGE))
+            || String(a.feature.properties.PARCEL_NR).localeCompare(String(b.feature.properties.PARCEL_NR), undefined, { numeric: true }));
+
+    rotationTable.querySelector('thead').innerHTML = `<tr><th>Parcel</th>${village ? '' : '<th>Village</th>'}<th>Farm</th>`
+        + years.map(year => `<th>${year}</th>`).join('') + '<th>Issues</th></tr>';
+    const tbody = rotationTable.querySelector('tbody');
+    tbody.innerHTML = '';
+    shownRows.forEach(row => {
+        const props = row.feature.properties;
+        const tr = document.createElement('tr');
+        tr.className = 'rotation-row';
+        let html = `<td>${escapeHtml(props.PARCEL_NR)}${props.name ? ` <span class="rotation-name">${escapeHtml(props.name)}</span>` : ''}</td>`;
+        if (!village) html += `<td>${escapeHtml(props.VILLAGE || '')}</td>`;
+        html += `<td>${escapeHtml(props.FARM_ID || '')}</td>`;
+        years.forEach(year => {
+            const entry = row.history.find(e => e.year === year);
+            if (!entry) {
+                html += '<td class="rotation-empty">-</td>';
+                return;
+            }
+            const ruleIndex = getCropRuleIndex(entry.crop, rules);
+            const yearIssues = row.issues.filter(issue => issue.year === year);
+            const color = ruleIndex > -1 ? CATEGORY_COLORS[ruleIndex % CATEGORY_COLORS.length] : '#eeeeee';
+            const title = (ruleIndex > -1 ? rules[ruleIndex].family : 'Not in the rule table') + yearIssues.map(issue => `\n${issue.message}`).join('');
+            html += `<td class="rotation-crop${yearIssues.length ? ' rotation-violation' : ''}" style="background-color:${color};" title="${escapeHtml(title)}">${escapeHtml(entry.crop)}</td>`;
+        });
+        html += `<td class="rotation-issues">${row.issues.map(issue => escapeHtml(issue.message)).join('<br>')}</td>`;
+        tr.innerHTML = html;
+        tr.addEventListener('click', () => showKmlParcel(props.PARCEL_NR, props.VILLAGE));
+        tbody.appendChild(tr);
+    });
+
+    const withIssues = rows.filter(row => row.issues.length > 0).length;
+    rotationSummary.textContent = `${rows.length} parcel(s), ${withIssues} with rotation issues. Click a row to show the parcel.`;
+}
+
+/**
+ * Renders the editable rule table.
+ */
+function renderRotationRules() {
+    const rules = getCropRotationRules();
+    rotationRulesBody.innerHTML = '';
+    rules.forEach((rule, index) => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><i style="background:${CATEGORY_COLORS[index % CATEGORY_COLORS.length]}"></i><input type="text" data-field="family" value="${escapeHtml(rule.family)}"></td>
+            <td><input type="text" data-field="crops" value="${escapeHtml(rule.crops.join(', '))}"></td>
+            <td><input type="number" data-field="minYearsBetween" min="1" max="10" step="1" value="${rule.minYearsBetween}"></td>
+            <td><input type="checkbox" data-field="allowConsecutive"${rule.allowConsecutive ? ' checked' : ''}></td>
+            <td><button type="button" class="remove-rule-btn" title="Remove rule">X</button></td>`;
+        tr.querySelectorAll('input').forEach(input => input.addEventListener('change', handleRotationRuleChange));
+        tr.querySelector('.remove-rule-btn').addEventListener('click', () => {
+            const updated = getCropRotationRules();
+            updated.splice(index, 1);
+            saveCropRotationRules(updated);
+        });
+        rotationRulesBody.appendChild(tr);
+    });
+}
+
+/**
+ * Reads the rule table inputs back into rules and stores them.
+ */
+function handleRotationRuleChange() {
+    const rules = [...rotationRulesBody.querySelectorAll('tr')].map(tr => {
+        const field = name => tr.querySelector(`[data-field="${name}"]`).value;
+        const allowConsecutive = tr.querySelector('[data-field="allowConsecutive"]').checked;
+        const minYears = parseInt(field('minYearsBetween'), 10);
+        return {
+            family: field('family').trim() || 'Unnamed',
+            crops: field('crops').split(',').map(crop => crop.trim()).filter(Boolean),
+            minYearsBetween: isNaN(minYears) || minYears < 1 ? 1 : minYears,
+            allowConsecutive
+        };
+    });
+    saveCropRotationRules(rules);
+}
+
+
+// =====================================================================
+// PARCEL THEMES
+// =====================================================================
+
+/**
+ * Adds the theme selector with its legend to the map and restores the stored theme.
+ */
+function setupParcelThemes() {
+    parcelTheme = PARCEL_THEMES[localStorage.getItem(PARCEL_THEME_KEY)] ? localStorage.getItem(PARCEL_THEME_KEY) : 'coverage';
+    parcelThemeControl = L.control({ position: 'bottomleft' });
+    parcelThemeControl.onAdd = function() {
+        const container = L.DomUtil.create('div', 'parcel-theme-control');
+        container.innerHTML = `
+            <label>Colour parcels by
+                <select class="parcel-theme-select">
+                    ${Object.entries(PARCEL_THEMES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                </select>
+            </label>
+            <div class="parcel-theme-legend"></div>`;
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+        const select = container.querySelector('.parcel-theme-select');
+        select.value = parcelTheme;
+        L.DomEvent.on(select, 'change', () => setParcelTheme(select.value));
+        return container;
+    };
+    parcelThemeControl.addTo(map);
+    setParcelTheme(parcelTheme);
+}
+
+/**
+ * Switches the parcel colouring theme, restyles the loaded parcels and updates the legend.
+ * @param {string} theme - Key of `PARCEL_THEMES`.
+ * @returns {Promise<void>}
+ */
+async function setParcelTheme(theme) {
+    parcelTheme = PARCEL_THEMES[theme] ? theme : 'coverage';
+    localStorage.setItem(PARCEL_THEME_KEY, parcelTheme);
+    console.log(`[THEME] Colouring parcels by "${parcelTheme}".`);
+    // Categories get their colours over all villages, so the KML index is needed
+    if (parcelTheme !== 'coverage' && !(await loadKmlIndex())) {
+        console.warn("[THEME] KML index unavailable; parcels keep the coverage style until it loads.");
+    }
+    restyleKmlFeatures();
+    updateParcelThemeLegend();
+}
+
+/**
+ * Returns the colour scale of the current theme. Category colours are assigned
+ * once per KML index (most frequent values first); class themes read the parcel
+ * data on every call, so they follow form edits and CSV loads.
+ * @returns {{theme: string, title: string, getColor: function(object): (string|null), legend: Array<{color: string, label: string}>} | null}
+ *          Null for the coverage theme or while the KML index is not loaded.
+ */
+function getParcelThemeScale() {
+    if (parcelTheme === 'coverage' || !kmlIndex) return null;
+    if (parcelThemeScale?.theme === parcelTheme && parcelThemeScale.index === kmlIndex) return parcelThemeScale;
+
+    const features = kmlIndex.features;
+    let scale;
+    if (parcelTheme === 'crop') {
+        const cropYear = getCurrentCropYear(features);
+        scale = buildCategoryScale(cropYear ? `Crop ${cropYear}` : 'Crop', features,
+            feature => (cropYear ? feature.properties[`CROP_NAME${cropYear}`] : null));
+    } else if (parcelTheme === 'farm') {
+        scale = buildCategoryScale('Farm (FARM_ID)', features, feature => feature.properties.FARM_ID);
+    } else if (parcelTheme === 'area') {
+        scale = buildClassScale('Declared area (ha)', PARCEL_AREA_CLASSES, getRampColors('YlGn', PARCEL_AREA_CLASSES.length - 1), feature => {
+            const areaHa = parseCsvNumber(String(feature.properties.AREA_DEC ?? ''));
+            return areaHa > 0 ? areaHa : null;
+        });
+    } else if (parcelTheme === 'ndvi') {
+        scale = buildClassScale('Latest NDVI mean', PARCEL_NDVI_CLASSES, getRampColors('RdYlGn', PARCEL_NDVI_CLASSES.length - 1), feature => {
+            const statsByDate = ndviStatsData[String(feature.properties.PARCEL_NR ?? '').trim()];
+            if (!statsByDate) return null;
+            const latestDate = Object.keys(statsByDate).sort(compareDdMmYyyyDates).pop();
+            return latestDate ? statsByDate[latestDate].mean : null;
+        });
+    } else {
+        // Recent imagery green, old imagery red
+        scale = buildClassScale('Days since last imagery', PARCEL_IMAGE_AGE_CLASSES, getRampColors('RdYlGn', PARCEL_IMAGE_AGE_CLASSES.length - 1).reverse(), feature => {
+            const latestDate = getParcelImageDates(findParcelByKmlId(feature.properties.PARCEL_NR)).pop();
+            if (!latestDate) return null;
+            const [day, month, year] = latestDate.split('-').map(Number);
+            const today = new Date();
+            return Math.max(0, Math.round((new Date(today.getFullYear(), today.getMonth(), today.getDate()) - new Date(year, month - 1, day)) / 86400000));
+        });
+    }
+    parcelThemeScale = { ...scale, theme: parcelTheme, index: kmlIndex };
+    return parcelThemeScale;
+}
+
+/**
+ * Picks the "current" crop year: the calendar year if the KML has it,
+ * otherwise the latest earlier year (or the latest year at all).
+ * @param {object[]} features - The KML features.
+ * @returns {number | null} The year, or null if no feature has a crop attribute.
+ */
+function getCurrentCropYear(features) {
+    const years = [...new Set(features.flatMap(feature => getCropHistory(feature.properties).map(entry => entry.year)))];
+    if (years.length === 0) return null;
+    const pastYears = years.filter(year => year <= new Date().getFullYear());
+    return Math.max(...(pastYears.length > 0 ? pastYears : years));
+}
+
+/**
+ * Builds a categorical scale. Values are grouped without case and diacritics; the
+ * most frequent get the `CATEGORY_COLORS`, the rest share the last colour as "Other".
+ * @param {string} title - Legend title.
+ * @param {object[]} features - The KML features.
+ * @param {function(object): any} getValue - Reads a feature's category.
+ * @returns {{title: string, getColor: function(object): (string|null), legend: Array<{color: string, label: string}>}}
+ */
+function buildCategoryScale(title, features, getValue) {
+    const counts = {};
+    const labels = {};
+    features.forEach(feature => {
+        const value = String(getValue(feature) ?? '').trim();
+        if (!value) return;
+        const key = normalizeText(value);
+        counts[key] = (counts[key] || 0) + 1;
+        labels[key] = labels[key] || value;
+    });
+    const keys = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+    const colorCount = keys.length > CATEGORY_COLORS.length ? CATEGORY_COLORS.length - 1 : keys.length;
+    const otherColor = CATEGORY_COLORS[CATEGORY_COLORS.length - 1];
+    const colorByKey = {};
+    keys.slice(0, colorCount).forEach((key, i) => colorByKey[key] = CATEGORY_COLORS[i]);
+
+    const legend = keys.slice(0, colorCount).map(key => ({ color: colorByKey[key], label: `${labels[key]} (${counts[key]})` }));
+    const otherKeys = keys.slice(colorCount);
+    if (otherKeys.length > 0) {
+        legend.push({ color: otherColor, label: `Other (${otherKeys.reduce((sum, key) => sum + counts[key], 0)})` });
+    }
+    return {
+        title,
+        legend,
+        getColor: feature => {
+            const value = String(getValue(feature) ?? '').trim();
+            return value ? (colorByKey[normalizeText(value)] || otherColor) : null;
+        }
+    };
+}
+
+/**
+ * Builds a scale of numeric classes.
+ * @param {string} title - Legend title.
+ * @param {number[]} breaks - Class breaks [min, ..., max]; the outer ones may be -Infinity/Infinity.
+ * @param {string[]} colors - One colour per class, low to high.
+ * @param {function(object): (number|null)} getValue - Reads a feature's value.
+ * @returns {{title: string, getColor: function(object): (string|null), legend: Array<{color: string, label: string}>}}
+ */
+function buildClassScale(title, breaks, colors, getValue) {
+    const lastClass = colors.length - 1;
+    const legend = colors.map((color, i) => ({
+        color,
+        label: i === 0 ? `up to ${breaks[1]}` : (i === lastClass && !isFinite(breaks[i + 1]) ? `over ${breaks[i]}` : `${breaks[i]} – ${breaks[i + 1]}`)
+    })).reverse(); // Highest class first, as in the grid legend
+    return {
+        title,
+        legend,
+        getColor: feature => {
+            const classIndex = getClassIndex(getValue(feature), breaks);
+            return classIndex === -1 ? null : colors[classIndex];
+        }
+    };
+}
+
+/**
+ * Renders the legend of the current theme in the theme control.
+ */
+function updateParcelThemeLegend() {
+    if (!parcelThemeControl) return;
+    const legendDiv = parcelThemeControl.getContainer().querySelector('.parcel-theme-legend');
+    const scale = getParcelThemeScale();
+    let entries;
+    if (parcelTheme === 'coverage') {
+        entries = [
+            { color: 'blue', label: 'Image layers available', outline: true },
+            { color: 'red', label: 'No image layers', outline: true },
+            { color: '#ff6f00', label: 'NDVI alert', outline: true }
+        ];
+    } else if (!scale) {
+        legendDiv.innerHTML = '<span class="parcel-theme-empty">Loading KML attributes...</span>';
+        return;
+    } else {
+        entries = [...scale.legend, { color: '#ffffff', label: 'No data' }];
+    }
+    legendDiv.innerHTML = (scale ? `<div class="grid-legend-title">${escapeHtml(scale.title)}</div>` : '')
+        + entries.map(entry => `<div><i style="${entry.outline ? `border:2px solid ${entry.color};background:none;` : `background:${entry.color};`}"></i>${escapeHtml(entry.label)}</div>`).join('');
+}
+
+// =====================================================================
+// FARM VIEW
+// =====================================================================
+
+/**
+ * Indexes `allParcelsData` by village and KML ID for `findParcelForFeature`.
+ * @returns {Map<string, object>} Parcels by "village|kmlId" (the first parcel wins on duplicates).
+ */
+function buildParcelFeatureIndex() {
+    const parcelsByKey = new Map();
+    allParcelsData.forEach(parcel => {
+        const key = `${parcel.location}|${String(parcel.kmlId).trim()}`;
+        if (!parcelsByKey.has(key)) parcelsByKey.set(key, parcel);
+    });
+    return parcelsByKey;
+}
+
+/**
+ * Finds the JSON parcel of a KML feature (same PARCEL_NR and village).
+ * @param {object} feature - The GeoJSON feature.
+ * @param {Map<string, object>} parcelsByKey - From `buildParcelFeatureIndex`.
+ * @returns {object | null} The parcel from `allParcelsData`.
+ */
+function findParcelForFeature(feature, parcelsByKey) {
+    const kmlId = String(feature.properties?.PARCEL_NR ?? '').trim();
+    const village = String(feature.properties?.VILLAGE ?? '').trim();
+    return parcelsByKey.get(`${village}|${kmlId}`) || null;
+}
+
+/**
+ * Groups the KML features by FARM_ID across villages and summarizes each farm.
+ * Total area is the sum of AREA_DEC; the crop mix and the NDVI means are weighted
+ * by AREA_DEC, or by the polygon area for parcels without a declared area.
+ * @param {object[]} features - The KML features (see loadKmlIndex).
+ * @returns {object[]} Farms { farmId, features, villages, areaHa, parcelsWithoutArea, parcelsWithImagery,
+ *          cropYear, cropMix: [{ crop, areaHa, parcels }], ndviSeries: [{ date, mean, parcels, areaHa }] }, largest first.
+ */
+function buildFarmSummaries(features) {
+    const cropYear = getCurrentCropYear(features);
+    const parcelsByKey = buildParcelFeatureIndex();
+    const farms = {};
+    features.forEach(feature => {
+        const props = feature.properties;
+        const farmId = String(props.FARM_ID ?? '').trim();
+        const farm = farms[farmId] = farms[farmId] || {
+            farmId, features: [], villages: new Set(), areaHa: 0, parcelsWithoutArea: 0, parcelsWithImagery: 0, crops: {}, ndviByDate: {}
+        };
+        farm.features.push(feature);
+        if (props.VILLAGE) farm.villages.add(String(props.VILLAGE).trim());
+
+        const declaredHa = parseCsvNumber(String(props.AREA_DEC ?? ''));
+        if (declaredHa > 0) farm.areaHa += declaredHa;
+        else farm.parcelsWithoutArea++;
+        const weightHa = declaredHa > 0 ? declaredHa : computeGeoJsonArea(feature.geometry) / 10000;
+
+        const crop = cropYear ? String(props[`CROP_NAME${cropYear}`] ?? '').trim() : '';
+        const cropKey = normalizeText(crop);
+        const cropEntry = farm.crops[cropKey] = farm.crops[cropKey] || { crop: crop || 'No crop', areaHa: 0, parcels: 0 };
+        cropEntry.areaHa += weightHa;
+        cropEntry.parcels++;
+
+        const parcel = findParcelForFeature(feature, parcelsByKey);
+        if (getParcelImageDates(parcel).length > 0) farm.parcelsWithImagery++;
+        const statsByDate = parcel ? ndviStatsData[String(parcel.kmlId).trim()] : null;
+        if (!statsByDate || !(weightHa > 0)) return;
+        Object.entries(statsByDate).forEach(([date, stats]) => {
+            const entry = farm.ndviByDate[date] = farm.ndviByDate[date] || { weightedSum: 0, areaHa: 0, parcels: 0 };
+            entry.weightedSum += stats.mean * weightHa;
+            entry.areaHa += weightHa;
+            entry.parcels++;
+        });
+    });
+
+    return Object.values(farms).map(farm => ({
+        farmId: farm.farmId,
+        features: farm.features,
+        villages: [...farm.villages].sort(),
+        areaHa: farm.areaHa,
+        parcelsWithoutArea: farm.parcelsWithoutArea,
+        parcelsWithImagery: farm.parcelsWithImagery,
+        cropYear,
+        cropMix: Object.values(farm.crops).sort((a, b) => b.areaHa - a.areaHa),
+        ndviSeries: Object.keys(farm.ndviByDate).sort(compareDdMmYyyyDates).map(date => {
+            const entry = farm.ndviByDate[date];
+            return { date, mean: entry.weightedSum / entry.areaHa, parcels: entry.parcels, areaHa: entry.areaHa };
+        })
+    })).sort((a, b) => b.areaHa - a.areaHa || a.farmId.localeCompare(b.farmId, undefined, { numeric: true }));
+}
+
+/**
+ * Opens the farm view (loads the KML index if needed).
+ */
+async function openFarmsPanel() {
+    farmsPanel.style.display = 'flex';
+    farmsSummary.textContent = 'Loading KML attributes...';
+    if (!(await loadKmlIndex())) {
+        farmsSummary.textContent = 'The KML could not be loaded.';
+        return;
+    }
+    renderFarmsPanel();
+}
+
+/**
+ * Re-renders the farm view if it is open (called when parcel, NDVI or boundary data change).
+ */
+function refreshFarmsPanel() {
+    if (farmsPanel.style.display === 'flex') {
+        renderFarmsPanel();
+    }
+}
+
+/**
+ * Renders the farm table with the current filter and the details of the chosen farm.
+ */
+function renderFarmsPanel() {
+    if (!kmlIndex) return;
+    const farms = buildFarmSummaries(kmlIndex.features);
+    const filterText = normalizeText(farmsFilterInput.value);
+    const shownFarms = farms.filter(farm => !filterText
+        || normalizeText(farm.farmId).includes(filterText)
+        || farm.villages.some(village => normalizeText(village).includes(filterText)));
+
+    farmsTableBody.innerHTML = '';
+    shownFarms.forEach(farm => {
+        const tr = document.createElement('tr');
+        tr.className = 'farm-row' + (farm.farmId === selectedFarmId ? ' farm-row-selected' : '');
+        const latest = farm.ndviSeries[farm.ndviSeries.length - 1];
+        const cropMix = farm.cropMix.slice(0, 3).map(entry => `${entry.crop} ${formatFarmShare(entry.areaHa, farm)}`).join(', ')
+            + (farm.cropMix.length > 3 ? ', ...' : '');
+        tr.innerHTML = `
+            <td>${escapeHtml(farm.farmId || '(no FARM_ID)')}</td>
+            <td>${escapeHtml(farm.villages.join(', '))}</td>
+            <td>${farm.features.length}</td>
+            <td>${farm.areaHa.toFixed(2)}${farm.parcelsWithoutArea > 0 ? '*' : ''}</td>
+            <td>${escapeHtml(cropMix)}</td>
+            <td>${farm.parcelsWithImagery}</td>
+            <td>${latest ? `${latest.mean.toFixed(3)} <span class="farm-date">${latest.date}</span>` : '-'}</td>`;
+        tr.addEventListener('click', () => showFarm(farm.farmId));
+        farmsTableBody.appendChild(tr);
+    });
+    const totalArea = farms.reduce((sum, farm) => sum + farm.areaHa, 0);
+    farmsSummary.textContent = `${shownFarms.length} of ${farms.length} farm(s), ${totalArea.toFixed(2)} ha declared in total. `
+        + (farms.some(farm => farm.parcelsWithoutArea > 0) ? '* = some parcels have no AREA_DEC. ' : '')
+        + 'Click a farm to highlight its parcels.';
+    renderFarmDetails(farms.find(farm => farm.farmId === selectedFarmId) || null);
+}
+
+/**
+ * Formats a crop's share of a farm's (weighted) area.
+ * @param {number} areaHa - The crop's area.
+ * @param {object} farm - The farm summary.
+ * @returns {string} E.g. "45%".
+ */
+function formatFarmShare(areaHa, farm) {
+    const totalHa = farm.cropMix.reduce((sum, entry) => sum + entry.areaHa, 0);
+    return totalHa > 0 ? `${Math.round(areaHa / totalHa * 100)}%` : '';
+}
+
+/**
+ * Renders the crop mix and the area-weighted NDVI series of a farm.
+ * @param {object | null} farm - The farm summary, or null to hide the details.
+ */
+function renderFarmDetails(farm) {
+    if (!farm) {
+        farmDetailsDiv.style.display = 'none';
+        return;
+    }
+    farmDetailsDiv.style.display = 'block';
+    let html = `<h3>${escapeHtml(farm.farmId || '(no FARM_ID)')}</h3>`;
+    html += `<p>${farm.features.length} parcel(s) in ${escapeHtml(farm.villages.join(', ') || '-')}; ${farm.areaHa.toFixed(2)} ha declared`
+        + (farm.parcelsWithoutArea > 0 ? ` (${farm.parcelsWithoutArea} parcel(s) without AREA_DEC)` : '')
+        + `; ${farm.parcelsWithImagery} with imagery.</p>`;
+    html += `<b>Crop mix${farm.cropYear ? ` ${farm.cropYear}` : ''}</b><table class="farm-detail-table"><tr><th>Crop</th><th>Parcels</th><th>Area (ha)</th><th>Share</th></tr>`;
+    farm.cropMix.forEach(entry => {
+        html += `<tr><td>${escapeHtml(entry.crop)}</td><td>${entry.parcels}</td><td>${entry.areaHa.toFixed(2)}</td><td>${formatFarmShare(entry.areaHa, farm)}</td></tr>`;
+    });
+    html += '</table>';
+    if (farm.ndviSeries.length > 0) {
+        html += '<b>Area-weighted NDVI mean</b><table class="farm-detail-table"><tr><th>Date</th><th>NDVI mean</th><th>Parcels</th><th>Area (ha)</th></tr>';
+        farm.ndviSeries.slice().reverse().forEach(entry => {
+            html += `<tr><td>${entry.date}</td><td>${entry.mean.toFixed(3)}</td><td>${entry.parcels}</td><td>${entry.areaHa.toFixed(2)}</td></tr>`;
+        });
+        html += '</table>';
+    } else {
+        html += '<p class="draft-empty">No NDVI statistics for the parcels of this farm.</p>';
+    }
+    farmDetailsContent.innerHTML = html;
+}
+
+/**
+ * Chooses a farm: shows its details, outlines all its parcels and zooms to them.
+ * The farm's villages are enabled so its parcels can be clicked.
+ * @param {string} farmId - The FARM_ID ('' for parcels without one).
+ * @returns {Promise<void>}
+ */
+async function showFarm(farmId) {
+    selectedFarmId = farmId;
+    const features = (kmlIndex?.features || []).filter(feature => String(feature.properties.FARM_ID ?? '').trim() === farmId);
+    console.log(`[FARMS] Showing farm "${farmId}" (${features.length} parcels)`);
+    renderFarmsPanel();
+    if (features.length === 0) return;
+
+    const villages = [...new Set(features.map(feature => String(feature.properties.VILLAGE ?? '').trim()))];
+    await Promise.all(villages.filter(village => villageControlLayers[village]).map(village => enableVillageLayer(village)));
+    clearFarmHighlight();
+    farmHighlightLayer = L.geoJson(features, {
+        interactive: false,
+        style: { color: '#d500f9', weight: 4, fillColor: '#d500f9', fillOpacity: 0.15 }
+    }).addTo(map);
+    map.fitBounds(farmHighlightLayer.getBounds());
+}
+
+/**
+ * Removes the farm outline from the map.
+ */
+function clearFarmHighlight() {
+    if (farmHighlightLayer) {
+        map.removeLayer(farmHighlightLayer);
+        farmHighlightLayer = null;
+    }
+}
+
+// =====================================================================
+// PARCEL REPORT
+// =====================================================================
+
+/**
+ * Returns the date and layer shown for the selected parcel (as in updateTileLayer).
+ * @returns {{date: string, useNdvi: boolean, tileUrl: string | null} | null} Null without a selected parcel.
+ */
+function getShownParcelImagery() {
+    if (!currentParcel || availableDates.length === 0) return null;
+    const date = availableDates[parseInt(timeSlider.value)] || availableDates[0];
+    const ndviUrl = ndviCheckbox.checked ? getParcelLayerUrl(currentParcel, date, true) : null;
+    return { date, useNdvi: Boolean(ndviUrl), tileUrl: ndviUrl || getParcelLayerUrl(currentParcel, date, false) };
+}
+
+/**
+ * Opens the report panel for the selected parcel.
+ */
+function openReportPanel() {
+    const imagery = getShownParcelImagery();
+    reportPanel.style.display = 'flex';
+    reportSummary.textContent = imagery
+        ? `Report for ${currentParcel.name} (KML ID ${currentParcel.kmlId}) on ${imagery.date}, ${imagery.useNdvi ? 'NDVI' : 'RGB'} imagery. Change the date or layer on the map to report another one.`
+        : 'Select a parcel with imagery first: the report shows its current date and layer.';
+    generateReportBtn.disabled = !imagery;
+    renderReportLogoPreview();
+}
+
+/**
+ * Stores the chosen logo (as a data URL in localStorage, so it is kept for later reports).
+ * @param {Event} event - Change event of the logo file input.
+ * @returns {Promise<void>}
+ */
+async function handleReportLogoChange(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    if (file.size > REPORT_LOGO_MAX_BYTES) {
+        alert(`The logo is too large (${Math.round(file.size / 1024)} KB). Please use an image under ${REPORT_LOGO_MAX_BYTES / 1024} KB.`);
+        return;
+    }
+    try {
+        localStorage.setItem(REPORT_LOGO_KEY, await readBlobAsDataUrl(file));
+    } catch (error) {
+        console.error("[REPORT] Could not store the logo:", error);
+        alert("The logo could not be stored in this browser.");
+    }
+    renderReportLogoPreview();
+}
+
+/**
+ * Shows the stored logo in the report panel.
+ */
+function renderReportLogoPreview() {
+    const logo = localStorage.getItem(REPORT_LOGO_KEY);
+    reportLogoPreview.src = logo || '';
+    reportLogoPreview.style.display = logo ? 'inline-block' : 'none';
+    removeReportLogoBtn.style.display = logo ? 'inline-block' : 'none';
+}
+
+/**
+ * Loads an image with CORS so it can be drawn on an exportable canvas.
+ * @param {string} url - The image URL.
+ * @returns {Promise<HTMLImageElement | null>} Null if it failed or took too long.
+ */
+function loadCorsImage(url) {
+    return new Promise(resolve => {
+        const image = new Image();
+        const timer = setTimeout(() => resolve(null), REPORT_TILE_TIMEOUT_MS);
+        image.crossOrigin = 'anonymous';
+        image.onload = () => { clearTimeout(timer); resolve(image); };
+        image.onerror = () => { clearTimeout(timer); resolve(null); };
+        image.src = url;
+    });
+}
+
+/**
+ * Draws a map snapshot of a parcel: base map and parcel imagery tiles at the
+ * highest zoom that fits `REPORT_MAP_SIZE`, the boundary and a scale bar.
+ * Tiles from servers without CORS headers cannot be used and are left out.
+ * @param {object} feature - The parcel's GeoJSON feature.
+ * @param {string | null} imageryUrl - Tile URL template of the imagery.
+ * @returns {Promise<{dataUrl: string | null, imageryTiles: number, imageryTilesLoaded: number}>}
+ */
+async function renderParcelSnapshot(feature, imageryUrl) {
+    const { width, height } = REPORT_MAP_SIZE;
+    const crs = L.CRS.EPSG3857;
+    const bounds = L.geoJson(feature).getBounds();
+    let zoom = PARCEL_TILE_OPTIONS.maxNativeZoom;
+    while (zoom > PARCEL_TILE_OPTIONS.minZoom) {
+        const size = crs.latLngToPoint(bounds.getSouthEast(), zoom).subtract(crs.latLngToPoint(bounds.getNorthWest(), zoom));
+        if (size.x <= width * 0.85 && size.y <= height * 0.85) break;
+        zoom--;
+    }
+    const origin = crs.latLngToPoint(bounds.getCenter(), zoom).subtract(L.point(width / 2, height / 2)).round();
+    const toPixel = ([lng, lat]) => crs.latLngToPoint(L.latLng(lat, lng), zoom).subtract(origin);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#dddddd';
+    ctx.fillRect(0, 0, width, height);
+
+    // Tiles covering the canvas, base map first
+    const tiles = [];
+    for (let x = Math.floor(origin.x / 256); x <= Math.floor((origin.x + width) / 256); x++) {
+        for (let y = Math.floor(origin.y / 256); y <= Math.floor((origin.y + height) / 256); y++) {
+            tiles.push({ x, y });
+        }
+    }
+    let imageryTilesLoaded = 0;
+    for (const urlTemplate of [BASE_MAP_URL, imageryUrl].filter(Boolean)) {
+        const images = await Promise.all(tiles.map(tile => loadCorsImage(L.Util.template(urlTemplate, { ...tile, z: zoom, s: 'a' }))));
+        images.forEach((image, i) => {
+            if (!image) return;
+            ctx.drawImage(image, tiles[i].x * 256 - origin.x, tiles[i].y * 256 - origin.y);
+            if (urlTemplate === imageryUrl) imageryTilesLoaded++;
+        });
+    }
+
+    // Boundary
+    const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+    ctx.strokeStyle = '#ffeb3b';
+    ctx.lineWidth = 3;
+    polygons.forEach(rings => rings.forEach(ring => {
+        ctx.beginPath();
+        ring.forEach((coordinate, i) => {
+            const point = toPixel(coordinate);
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+    }));
+
+    // Scale bar of a round length close to 1/5 of the width
+    const metersPerPixel = 40075016.686 * Math.cos(bounds.getCenter().lat * Math.PI / 180) / (256 * Math.pow(2, zoom));
+    const targetMeters = metersPerPixel * width / 5;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(targetMeters)));
+    const barMeters = [5, 2, 1].map(step => step * magnitude).find(length => length <= targetMeters);
+    const barPixels = barMeters / metersPerPixel;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillRect(8, height - 30, barPixels + 70, 22);
+    ctx.fillStyle = '#000';
+    ctx.fillRect(14, height - 16, barPixels, 4);
+    ctx.font = '12px sans-serif';
+    ctx.fillText(barMeters >= 1000 ? `${barMeters / 1000} km` : `${barMeters} m`, barPixels + 20, height - 12);
+
+    let dataUrl = null;
+    try {
+        dataUrl = canvas.toDataURL('image/png');
+    } catch (error) {
+        console.error("[REPORT] The map snapshot could not be exported:", error);
+    }
+    return { dataUrl, imageryTiles: imageryUrl ? tiles.length : 0, imageryTilesLoaded };
+}
+
+/**
+ * Summarizes the NDVI grid of a parcel for one date: the grid on the map if it
+ * shows that date, otherwise the grid file is fetched. Cells are classified with
+ * the grid panel's method, class count and colours.
+ * @param {object} parcel - The parcel from `allParcelsData`.
+ * @param {string} date - The date (DD-MM-YYYY).
+ * @returns {Promise<{cells: number, mean: number, min: number, max: number, std: number, classes: Array<{from: number, to: number, color: string, cells: number}>} | null>}
+ *          Null if there is no grid for the date.
+ */
+async function getReportGridStats(parcel, date) {
+    let features = null;
+    if (ndviGridLayer && currentParcel === parcel && availableDates[parseInt(timeSlider.value)] === date) {
+        features = [];
+        ndviGridLayer.eachLayer(layer => features.push(layer.feature));
+    } else {
+        const gridUrl = buildGridUrl(parcel, date);
+        if (!gridUrl) return null;
+        try {
+            const response = await fetch(gridUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            features = (await response.json()).features || [];
+        } catch (error) {
+            console.warn(`[REPORT] No grid for ${parcel.kmlId} on ${date}:`, error);
+            return null;
+        }
+    }
+    const values = features.map(getGridCellNdvi).filter(value => value !== null);
+    if (values.length === 0) return null;
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+    const classCount = Math.min(Math.max(parseInt(gridClassCountInput.value) || 5, 2), 9);
+    const breaks = computeClassBreaks(values, classCount, gridMethodSelect.value);
+    const colors = getRampColors(gridRampSelect.value === 'none' ? DEFAULT_GRID_RAMP : gridRampSelect.value, breaks.length - 1);
+    const classes = colors.map((color, i) => ({ from: breaks[i], to: breaks[i + 1], color, cells: 0 }));
+    values.forEach(value => {
+        const classIndex = getClassIndex(value, breaks);
+        if (classIndex > -1) classes[classIndex].cells++;
+    });
+    return { cells: values.length, mean, min: Math.min(...values), max: Math.max(...values), std, classes };
+}
+
+/**
+ * Builds the self-contained, printable report document.
+ * @param {object} report - Collected report data (see generateParcelReport).
+ * @returns {string} HTML document.
+ */
+function buildParcelReportHtml(report) {
+    const { parcel, feature, imagery, snapshot, statsByDate, gridStats, notes, notesText, logo } = report;
+    const props = feature?.properties || {};
+    const areaCheck = feature ? checkDeclaredArea(feature) : null;
+    const cropHistory = getCropHistory(props);
+    const row = (label, value) => `<tr><th>${label}</th><td>${value}</td></tr>`;
+
+    let html = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Parcel report - ${escapeHtml(parcel.name)} - ${imagery.date}</title>
+<style>
+body { font-family: Arial, sans-serif; font-size: 12px; color: #222; margin: 20px; }
+header { display: flex; justify-content: space-between; align-items: center; border-bottom: 2px solid #4CAF50; padding-bottom: 8px; margin-bottom: 12px; }
+header img { max-height: 60px; max-width: 200px; }
+h1 { font-size: 20px; margin: 0; }
+h2 { font-size: 14px; margin: 16px 0 6px; border-bottom: 1px solid #ccc; }
+table { border-collapse: collapse; margin-bottom: 6px; }
+th, td { border: 1px solid #ddd; padding: 3px 6px; text-align: left; }
+.attributes th { background: #f5f5f5; width: 170px; }
+.data th { background: #f5f5f5; }
+.data td { text-align: right; }
+.selected td { font-weight: bold; background: #fff8e1; }
+.swatch { display: inline-block; width: 14px; height: 10px; border: 1px solid #999; margin-right: 4px; }
+.snapshot { max-width: 100%; border: 1px solid #999; }
+.muted { color: #777; }
+.note { margin-bottom: 8px; page-break-inside: avoid; }
+.note img { max-width: 240px; max-height: 180px; display: block; margin-top: 4px; }
+.notes-text { white-space: pre-wrap; }
+.print-btn { margin-bottom: 10px; }
+@media print { .print-btn { display: none; } body { margin: 0; } h2 { page-break-after: avoid; } }
+</style></head><body>
+<button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+<header><div><h1>Parcel report: ${escapeHtml(parcel.name)}</h1>
+<div class="muted">Imagery of ${imagery.date} (${imagery.useNdvi ? 'NDVI' : 'RGB'}) &middot; generated ${new Date().toLocaleString()}</div></div>
+${logo ? `<img src="${logo}" alt="Logo">` : ''}</header>`;
+
+    html += '<h2>Map</h2>';
+    if (snapshot?.dataUrl) {
+        html += `<img class="snapshot" src="${snapshot.dataUrl}" alt="Map snapshot">`;
+        if (snapshot.imageryTilesLoaded < snapshot.imageryTiles) {
+            html += `<p class="muted">${snapshot.imageryTiles - snapshot.imageryTilesLoaded} of ${snapshot.imageryTiles} imagery tiles could not be included (missing, or the tile server does not allow cross-origin access).</p>`;
+        }
+    } else {
+        html += '<p class="muted">No map snapshot: the parcel boundary was not found in the KML or the map could not be exported.</p>';
+    }
+
+    html += '<h2>Parcel</h2><table class="attributes">';
+    html += row('Name', escapeHtml(parcel.name || '-'));
+    html += row('KML ID (PARCEL_NR)', escapeHtml(parcel.kmlId));
+    html += row('Location', escapeHtml(parcel.location || props.VILLAGE || '-'));
+    html += row('Farm (FARM_ID)', escapeHtml(props.FARM_ID || '-'));
+    html += row('Crops', cropHistory.length > 0 ? cropHistory.map(entry => `${entry.year}: ${escapeHtml(entry.crop)}`).join(' &rarr; ') : '-');
+    html += row('Declared area (AREA_DEC)', areaCheck?.declaredHa !== null && areaCheck?.declaredHa !== undefined ? `${areaCheck.declaredHa.toFixed(2)} ha` : escapeHtml(props.AREA_DEC || '-'));
+    if (areaCheck) {
+        html += row('Boundary area', `${areaCheck.computedHa.toFixed(2)} ha`
+            + (areaCheck.differencePercent !== null ? ` (${areaCheck.differencePercent >= 0 ? '+' : ''}${areaCheck.differencePercent.toFixed(1)}% vs. declared)` : ''));
+    }
+    html += row('Image dates', `${getParcelImageDates(parcel).length} (${escapeHtml(getParcelImageDates(parcel).join(', '))})`);
+    html += '</table>';
+
+    if (statsByDate) {
+        const dates = Object.keys(statsByDate).sort(compareDdMmYyyyDates);
+        const optional = [['std', 'Std'], ['median', 'Median'], ['pixelCount', 'Pixels']]
+            .filter(([key]) => dates.some(date => statsByDate[date][key] !== undefined));
+        html += '<h2>NDVI statistics</h2><table class="data"><tr><th>Date</th><th>Mean</th><th>Min</th><th>Max</th>'
+            + optional.map(([, label]) => `<th>${label}</th>`).join('') + '</tr>';
+        dates.forEach(date => {
+            const stats = statsByDate[date];
+            const format = (key, value) => value === undefined ? '-' : (key === 'pixelCount' ? value : value.toFixed(3));
+            html += `<tr${date === imagery.date ? ' class="selected"' : ''}><td>${date}</td><td>${stats.mean.toFixed(3)}</td><td>${stats.min.toFixed(3)}</td><td>${stats.max.toFixed(3)}</td>`
+                + optional.map(([key]) => `<td>${format(key, stats[key])}</td>`).join('') + '</tr>';
+        });
+        html += '</table>';
+    } else if (report.includeNdviTable) {
+        html += '<h2>NDVI statistics</h2><p class="muted">No NDVI statistics for this parcel in the CSV.</p>';
+    }
+
+    if (gridStats) {
+        html += `<h2>NDVI grid (${imagery.date})</h2><table class="data">`
+            + `<tr><th>Cells</th><th>Mean</th><th>Min</th><th>Max</th><th>Std</th></tr>`
+            + `<tr><td>${gridStats.cells}</td><td>${gridStats.mean.toFixed(3)}</td><td>${gridStats.min.toFixed(3)}</td><td>${gridStats.max.toFixed(3)}</td><td>${gridStats.std.toFixed(3)}</td></tr></table>`;
+        html += '<table class="data"><tr><th>NDVI class</th><th>Cells</th><th>Share</th></tr>';
+        gridStats.classes.slice().reverse().forEach(gridClass => {
+            html += `<tr><td><span class="swatch" style="background:${gridClass.color}"></span>${gridClass.from.toFixed(3)} &ndash; ${gridClass.to.toFixed(3)}</td>`
+                + `<td>${gridClass.cells}</td><td>${(gridClass.cells / gridStats.cells * 100).toFixed(1)}%</td></tr>`;
+        });
+        html += '</table>';
+    } else if (report.includeGrid) {
+        html += `<h2>NDVI grid (${imagery.date})</h2><p class="muted">No grid available for this date.</p>`;
+    }
+
+    if (notes.length > 0) {
+        html += '<h2>Scouting notes</h2>';
+        notes.forEach(note => {
+            const category = SCOUTING_CATEGORIES[note.category] || SCOUTING_CATEGORIES.other;
+            html += `<div class="note"><b style="color:${category.color};">${category.label}</b> ${note.date}: ${escapeHtml(note.text || '')}`
+                + (note.photoDataUrl ? `<img src="${note.photoDataUrl}" alt="Photo">` : '') + '</div>';
+        });
+    }
+    if (notesText) {
+        html += `<h2>Notes</h2><div class="notes-text">${escapeHtml(notesText)}</div>`;
+    }
+    return html + '</body></html>';
+}
+
+/**
+ * Collects the data of the selected parcel and opens the printable report in a new window.
+ * @returns {Promise<void>}
+ */
+async function generateParcelReport() {
+    const imagery = getShownParcelImagery();
+    if (!imagery) {
+        alert("Select a parcel with imagery first.");
+        return;
+    }
+    // Open the window now: browsers block pop-ups opened after an await
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        alert("The report window was blocked. Please allow pop-ups for this page.");
+        return;
+    }
+    reportWindow.document.write('<p style="font-family: sans-serif;">Generating the parcel report...</p>');
+    generateReportBtn.disabled = true;
+    reportStatus.textContent = 'Generating...';
+
+    try {
+        const parcel = currentParcel;
+        await loadKmlIndex();
+        const feature = findKmlFeatureLayer(parcel.kmlId, parcel.location)?.feature || getIndexedKmlFeature(parcel.kmlId, parcel.location);
+        const includeNdviTable = reportNdviTableCheckbox.checked;
+        const includeGrid = reportGridCheckbox.checked;
+        const [snapshot, gridStats, notes] = await Promise.all([
+            feature ? renderParcelSnapshot(feature, imagery.tileUrl) : null,
+            includeGrid ? getReportGridStats(parcel, imagery.date) : null,
+            reportScoutingNotesCheckbox.checked
+                ? Promise.all(getParcelNotes(parcel.kmlId, parcel.location).map(async note => ({
+                    ...note, photoDataUrl: note.photo ? await readBlobAsDataUrl(note.photo) : null
+                })))
+                : []
+        ]);
+        const html = buildParcelReportHtml({
+            parcel, feature, imagery, snapshot, gridStats, notes, includeNdviTable, includeGrid,
+            statsByDate: includeNdviTable ? ndviStatsData[String(parcel.kmlId).trim()] : null,
+            notesText: reportNotesInput.value.trim(),
+            logo: localStorage.getItem(REPORT_LOGO_KEY)
+        });
+        reportWindow.document.open();
+        reportWindow.document.write(html);
+        reportWindow.document.close();
+        reportStatus.textContent = 'Report opened in a new window.';
+        console.log(`[REPORT] Report generated for ${parcel.kmlId} on ${imagery.date}.`);
+    } catch (error) {
+        console.error("[REPORT] Report generation failed:", error);
+        reportWindow.close();
+        reportStatus.textContent = 'The report could not be generated. See the console for details.';
+    } finally {
+        generateReportBtn.disabled = false;
+    }
+}
+
+// =====================================================================
+// LAYER HEALTH CHECK
+// =====================================================================
+// Each configured layer URL is sampled with one tile at the parcel's centroid
+// per LAYER_CHECK_ZOOMS level. Results are kept per URL template in localStorage,
+// so the report and the slider marks survive a reload and reset when a URL changes.
+
+/**
+ * Reads the stored check results.
+ * @returns {Object<string, {status: string, message: string, checkedAt: number}>} Results by tile URL template.
+ */
+function getLayerHealthResults() {
+    try {
+        return JSON.parse(localStorage.getItem(LAYER_HEALTH_KEY) || '{}');
+    } catch (error) {
+        console.warn("[HEALTH] Ignoring invalid stored layer check results:", error);
+        return {};
+    }
+}
+
+/**
+ * Requests one tile from the server. The LAYER_CHECK_PARAM query parameter
+ * bypasses the browser cache and the offline copies served by sw.js, so
+ * downloaded tiles are not reported as available after they left the server.
+ * Servers without CORS headers do not expose the HTTP status, so a failed
+ * fetch is retried as an image (which only tells loaded or not).
+ * @param {string} tileUrl - The tile URL.
+ * @returns {Promise<{ok: boolean, code: number | null, timedOut: boolean}>}
+ */
+async function requestSampleTile(tileUrl) {
+    const checkUrl = new URL(tileUrl, location.href);
+    checkUrl.searchParams.set(LAYER_CHECK_PARAM, Date.now());
+    const url = checkUrl.href;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LAYER_CHECK_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, { signal: controller.signal, cache: 'no-store' });
+        return { ok: response.ok, code: response.status, timedOut: false };
+    } catch (error) {
+        if (error.name === 'AbortError') return { ok: false, code: null, timedOut: true };
+    } finally {
+        clearTimeout(timer);
+    }
+    return new Promise(resolve => {
+        const image = new Image();
+        const timeout = setTimeout(() => finish(false, true), LAYER_CHECK_TIMEOUT_MS);
+        const finish = (ok, timedOut) => {
+            clearTimeout(timeout);
+            image.onload = image.onerror = null;
+            resolve({ ok, code: null, timedOut });
+        };
+        image.onload = () => finish(true, false);
+        image.onerror = () => finish(false, false);
+        image.src = url;
+    });
+}
+
+/**
+ * Samples a layer at a point on every LAYER_CHECK_ZOOMS level and classifies the result.
+ * @param {string} urlTemplate - Tile URL template with {z}, {x}, {y}.
+ * @param {L.LatLng} latLng - The parcel's centroid.
+ * @returns {Promise<{status: 'ok' | 'missing' | 'zoomRange' | 'error', message: string, checkedAt: number}>}
+ */
+async function checkLayerUrl(urlTemplate, latLng) {
+    const results = [];
+    for (const zoom of LAYER_CHECK_ZOOMS) {
+        const url = L.Util.template(urlTemplate, { x: lngToTileX(latLng.lng, zoom), y: latToTileY(latLng.lat, zoom), z: zoom, s: 'a' });
+        results.push({ zoom, ...(await requestSampleTile(url)) });
+    }
+    const loaded = results.filter(result => result.ok);
+    const failed = results.filter(result => !result.ok);
+    const checkedAt = Date.now();
+    if (failed.length === 0) return { status: 'ok', message: 'Tiles found', checkedAt };
+    if (loaded.length > 0) {
+        return {
+            status: 'zoomRange',
+            message: `Tiles only at zoom ${loaded.map(result => result.zoom).join(', ')} (missing at ${failed.map(result => result.zoom).join(', ')})`,
+            checkedAt
+        };
+    }
+    if (failed.every(result => result.code === 404)) return { status: 'missing', message: 'Not found (404) at the parcel centroid', checkedAt };
+    const codes = [...new Set(failed.filter(result => result.code).map(result => result.code))];
+    const message = codes.length > 0 ? `HTTP ${codes.join(', ')}`
+        : failed.some(result => result.timedOut) ? 'No response (timeout)' : 'Could not be loaded (network error or blocked)';
+    return { status: 'error', message, checkedAt };
+}
+
+/**
+ * Opens the layer check panel with the stored results.
+ */
+function openLayerCheckPanel() {
+    layerCheckPanel.style.display = 'flex';
+    renderLayerCheckReport();
+}
+
+/**
+ * Returns the parcels in the chosen check scope.
+ * @returns {object[]} Parcels from `allParcelsData`.
+ */
+function getLayerCheckParcels() {
+    if (layerCheckScopeSelect.value === 'selected') return currentParcel ? [currentParcel] : [];
+    if (layerCheckScopeSelect.value === 'village') {
+        return currentParcel ? allParcelsData.filter(parcel => parcel.location === currentParcel.location) : [];
+    }
+    return allParcelsData;
+}
+
+/**
+ * Checks every RGB and NDVI layer URL of the parcels in scope, stores the
+ * results and updates the report and the slider marks.
+ */
+async function runLayerCheck() {
+    if (layerCheckActive) return;
+    const parcels = getLayerCheckParcels();
+    if (parcels.length === 0) {
+        layerCheckStatus.textContent = 'Select a parcel on the map first.';
+        layerCheckStatus.style.color = 'orange';
+        return;
+    }
+    if (!navigator.onLine) {
+        layerCheckStatus.textContent = 'The check needs a connection.';
+        layerCheckStatus.style.color = 'orange';
+        return;
+    }
+
+    layerCheckActive = true;
+    layerCheckCancelled = false;
+    runLayerCheckBtn.disabled = true;
+    cancelLayerCheckBtn.disabled = false;
+    layerCheckStatus.style.color = 'blue';
+    layerCheckStatus.textContent = 'Loading parcel boundaries...';
+
+    try {
+        if (!(await loadKmlIndex())) {
+            throw new Error(`Could not load the parcel boundaries from ${KML_LAYER_URL}.`);
+        }
+        // One check per URL; parcels sharing a village mosaic share its URLs
+        const plan = [];
+        const plannedUrls = new Set();
+        parcels.forEach(parcel => {
+            const feature = getIndexedKmlFeature(parcel.kmlId, parcel.location);
+            if (!feature) return;
+            const centroid = L.geoJson(feature).getBounds().getCenter();
+            Object.values(parcel.layers || {}).forEach(url => {
+                if (typeof url !== 'string' || plannedUrls.has(url)) return;
+                plannedUrls.add(url);
+                plan.push({ url, centroid });
+            });
+        });
+        console.log(`[HEALTH] Checking ${plan.length} layer URL(s) of ${parcels.length} parcel(s).`);
+
+        const results = getLayerHealthResults();
+        let done = 0;
+        let nextIndex = 0;
+        const worker = async () => {
+            while (nextIndex < plan.length && !layerCheckCancelled) {
+                const entry = plan[nextIndex++];
+                results[entry.url] = await checkLayerUrl(entry.url, entry.centroid);
+                done++;
+                layerCheckStatus.textContent = `Checking ${done} / ${plan.length} layers...`;
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(LAYER_CHECK_CONCURRENCY, plan.length) }, worker));
+        localStorage.setItem(LAYER_HEALTH_KEY, JSON.stringify(results));
+
+        const problemCount = plan.filter(entry => results[entry.url] && results[entry.url].status !== 'ok').length;
+        layerCheckStatus.textContent = `${layerCheckCancelled ? 'Check cancelled' : 'Check complete'}: ${done} layer(s) checked, ${problemCount} with problems.`;
+        layerCheckStatus.style.color = layerCheckCancelled || problemCount > 0 ? 'orange' : 'green';
+    } catch (error) {
+        console.error("[HEALTH] Layer check failed:", error);
+        layerCheckStatus.textContent = `Check failed: ${error.message}`;
+        layerCheckStatus.style.color = 'red';
+    } finally {
+        layerCheckActive = false;
+        runLayerCheckBtn.disabled = false;
+        cancelLayerCheckBtn.disabled = true;
+        renderLayerCheckReport();
+        updateSliderHealthMarkers();
+    }
+}
+
+/**
+ * Lists the problems of the parcels in scope: broken or partial layers (from the
+ * stored results), dates without an NDVI layer and parcels without a KML boundary.
+ * @returns {object[]} Rows { parcel, date, layer, status, message }.
+ */
+function buildLayerCheckRows() {
+    const results = getLayerHealthResults();
+    const rows = [];
+    getLayerCheckParcels().forEach(parcel => {
+        if (kmlIndex && !getIndexedKmlFeature(parcel.kmlId, parcel.location)) {
+            rows.push({ parcel, date: null, layer: '-', status: 'noBoundary', message: 'No KML boundary: layers not checked' });
+        }
+        getParcelImageDates(parcel).forEach(date => {
+            [['RGB', parcel.layers[date]], ['NDVI', parcel.layers[`${date}-NDVI`]]].forEach(([layer, url]) => {
+                if (!url) {
+                    rows.push({ parcel, date, layer, status: 'noNdvi', message: 'No NDVI layer for this date' });
+                    return;
+                }
+                const result = results[url];
+                rows.push({
+                    parcel, date, layer,
+                    status: result ? result.status : 'unchecked',
+                    message: result ? result.message : 'Not checked yet',
+                    url
+                });
+            });
+        });
+    });
+    return rows;
+}
+
+/**
+ * Renders the report table and its summary.
+ */
+function renderLayerCheckReport() {
+    if (layerCheckPanel.style.display !== 'flex') return;
+    const rows = buildLayerCheckRows();
+    const count = status => rows.filter(row => row.status === status).length;
+    layerCheckSummary.textContent = `${rows.length - count('noNdvi') - count('noBoundary')} layer(s): ${count('ok')} OK, ` +
+        `${count('missing')} not found (404), ${count('zoomRange')} with missing zoom levels, ${count('error')} failing, ` +
+        `${count('unchecked')} not checked. ${count('noNdvi')} date(s) without NDVI` +
+        (count('noBoundary') ? `, ${count('noBoundary')} parcel(s) without KML boundary.` : '.');
+
+    const shownRows = layerCheckProblemsOnlyCheckbox.checked
+        ? rows.filter(row => row.status !== 'ok' && row.status !== 'unchecked')
+        : rows;
+    layerCheckTableBody.innerHTML = '';
+    if (shownRows.length === 0) {
+        layerCheckTableBody.innerHTML = '<tr><td colspan="4" class="layer-check-empty">No problems found.</td></tr>';
+        return;
+    }
+    shownRows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = `layer-check-${row.status}`;
+        tr.innerHTML = `
+            <td>${escapeHtml(row.parcel.name)} (${escapeHtml(row.parcel.kmlId)})</td>
+            <td>${row.date || '-'}</td>
+            <td>${row.layer}</td>
+            <td>${escapeHtml(row.message)}</td>`;
+        if (row.url) tr.title = row.url;
+        tr.addEventListener('click', () => showLayerCheckRow(row));
+        layerCheckTableBody.appendChild(tr);
+    });
+}
+
+/**
+ * Selects the parcel of a report row on its date (with NDVI on for NDVI rows).
+ * @param {object} row - Row from `buildLayerCheckRows`.
+ */
+async function showLayerCheckRow(row) {
+    const found = await selectParcelByKmlId(row.parcel.kmlId, row.date, row.parcel.location);
+    if (found && row.layer === 'NDVI' && row.url && !ndviCheckbox.checked) {
+        ndviCheckbox.checked = true;
+        updateTileLayer();
+    }
+}
+
+/**
+ * Marks the slider dates of the selected parcel with a failing RGB or NDVI
+ * layer in the last check. Clicking a mark shows that date.
+ */
+function updateSliderHealthMarkers() {
+    sliderHealthMarkers.innerHTML = '';
+    if (!currentParcel || availableDates.length < 2) return;
+    const results = getLayerHealthResults();
+
+    availableDates.forEach((date, index) => {
+        const problems = [['RGB', currentParcel.layers?.[date]], ['NDVI', currentParcel.layers?.[`${date}-NDVI`]]]
+            .filter(([, url]) => url && results[url] && results[url].status !== 'ok')
+            .map(([layer, url]) => ({ layer, ...results[url] }));
+        if (problems.length === 0) return;
+
+        const mark = document.createElement('div');
+        mark.className = 'slider-health-marker' + (problems.every(problem => problem.status === 'zoomRange') ? ' partial' : '');
+        // Align with the slider thumb centre (8px from each end)
+        mark.style.left = `calc(8px + (100% - 16px) * ${index / (availableDates.length - 1)})`;
+        mark.title = `${date}:\n` + problems.map(problem => `${problem.layer}: ${problem.message}`).join('\n');
+        mark.addEventListener('click', () => {
+            timeSlider.value = index;
+            updateTileLayer();
+        });
+        sliderHealthMarkers.appendChild(mark);
+    });
+}
+
+
+// =====================================================================
+// NDVI RECOLOURING
+// =====================================================================
+// NDVI tiles arrive coloured with a colour ramp over an NDVI range. Which one
+// is not published by the imagery pipeline, so it is a setting ("Tile colours",
+// default NDVI_TILE_ENCODING). With a palette other than 'original', the
+// stacked NDVI layer is a canvas layer: each tile is drawn on `hiddenCanvas`,
+// its colours are decoded back to NDVI (nearest colour of the tile ramp) and
+// re-coloured with the chosen palette and stretch.
+
+/**
+ * Returns the tile colour decoder of the "Tile colours" setting. It is kept
+ * until the setting changes, as its colour cache fills up while decoding.
+ * @param {object} settings - From `getLayerDisplaySettings`.
+ * @returns {{key: string, min: number, max: number, colors: number[][], cache: Int16Array}}
+ */
+function getNdviDecoder(settings) {
+    const key = `${settings.ndviEncodingRamp}|${settings.ndviEncodingMin}|${settings.ndviEncodingMax}`;
+    if (ndviDecoder?.key !== key) {
+        ndviDecoder = {
+            key,
+            min: settings.ndviEncodingMin,
+            max: settings.ndviEncodingMax,
+            colors: getRampColors(settings.ndviEncodingRamp, 256)
+                .map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16))),
+            cache: new Int16Array(1 << 18).fill(-1) // Ramp index per colour quantised to 6 bits per channel
+        };
+    }
+    return ndviDecoder;
+}
+
+/**
+ * Decodes a colour of an NDVI tile back to its NDVI value. Matches are cached
+ * per colour quantised to 6 bits per channel.
+ * @param {object} decoder - From `getNdviDecoder`.
+ * @param {number} r - Red (0-255).
+ * @param {number} g - Green (0-255).
+ * @param {number} b - Blue (0-255).
+ * @returns {number | null} The NDVI value, or null if the colour is not on the tile ramp (outlines, labels).
+ */
+function decodeNdviColor(decoder, r, g, b) {
+    const key = ((r >> 2) << 12) | ((g >> 2) << 6) | (b >> 2);
+    let index = decoder.cache[key];
+    if (index === -1) {
+        let bestDistance = Infinity;
+        decoder.colors.forEach(([cr, cg, cb], i) => {
+            const distance = (cr - r) ** 2 + (cg - g) ** 2 + (cb - b) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                index = i;
+            }
+        });
+        if (bestDistance > NDVI_DECODE_MAX_DISTANCE ** 2) index = -2;
+        decoder.cache[key] = index;
+    }
+    if (index < 0) return null;
+    return decoder.min + (index / 255) * (decoder.max - decoder.min);
+}
+
+/**
+ * Returns 256 RGB colours of a palette from `COLOR_RAMPS`, low to high.
+ * @param {string} paletteName - Key of `COLOR_RAMPS`.
+ * @returns {Uint8ClampedArray} r, g, b triplets.
+ */
+function getPaletteLut(paletteName) {
+    if (!ndviPaletteLuts[paletteName]) {
+        const lut = new Uint8ClampedArray(256 * 3);
+        getRampColors(paletteName, 256).forEach((hex, i) => {
+            [1, 3, 5].forEach((offset, channel) => { lut[i * 3 + channel] = parseInt(hex.slice(offset, offset + 2), 16); });
+        });
+        ndviPaletteLuts[paletteName] = lut;
+    }
+    return ndviPaletteLuts[paletteName];
+}
+
+/**
+ * Creates the canvas NDVI layer used while a palette is chosen. It supports
+ * `setUrl` like L.tileLayer, so updateTileLayer can treat both alike.
+ * @param {string} urlTemplate - Tile URL template of the NDVI layer.
+ * @returns {L.GridLayer}
+ */
+function createNdviCanvasLayer(urlTemplate) {
+    const layer = L.gridLayer({ ...PARCEL_TILE_OPTIONS, zIndex: 2 }); // Above the RGB layer
+    layer.isNdviCanvas = true;
+    layer.urlTemplate = urlTemplate;
+    layer.setUrl = function(url) {
+        if (url !== this.urlTemplate) {
+            this.urlTemplate = url;
+            this.redraw();
+        }
+        return this;
+    };
+    layer.createTile = function(coords, done) {
+        const tile = document.createElement('canvas');
+        const size = this.getTileSize();
+        tile.width = size.x;
+        tile.height = size.y;
+        const url = L.Util.template(this.urlTemplate, { ...coords, s: 'a' });
+        const image = new Image();
+        // Pixels of cross-origin tiles can only be read with CORS; not asked for again once the server refused it
+        if (!ndviRecolorBlocked) image.crossOrigin = 'anonymous';
+        image.onload = () => {
+            if (image.crossOrigin) {
+                ndviTilesReadable = true;
+                renderNdviTile(image, tile);
+            } else {
+                tile.getContext('2d').drawImage(image, 0, 0, tile.width, tile.height);
+            }
+            done(null, tile);
+        };
+        image.onerror = () => {
+            // A server without CORS headers fails the request above too. Until that is known
+            // either way, load the tile again as a plain image to tell it from a missing tile
+            if (!image.crossOrigin || ndviTilesReadable) {
+                done(new Error(`NDVI tile could not be loaded: ${url}`), tile);
+                return;
+            }
+            const plainImage = new Image();
+            plainImage.onload = () => {
+                if (!ndviRecolorBlocked) {
+                    ndviRecolorBlocked = true;
+                    console.warn(`[NDVI COLOURS] Tile server sends no CORS headers; showing the original colours: ${url}`);
+                    notifyUser('The NDVI tile server does not allow reading its tiles, so the NDVI colours cannot be changed.');
+                }
+                tile.getContext('2d').drawImage(plainImage, 0, 0, tile.width, tile.height);
+                done(null, tile);
+            };
+            plainImage.onerror = () => done(new Error(`NDVI tile could not be loaded: ${url}`), tile);
+            plainImage.src = url;
+        };
+        image.src = url;
+        return tile;
+    };
+    return layer;
+}
+
+/**
+ * Re-colours one NDVI tile with the palette, stretch and mask of the layer
+ * display settings and draws it on the tile canvas.
+ * @param {HTMLImageElement} image - The loaded NDVI tile.
+ * @param {HTMLCanvasElement} tile - The canvas of the grid layer tile.
+ */
+function renderNdviTile(image, tile) {
+    const tileContext = tile.getContext('2d');
+    const context = hiddenCanvas.getContext('2d', { willReadFrequently: true });
+    hiddenCanvas.width = image.width;
+    hiddenCanvas.height = image.height;
+    context.clearRect(0, 0, image.width, image.height);
+    context.drawImage(image, 0, 0);
+    const pixels = context.getImageData(0, 0, image.width, image.height);
+
+    const settings = getLayerDisplaySettings();
+    const decoder = getNdviDecoder(settings);
+    const lut = getPaletteLut(settings.ndviPalette);
+    const maskColor = [1, 3, 5].map(i => parseInt(NDVI_MASK_COLOR.slice(i, i + 2), 16));
+    const span = (settings.ndviStretchMax - settings.ndviStretchMin) || 1;
+    const data = pixels.data;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        const ndvi = decodeNdviColor(decoder, data[i], data[i + 1], data[i + 2]);
+        if (ndvi === null || (settings.ndviMaskEnabled && ndvi >= settings.ndviMaskThreshold)) {
+            data[i + 3] = 0;
+            continue;
+        }
+        if (settings.ndviMaskEnabled) {
+            data.set(maskColor, i);
+            continue;
+        }
+        const position = Math.round(Math.min(1, Math.max(0, (ndvi - settings.ndviStretchMin) / span)) * 255);
+        data[i] = lut[position * 3];
+        data[i + 1] = lut[position * 3 + 1];
+        data[i + 2] = lut[position * 3 + 2];
+    }
+    context.putImageData(pixels, 0, 0);
+    tileContext.drawImage(hiddenCanvas, 0, 0, tile.width, tile.height);
+}
+
+/**
+ * Shows the palette gradient with its stretch range (or the mask colour) below the NDVI controls.
+ * @param {object} settings - From `getLayerDisplaySettings`.
+ */
+function updateNdviPaletteLegend(settings) {
+    ndviRecolorOptionsDiv.style.display = settings.ndviPalette === 'original' ? 'none' : 'block';
+    if (settings.ndviPalette === 'original') return;
+    const gradient = settings.ndviMaskEnabled
+        ? NDVI_MASK_COLOR
+        : `linear-gradient(to right, ${getRampColors(settings.ndviPalette, 8).join(', ')})`;
+    ndviPaletteLegend.innerHTML = `<span>${settings.ndviMaskEnabled ? 'NDVI <' : settings.ndviStretchMin.toFixed(2)}</span>` +
+        `<i style="background:${gradient}"></i>` +
+        `<span>${(settings.ndviMaskEnabled ? settings.ndviMaskThreshold : settings.ndviStretchMax).toFixed(2)}</span>`;
+}
+
+
+// =====================================================================
+// NDVI PIXEL INSPECTOR
+// =====================================================================
+
+/**
+ * Adds the inspect control (point value / transect profile) and its map handlers.
+ */
+function setupInspectTools() {
+    inspectLayer = L.layerGroup().addTo(map);
+    inspectControl = L.control({ position: 'topleft' });
+    inspectControl.onAdd = function() {
+        const container = L.DomUtil.create('div', 'inspect-control leaflet-bar');
+        container.innerHTML = `
+            <a href="#" role="button" data-inspect="point" title="Click the map to read the NDVI value of the shown NDVI layer">Inspect NDVI</a>
+            <a href="#" role="button" data-inspect="transect" title="Draw a line (double-click to finish) to see its NDVI profile">Transect</a>
+            <a href="#" role="button" data-inspect="clear" title="Clear the transect">Clear</a>
+            <div class="inspect-result"></div>`;
+        L.DomEvent.disableClickPropagation(container);
+        container.querySelectorAll('a[data-inspect]').forEach(button => {
+            L.DomEvent.on(button, 'click', e => {
+                L.DomEvent.preventDefault(e);
+                if (button.dataset.inspect === 'clear') clearInspection();
+                else startInspectMode(button.dataset.inspect);
+            });
+        });
+        return container;
+    };
+    inspectControl.addTo(map);
+
+    // Parcel clicks are routed here from setupKmlFeature; these catch all other map clicks
+    map.on('click', e => {
+        if (inspectMode) handleInspectClick(e.latlng);
+    });
+    map.on('dblclick', () => {
+        if (inspectMode === 'transect') finishTransect();
+    });
+    map.on('mousemove', e => {
+        if (inspectMode === 'transect' && transectPoints.length > 0) renderTransectLine(e.latlng);
+    });
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && inspectMode) stopInspectMode();
+    });
+}
+
+/**
+ * Starts point inspection or transect drawing (clicking the active tool again stops it).
+ * @param {'point' | 'transect'} mode - The inspect tool.
+ */
+function startInspectMode(mode) {
+    if (inspectMode === mode) {
+        if (mode === 'transect') finishTransect();
+        else stopInspectMode();
+        return;
+    }
+    if (notePlacement) stopNotePlacement();
+    if (measuring) finishMeasurement();
+    map.closePopup();
+    if (inspectMode) stopInspectMode();
+    if (!getShownParcelImagery()?.useNdvi) {
+        setInspectResult('Select a parcel and turn on its NDVI layer first.');
+        return;
+    }
+    inspectMode = mode;
+    map.getContainer().classList.add('measure-mode'); // Crosshair cursor
+    inspectControl.getContainer().querySelectorAll('a[data-inspect]').forEach(button => {
+        button.classList.toggle('inspect-active', button.dataset.inspect === mode);
+    });
+    if (mode === 'transect') {
+        transectPoints = [];
+        inspectLayer.clearLayers();
+        map.doubleClickZoom.disable(); // Double-click finishes the transect
+        setInspectResult('Click on the map to add points, double-click to finish.');
+    } else {
+        setInspectResult('Click on the map to read the NDVI value.');
+    }
+}
+
+/**
+ * Leaves the inspect mode (a drawn transect stays on the map).
+ */
+function stopInspectMode() {
+    if (inspectMode === 'transect') map.doubleClickZoom.enable();
+    inspectMode = null;
+    map.getContainer().classList.remove('measure-mode');
+    inspectControl.getContainer().querySelectorAll('a[data-inspect]').forEach(button => {
+        button.classList.remove('inspect-active');
+    });
+}
+
+/**
+ * Removes the transect and its profile.
+ */
+function clearInspection() {
+    if (inspectMode) stopInspectMode();
+    transectPoints = [];
+    inspectLayer.clearLayers();
+    setInspectResult('');
+}
+
+/**
+ * Handles a map click in inspect mode.
+ * @param {L.LatLng} latlng - The clicked position.
+ */
+function handleInspectClick(latlng) {
+    map.closePopup();
+    if (inspectMode === 'point') {
+        showPixelValue(latlng);
+        return;
+    }
+    // The two clicks of a finishing double-click land on the same spot
+    if (transectPoints.length > 0 && transectPoints[transectPoints.length - 1].equals(latlng)) return;
+    transectPoints.push(latlng);
+    renderTransectLine();
+}
+
+/**
+ * Loads an NDVI tile and reads its pixels on `hiddenCanvas`. Loaded tiles are
+ * cached (up to INSPECT_TILE_CACHE_SIZE) so transects do not load them again.
+ * @param {string} url - The tile URL.
+ * @returns {Promise<ImageData | null>} Null if the tile is missing or its server sends no CORS headers (the image request fails).
+ */
+function loadInspectTile(url) {
+    if (!inspectTileCache.has(url)) {
+        if (inspectTileCache.size >= INSPECT_TILE_CACHE_SIZE) inspectTileCache.delete(inspectTileCache.keys().next().value);
+        const pixelsPromise = loadCorsImage(url).then(image => {
+            if (!image) return null;
+            const context = hiddenCanvas.getContext('2d', { willReadFrequently: true });
+            hiddenCanvas.width = image.width;
+            hiddenCanvas.height = image.height;
+            context.clearRect(0, 0, image.width, image.height);
+            context.drawImage(image, 0, 0);
+            return context.getImageData(0, 0, image.width, image.height);
+        });
+        inspectTileCache.set(url, pixelsPromise);
+        // Failed loads are not kept, so the next click tries the tile again
+        pixelsPromise.then(pixels => {
+            if (!pixels && inspectTileCache.get(url) === pixelsPromise) inspectTileCache.delete(url);
+        });
+    }
+    return inspectTileCache.get(url);
+}
+
+/**
+ * Reads the NDVI value at a point from the NDVI tile at the current zoom.
+ * @param {L.LatLng} latlng - The position.
+ * @param {string} urlTemplate - Tile URL template of the NDVI layer.
+ * @returns {Promise<number | null>} NDVI, or null where the tile has no data.
+ * @throws {Error} If the tile could not be loaded.
+ */
+async function readNdviAt(latlng, urlTemplate) {
+    const zoom = Math.max(PARCEL_TILE_OPTIONS.minZoom, Math.min(Math.round(map.getZoom()), PARCEL_TILE_OPTIONS.maxNativeZoom));
+    const point = L.CRS.EPSG3857.latLngToPoint(latlng, zoom);
+    const x = Math.floor(point.x / 256);
+    const y = Math.floor(point.y / 256);
+    const pixels = await loadInspectTile(L.Util.template(urlTemplate, { x, y, z: zoom, s: 'a' }));
+    if (!pixels) throw new Error('The NDVI tile could not be loaded (missing, or its server sends no CORS headers).');
+
+    // Tiles may be stored at a higher resolution than 256 px
+    const px = Math.min(pixels.width - 1, Math.floor((point.x - x * 256) * pixels.width / 256));
+    const py = Math.min(pixels.height - 1, Math.floor((point.y - y * 256) * pixels.height / 256));
+    const i = (py * pixels.width + px) * 4;
+    if (pixels.data[i + 3] === 0) return null;
+    return decodeNdviColor(getNdviDecoder(getLayerDisplaySettings()), pixels.data[i], pixels.data[i + 1], pixels.data[i + 2]);
+}
+
+/**
+ * Shows the NDVI value and coordinates of a clicked point in a popup.
+ * @param {L.LatLng} latlng - The clicked position.
+ */
+async function showPixelValue(latlng) {
+    const shown = getShownParcelImagery();
+    if (!shown?.useNdvi) {
+        setInspectResult('Select a parcel and turn on its NDVI layer first.');
+        return;
+    }
+    let valueHtml;
+    try {
+        const ndvi = await readNdviAt(latlng, shown.tileUrl);
+        valueHtml = ndvi === null ? 'No NDVI data here' : `<b>NDVI:</b> ${ndvi.toFixed(3)}`;
+    } catch (error) {
+        valueHtml = `<span class="inspect-error">${escapeHtml(error.message)}</span>`;
+    }
+    console.log(`[INSPECT] ${latlng.lat.toFixed(6)}, ${latlng.lng.toFixed(6)} on ${shown.date}: ${valueHtml}`);
+    L.popup({ className: 'inspect-popup' })
+        .setLatLng(latlng)
+        .setContent(`${valueHtml}<br>${latlng.lat.toFixed(6)}, ${latlng.lng.toFixed(6)}<br><small>${escapeHtml(currentParcel.name)}, ${shown.date}</small>`)
+        .openOn(map);
+}
+
+/**
+ * Draws the transect line.
+ * @param {L.LatLng} [cursorLatLng] - Current mouse position, previewed as the next vertex while drawing.
+ */
+function renderTransectLine(cursorLatLng) {
+    const points = cursorLatLng ? [...transectPoints, cursorLatLng] : transectPoints;
+    inspectLayer.clearLayers();
+    if (points.length === 0) return;
+    L.polyline(points, { color: '#00e5ff', weight: 3, dashArray: inspectMode === 'transect' ? '6, 6' : null, interactive: false }).addTo(inspectLayer);
+    transectPoints.forEach(point => {
+        L.circleMarker(point, { radius: 4, color: '#333', weight: 1, fillColor: '#00e5ff', fillOpacity: 1, interactive: false }).addTo(inspectLayer);
+    });
+}
+
+/**
+ * Ends the transect drawing and shows its NDVI profile.
+ */
+async function finishTransect() {
+    stopInspectMode();
+    renderTransectLine();
+    const shown = getShownParcelImagery();
+    if (transectPoints.length < 2) {
+        setInspectResult('Add at least 2 points to draw a transect.');
+        return;
+    }
+    if (!shown?.useNdvi) {
+        setInspectResult('Select a parcel and turn on its NDVI layer first.');
+        return;
+    }
+
+    // Evenly spaced samples along the line
+    const segmentLengths = transectPoints.slice(1).map((point, i) => transectPoints[i].distanceTo(point));
+    const totalLength = segmentLengths.reduce((sum, length) => sum + length, 0);
+    const samples = [];
+    for (let s = 0; s < INSPECT_TRANSECT_SAMPLES; s++) {
+        let distance = totalLength * s / (INSPECT_TRANSECT_SAMPLES - 1);
+        let segment = 0;
+        while (segment < segmentLengths.length - 1 && distance > segmentLengths[segment]) distance -= segmentLengths[segment++];
+        const t = segmentLengths[segment] > 0 ? Math.min(1, distance / segmentLengths[segment]) : 0;
+        const start = transectPoints[segment];
+        const end = transectPoints[segment + 1];
+        samples.push({
+            distance: totalLength * s / (INSPECT_TRANSECT_SAMPLES - 1),
+            latlng: L.latLng(start.lat + (end.lat - start.lat) * t, start.lng + (end.lng - start.lng) * t)
+        });
+    }
+
+    setInspectResult('Reading NDVI values...');
+    try {
+        for (const sample of samples) sample.ndvi = await readNdviAt(sample.latlng, shown.tileUrl);
+    } catch (error) {
+        setInspectResult(`<span class="inspect-error">${escapeHtml(error.message)}</span>`);
+        return;
+    }
+    setInspectResult(buildTransectProfileHtml(samples, totalLength, shown.date));
+}
+
+/**
+ * Builds the transect profile: a small SVG line chart (gaps where there is no data) and its statistics.
+ * @param {Array<{distance: number, ndvi: number | null}>} samples - Samples along the line.
+ * @param {number} totalLength - Line length in metres.
+ * @param {string} date - The NDVI date.
+ * @returns {string} HTML.
+ */
+function buildTransectProfileHtml(samples, totalLength, date) {
+    const values = samples.map(sample => sample.ndvi).filter(ndvi => ndvi !== null);
+    if (values.length === 0) return `<b>Transect</b> (${formatLength(totalLength)}): no NDVI data along the line.`;
+    const width = 200;
+    const height = 70;
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    const range = (high - low) || 1;
+
+    // One polyline per run of samples with data
+    const runs = [[]];
+    samples.forEach(sample => {
+        if (sample.ndvi === null) {
+            if (runs[runs.length - 1].length > 0) runs.push([]);
+            return;
+        }
+        const x = (sample.distance / (totalLength || 1)) * width;
+        const y = height - 4 - ((sample.ndvi - low) / range) * (height - 8);
+        runs[runs.length - 1].push(`${x.toFixed(1)},${y.toFixed(1)}`);
+    });
+    const lines = runs.filter(run => run.length > 0)
+        .map(run => `<polyline points="${run.join(' ')}" fill="none" stroke="#2e7d32" stroke-width="1.5"/>`).join('');
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    return `<b>NDVI transect</b> ${date}, ${formatLength(totalLength)}<br>` +
+        `<svg class="transect-profile" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<rect width="${width}" height="${height}" fill="#fafafa" stroke="#ccc"/>${lines}</svg><br>` +
+        `Min ${low.toFixed(3)} | Mean ${mean.toFixed(3)} | Max ${high.toFixed(3)}` +
+        (values.length < samples.length ? `<br><small>${samples.length - values.length} of ${samples.length} samples without data</small>` : '');
+}
+
+/**
+ * Shows HTML in the inspect control's result area (hidden when empty).
+ * @param {string} html - Result HTML.
+ */
+function setInspectResult(html) {
+    const resultDiv = inspectControl.getContainer().querySelector('.inspect-result');
+    resultDiv.innerHTML = html;
+    resultDiv.style.display = html ? 'block' : 'none';
+}
+
+
+// =====================================================================
+// MANAGEMENT ZONES & PRESCRIPTION EXPORT
+// =====================================================================
+
+/**
+ * Opens the management zone panel for the grid currently shown on the map.
+ */
+function openZonesPanel() {
+    if (!ndviGridLayer) {
+        alert("Show the NDVI grid of a parcel first: management zones are built from its cells.");
+        return;
+    }
+    zonesPanel.style.display = 'flex';
+    updateManagementZones();
+}
+
+/**
+ * Closes the management zone panel and removes the zone preview from the map.
+ */
+function closeZonesPanel() {
+    zonesPanel.style.display = 'none';
+    removeZonePreview();
+}
+
+/** Removes the zone preview layer from the map. */
+function removeZonePreview() {
+    if (zoneLayer && map.hasLayer(zoneLayer)) {
+        map.removeLayer(zoneLayer);
+    }
+    zoneLayer = null;
+}
+
+/**
+ * Assigns every grid cell with an NDVI value to a zone.
+ * @param {object[]} features - Grid GeoJSON features.
+ * @param {number} zoneCount - Requested number of zones.
+ * @param {'equal' | 'quantile' | 'jenks'} method - Classification method.
+ * @returns {{cells: {feature: object, ndvi: number, zone: number}[], breaks: number[]}} Cells with 0-based zones.
+ */
+function classifyGridCells(features, zoneCount, method) {
+    const cells = features
+        .map(feature => ({ feature, ndvi: getGridCellNdvi(feature) }))
+        .filter(cell => cell.ndvi !== null);
+    const breaks = computeClassBreaks(cells.map(cell => cell.ndvi), zoneCount, method);
+    cells.forEach(cell => { cell.zone = getClassIndex(cell.ndvi, breaks); });
+    return { cells, breaks };
+}
+
+/**
+ * Replaces each cell's zone by the most common zone among the cell and its
+ * eight neighbours (majority filter), removing isolated cells from the zone map.
+ * Neighbours are found by position on the regular grid.
+ * @param {{feature: object, zone: number}[]} cells - Classified cells (updated in place).
+ * @param {number} passes - Number of filter passes.
+ */
+function smoothZones(cells, passes) {
+    if (cells.length === 0 || passes < 1) return;
+    const boxes = cells.map(cell => L.geoJson(cell.feature).getBounds());
+    const widths = boxes.map(b => b.getEast() - b.getWest()).sort((a, b) => a - b);
+    const heights = boxes.map(b => b.getNorth() - b.getSouth()).sort((a, b) => a - b);
+    const cellWidth = widths[Math.floor(widths.length / 2)] || 1;
+    const cellHeight = heights[Math.floor(heights.length / 2)] || 1;
+
+    // Grid column/row of each cell (clipped edge cells snap to the nearest position)
+    const positions = new Map();
+    cells.forEach((cell, i) => {
+        const center = boxes[i].getCenter();
+        cell.column = Math.round(center.lng / cellWidth);
+        cell.row = Math.round(center.lat / cellHeight);
+        positions.set(`${cell.column}|${cell.row}`, cell);
+    });
+
+    for (let pass = 0; pass < passes; pass++) {
+        const newZones = cells.map(cell => {
+            const counts = {};
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const neighbour = positions.get(`${cell.column + dx}|${cell.row + dy}`);
+                    if (neighbour) counts[neighbour.zone] = (counts[neighbour.zone] || 0) + 1;
+                }
+            }
+            let bestZone = cell.zone;
+            Object.entries(counts).forEach(([zone, count]) => {
+                if (count > counts[bestZone]) bestZone = Number(zone);
+            });
+            return bestZone;
+        });
+        cells.forEach((cell, i) => { cell.zone = newZones[i]; });
+    }
+}
+
+/**
+ * Returns the rings of a Polygon or MultiPolygon geometry.
+ * @param {object} geometry - GeoJSON geometry.
+ * @returns {number[][][]} Rings of [lng, lat] positions.
+ */
+function getGeometryRings(geometry) {
+    if (geometry?.type === 'Polygon') return geometry.coordinates;
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates.flat();
+    return [];
+}
+
+/**
+ * Tests whether a point lies inside a ring (ray casting).
+ * @param {number[]} point - [lng, lat].
+ * @param {number[][]} ring - Closed ring of [lng, lat] positions.
+ * @returns {boolean}
+ */
+function isPointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Signed planar area of a ring in degrees² (positive = counter-clockwise).
+ * @param {number[][]} ring - Closed ring of [lng, lat] positions.
+ * @returns {number}
+ */
+function getRingSignedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+}
+
+/**
+ * Merges adjacent grid cells into polygons by removing the edges they share.
+ * Works for grids whose neighbouring cells have identical vertices.
+ * @param {object[]} features - Cell features (Polygon or MultiPolygon).
+ * @returns {number[][][][]} MultiPolygon coordinates; one polygon per contiguous area.
+ */
+function dissolveGridCells(features) {
+    const pointKey = point => `${point[0].toFixed(8)},${point[1].toFixed(8)}`;
+    const edges = new Map();
+    features.forEach(feature => {
+        getGeometryRings(feature.geometry).forEach(ring => {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const a = pointKey(ring[i]);
+                const b = pointKey(ring[i + 1]);
+                if (a === b) continue;
+                // An edge seen twice (in either direction) is shared by two cells
+                if (edges.has(`${b}>${a}`)) edges.delete(`${b}>${a}`);
+                else if (edges.has(`${a}>${b}`)) edges.delete(`${a}>${b}`);
+                else edges.set(`${a}>${b}`, [ring[i], ring[i + 1]]);
+            }
+        });
+    });
+
+    // Chain the remaining boundary edges into closed rings
+    const edgesByStart = new Map();
+    edges.forEach((points, key) => {
+        const [start, end] = key.split('>');
+        [[start, end, points], [end, start, [points[1], points[0]]]].forEach(([from, to, edgePoints]) => {
+            if (!edgesByStart.has(from)) edgesByStart.set(from, []);
+            edgesByStart.get(from).push({ key, to, points: edgePoints });
+        });
+    });
+    const usedEdges = new Set();
+    const rings = [];
+    edges.forEach((points, key) => {
+        if (usedEdges.has(key)) return;
+        usedEdges.add(key);
+        const [start, firstEnd] = key.split('>');
+        const ring = [points[0], points[1]];
+        let current = firstEnd;
+        while (current !== start) {
+            const next = (edgesByStart.get(current) || []).find(edge => !usedEdges.has(edge.key));
+            if (!next) break; // Open chain (irregular grid): dropped below
+            usedEdges.add(next.key);
+            ring.push(next.points[1]);
+            current = next.to;
+        }
+        if (current === start && ring.length >= 4) rings.push(ring);
+    });
+
+    // Outer rings contain an even number of other rings; holes go to the smallest outer containing them
+    const ringInfo = rings.map(ring => ({ ring, area: Math.abs(getRingSignedArea(ring)) }));
+    ringInfo.forEach(info => {
+        info.containers = ringInfo.filter(other => other !== info && other.area > info.area && isPointInRing(info.ring[0], other.ring));
+    });
+    const orient = (ring, counterClockwise) => (getRingSignedArea(ring) > 0) === counterClockwise ? ring : ring.slice().reverse();
+    const polygons = [];
+    const outers = ringInfo.filter(info => info.containers.length % 2 === 0);
+    outers.forEach(info => { info.polygon = [orient(info.ring, true)]; polygons.push(info.polygon); });
+    ringInfo.filter(info => info.containers.length % 2 === 1).forEach(hole => {
+        const owner = hole.containers.filter(c => outers.includes(c)).sort((a, b) => a.area - b.area)[0];
+        if (owner) owner.polygon.push(orient(hole.ring, false));
+    });
+    return polygons;
+}
+
+/**
+ * Computes the geodesic area of a Polygon or MultiPolygon (holes subtracted).
+ * @param {object} geometry - GeoJSON geometry.
+ * @returns {number} Area in m².
+ */
+function computeGeoJsonArea(geometry) {
+    const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+        : geometry?.type === 'MultiPolygon' ? geometry.coordinates : [];
+    return polygons.reduce((total, rings) => total + rings.reduce((sum, ring, index) => {
+        const area = computeGeodesicArea(ring.map(([lng, lat]) => L.latLng(lat, lng)));
+        return index === 0 ? sum + area : sum - area;
+    }, 0), 0);
+}
+
+/**
+ * Builds the zone features from the current grid and panel settings.
+ * @returns {{features: object[], zones: object[]}} Zone GeoJSON features and per-zone
+ *          summaries { zone, min, max, cellCount, areaHa }.
+ */
+function buildManagementZones() {
+    const gridFeatures = [];
+    ndviGridLayer.eachLayer(layer => gridFeatures.push(layer.feature));
+    const zoneCount = Math.min(Math.max(parseInt(zonesCountInput.value, 10) || 3, 2), 9);
+    const { cells, breaks } = classifyGridCells(gridFeatures, zoneCount, zonesMethodSelect.value);
+    if (zonesSmoothCheckbox.checked) {
+        smoothZones(cells, parseInt(zonesSmoothPassesInput.value, 10) || 1);
+    }
+
+    const zones = [];
+    for (let i = 0; i < breaks.length - 1; i++) {
+        zones.push({ zone: i + 1, min: breaks[i], max: breaks[i + 1], cellCount: 0, areaHa: 0 });
+    }
+    const features = [];
+    zones.forEach(zone => {
+        const zoneCells = cells.filter(cell => cell.zone === zone.zone - 1);
+        zone.cellCount = zoneCells.length;
+        const geometries = zonesMergeCheckbox.checked
+            ? dissolveGridCells(zoneCells.map(cell => cell.feature)).map(coordinates => ({ type: 'Polygon', coordinates }))
+            : zoneCells.map(cell => cell.feature.geometry);
+        geometries.forEach(geometry => {
+            const areaHa = computeGeoJsonArea(geometry) / 10000;
+            zone.areaHa += areaHa;
+            features.push({
+                type: 'Feature',
+                geometry,
+                properties: { ZONE: zone.zone, NDVI_MIN: Number(zone.min.toFixed(4)), NDVI_MAX: Number(zone.max.toFixed(4)), AREA_HA: Number(areaHa.toFixed(4)) }
+            });
+        });
+    });
+    return { features, zones };
+}
+
+/**
+ * Recomputes the zones, redraws the preview and the zone/rate table.
+ * Called when the panel opens, when a zone option changes and when a new grid loads.
+ */
+function updateManagementZones() {
+    removeZonePreview();
+    if (!ndviGridLayer || !currentParcel) {
+        zonesSummary.textContent = 'No NDVI grid is shown. Select a parcel and enable "Show Grid".';
+        zonesTableBody.innerHTML = '';
+        managementZones = null;
+        return;
+    }
+    const previousRates = managementZones ? managementZones.zones.map(zone => zone.rate) : [];
+    managementZones = buildManagementZones();
+    managementZones.zones.forEach((zone, i) => { zone.rate = previousRates[i] ?? 0; });
+
+    const rampName = gridRampSelect.value !== 'none' ? gridRampSelect.value : DEFAULT_GRID_RAMP;
+    const colors = getRampColors(rampName, managementZones.zones.length);
+    zoneLayer = L.geoJson(managementZones.features, {
+        style: feature => ({ color: '#222', weight: 1.5, fillColor: colors[feature.properties.ZONE - 1], fillOpacity: 0.6 }),
+        onEachFeature: (feature, layer) => layer.bindTooltip(`Zone ${feature.properties.ZONE}: ${feature.properties.AREA_HA.toFixed(2)} ha`)
+    }).addTo(map);
+
+    const date = availableDates[parseInt(timeSlider.value, 10)] || '';
+    zonesSummary.textContent = `${currentParcel.name} (${currentParcel.location}), NDVI grid of ${date}: ` +
+        `${managementZones.zones.length} zones, ${managementZones.features.length} polygons.`;
+    zonesTableBody.innerHTML = '';
+    managementZones.zones.forEach((zone, i) => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><i class="zone-swatch" style="background:${colors[i]}"></i>${zone.zone}</td>
+            <td>${zone.min.toFixed(3)} - ${zone.max.toFixed(3)}</td>
+            <td>${zone.cellCount}</td>
+            <td>${zone.areaHa.toFixed(2)}</td>
+            <td><input type="number" class="zone-rate-input" min="0" step="any" value="${zone.rate}"></td>
+        `;
+        tr.querySelector('input').addEventListener('input', event => {
+            zone.rate = parseFloat(event.target.value) || 0;
+            updateZonesTotal();
+        });
+        zonesTableBody.appendChild(tr);
+    });
+    updateZonesTotal();
+}
+
+/** Shows the total product quantity for the entered zone rates. */
+function updateZonesTotal() {
+    if (!managementZones) return;
+    const unit = zonesUnitSelect.value;
+    const total = managementZones.zones.reduce((sum, zone) => sum + zone.rate * zone.areaHa, 0);
+    zonesTotal.textContent = `Total: ${total.toFixed(1)} ${unit.split('/')[0]} (${unit})`;
+}
+
+/**
+ * Returns the zone features with the product name, rate and unit added.
+ * @returns {object} GeoJSON FeatureCollection.
+ */
+function getPrescriptionFeatureCollection() {
+    const product = zonesProductInput.value.trim() || 'Product';
+    return {
+        type: 'FeatureCollection',
+        features: managementZones.features.map(feature => ({
+            ...feature,
+            properties: {
+                ...feature.properties,
+                PRODUCT: product,
+                RATE: managementZones.zones[feature.properties.ZONE - 1].rate,
+                UNIT: zonesUnitSelect.value
+            }
+        }))
+    };
+}
+
+/**
+ * Base file name for prescription exports, e.g. "Batrane_19-06-2025_zones".
+ * @returns {string}
+ */
+function getPrescriptionFileName() {
+    const date = availableDates[parseInt(timeSlider.value, 10)] || 'grid';
+    return `${currentParcel.name.replace(/[^\w-]+/g, '_')}_${date}_zones`;
+}
+
+/** Downloads the zones as GeoJSON. */
+function exportZonesGeoJson() {
+    if (!managementZones) return;
+    downloadTextFile(JSON.stringify(getPrescriptionFeatureCollection(), null, 2), `${getPrescriptionFileName()}.geojson`, 'application/geo+json');
+}
+
+/**
+ * Downloads the zones as a zipped Shapefile (WGS84). All zones are written as
+ * MultiPolygons: shp-write gives Polygon and MultiPolygon features the same
+ * `types.polygon` file name, so a mix would overwrite one set in the zip.
+ */
+async function exportZonesShapefile() {
+    if (!managementZones) return;
+    if (typeof shpwrite === 'undefined') {
+        alert("The Shapefile library could not be loaded. Check the connection and reload the page.");
+        return;
+    }
+    try {
+        const fileName = getPrescriptionFileName();
+        const collection = getPrescriptionFeatureCollection();
+        collection.features = collection.features.map(feature => feature.geometry.type === 'Polygon'
+            ? { ...feature, geometry: { type: 'MultiPolygon', coordinates: [feature.geometry.coordinates] } }
+            : feature);
+        const blob = await shpwrite.zip(collection, {
+            folder: fileName,
+            outputType: 'blob',
+            compression: 'DEFLATE',
+            types: { polygon: fileName }
+        });
+        downloadBlob(blob, `${fileName}.zip`);
+    } catch (error) {
+        console.error("[ZONES] Shapefile export failed:", error);
+        alert("Could not create the Shapefile. See the console for details.");
+    }
+}
+
+/**
+ * Formats the rings of a polygon as ISO 11783-10 line strings.
+ * @param {number[][][]} rings - Polygon rings of [lng, lat] (first = exterior).
+ * @returns {string} LSG elements.
+ */
+function buildIsoXmlLineStrings(rings) {
+    return rings.map((ring, index) => {
+        const points = ring.map(([lng, lat]) => `<PNT A="2" C="${lat.toFixed(9)}" D="${lng.toFixed(9)}"/>`).join('');
+        return `<LSG A="${index === 0 ? 1 : 2}">${points}</LSG>`; // 1 = exterior, 2 = interior
+    }).join('');
+}
+
+/**
+ * Builds an ISO 11783-10 TASKDATA.XML with one treatment zone per management zone.
+ * @returns {string} The XML document.
+ */
+function buildIsoXmlTaskData() {
+    const unit = PRESCRIPTION_UNITS[zonesUnitSelect.value];
+    const product = escapeHtml(zonesProductInput.value.trim() || 'Product');
+    const parcelName = escapeHtml(currentParcel.name);
+    const date = availableDates[parseInt(timeSlider.value, 10)] || '';
+
+    // Field boundary = all grid cells merged
+    const gridFeatures = [];
+    ndviGridLayer.eachLayer(layer => gridFeatures.push(layer.feature));
+    const boundary = dissolveGridCells(gridFeatures);
+    const fieldArea = Math.round(boundary.reduce((sum, coordinates) => sum + computeGeoJsonArea({ type: 'Polygon', coordinates }), 0));
+    const boundaryXml = boundary.map(rings => `<PLN A="1" C="${fieldArea}">${buildIsoXmlLineStrings(rings)}</PLN>`).join('');
+
+    const zonesXml = managementZones.zones.map(zone => {
+        const polygons = managementZones.features
+            .filter(feature => feature.properties.ZONE === zone.zone)
+            .flatMap(feature => feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates)
+            .map(rings => `<PLN A="2">${buildIsoXmlLineStrings(rings)}</PLN>`).join('');
+        const rate = Math.round(zone.rate * unit.isoFactor);
+        return `<TZN A="${zone.zone}" B="Zone ${zone.zone}"><PDV A="${unit.ddi}" B="${rate}" C="PDT1"/>${polygons}</TZN>`;
+    }).join('\n    ');
+
+    // Zone 0 (rate 0) is used outside the field and when the position is lost
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ISO11783_TaskData VersionMajor="3" VersionMinor="3" ManagementSoftwareManufacturer="AgricultureApp" ManagementSoftwareVersion="1.0" DataTransferOrigin="1">
+  <PDT A="PDT1" B="${product}"/>
+  <PFD A="PFD1" C="${parcelName}" D="${fieldArea}">${boundaryXml}</PFD>
+  <TSK A="TSK1" B="${parcelName} ${date}" E="PFD1" G="1" H="0" I="0" J="0">
+    <TZN A="0" B="Outside"><PDV A="${unit.ddi}" B="0" C="PDT1"/></TZN>
+    ${zonesXml}
+  </TSK>
+</ISO11783_TaskData>
+`;
+}
+
+/** Downloads the zones as zipped ISO-XML task data (TASKDATA/TASKDATA.XML). */
+async function exportZonesIsoXml() {
+    if (!managementZones) return;
+    if (typeof JSZip === 'undefined') {
+        alert("The ZIP library could not be loaded. Check the connection and reload the page.");
+        return;
+    }
+    try {
+        const zip = new JSZip();
+        zip.folder('TASKDATA').file('TASKDATA.XML', buildIsoXmlTaskData());
+        const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        downloadBlob(blob, `${getPrescriptionFileName()}_isoxml.zip`);
+    } catch (error) {
+        console.error("[ZONES] ISO-XML export failed:", error);
+        alert("Could not create the ISO-XML task data. See the console for details.");
+    }
+}
+
+// =====================================================================
+// SEARCH FUNCTIONALITY
+// =====================================================================
+
+/**
+ * Builds one search record per parcel: every KML feature (all villages, loaded or not)
+ * joined with its JSON parcel, plus JSON parcels without a KML shape.
+ * @param {object | null} index - The KML index (see loadKmlIndex).
+ * @returns {object[]} Records { kmlId, village, name, farmId, crops, feature, parcel, hasImagery, hasNdvi, fields }.
+ */
+function buildSearchRecords(index) {
+    const recordsByKey = {};
+    (index?.features || []).forEach(feature => {
+        const key = getKmlFeatureKey(feature);
+        if (recordsByKey[key]) return; // Duplicate PARCEL_NR in a village: the first shape wins, as on the map
+        const props = feature.properties;
+        recordsByKey[key] = {
+            kmlId: String(props.PARCEL_NR ?? '').trim(),
+            village: String(props.VILLAGE ?? '').trim(),
+            name: props.name || '',
+            farmId: String(props.FARM_ID ?? '').trim(),
+            crops: getCropHistory(props),
+            feature,
+            parcel: null
+        };
+    });
+    allParcelsData.forEach(parcel => {
+        const kmlId = String(parcel.kmlId ?? '').trim();
+        const key = `${String(parcel.location ?? '').trim()}|${kmlId}`;
+        if (!recordsByKey[key]) {
+            recordsByKey[key] = { kmlId, village: parcel.location || '', name: '', farmId: '', crops: [], feature: null, parcel: null };
+        }
+        recordsByKey[key].parcel = parcel;
+    });
+
+    return Object.values(recordsByKey).map(record => {
+        record.hasImagery = getParcelImageDates(record.parcel).length > 0;
+        record.hasNdvi = Boolean(record.parcel && ndviStatsData[record.kmlId]);
+        // Normalized text per field with its weight in the ranking
+        record.fields = [
+            { text: normalizeText(record.kmlId), weight: 1.5 },
+            { text: normalizeText(`${record.name} ${record.parcel?.name || ''}`), weight: 1.2 },
+            { text: normalizeText(record.farmId), weight: 1 },
+            { text: normalizeText(record.village), weight: 1 },
+            { text: normalizeText(record.crops.map(entry => entry.crop).join(' ')), weight: 1 },
+            { text: normalizeText(record.parcel?.id), weight: 0.8 }
+        ];
+        return record;
+    });
+}
+
+/**
+ * Levenshtein distance between two strings.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+    let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previousRow = row;
+    }
+    return previousRow[b.length];
+}
+
+/**
+ * Scores how well a (normalized) query token matches a (normalized) field.
+ * Exact > prefix > word prefix > substring > typo (1 edit for 4-6 letters, 2 from 7).
+ * Tokens with digits (parcel numbers, farm IDs) are never matched with typos.
+ * @param {string} token - The query token.
+ * @param {string} text - The field text.
+ * @returns {number} 0 if the token does not match.
+ */
+function scoreSearchToken(token, text) {
+    if (!text) return 0;
+    if (text === token) return 100;
+    if (text.startsWith(token)) return 80;
+    const words = text.split(/[\s,;/()_-]+/).filter(Boolean);
+    if (words.some(word => word.startsWith(token))) return 60;
+    if (text.includes(token)) return 40;
+    if (token.length < 4 || /\d/.test(token)) return 0;
+    const maxDistance = token.length >= 7 ? 2 : 1;
+    // Compare with the whole word and with its start, so "mazarist" still finds "mazaristi"
+    const distance = Math.min(...words.map(word => Math.min(
+        getEditDistance(token, word),
+        getEditDistance(token, word.slice(0, token.length))
+    )));
+    return distance <= maxDistance ? 30 - 10 * distance : 0;
+}
+
+/**
+ * Runs the search with the query and the facet filters.
+ * Every query word has to match some field; records are ranked by the sum of the
+ * best field score of each word, then parcels with imagery first.
+ * @param {object[]} records - From `buildSearchRecords`.
+ * @param {string} query - The search text (may be empty when only facets are used).
+ * @param {{village: string, crop: string, farm: string, data: string}} facets - Facet values ('' = any).
+ * @returns {object[]} Matching records with a `score`, best first.
+ */
+function searchParcels(records, query, facets) {
+    const tokens = normalizeText(query).split(' ').filter(Boolean);
+    const cropYear = getCurrentCropYear(kmlIndex?.features || []);
+    const results = [];
+    records.forEach(record => {
+        if (facets.village && record.village !== facets.village) return;
+        if (facets.farm && record.farmId !== facets.farm) return;
+        if (facets.crop && normalizeText(record.crops.find(entry => entry.year === cropYear)?.crop) !== facets.crop) return;
+        if (facets.data === 'imagery' && !record.hasImagery) return;
+        if (facets.data === 'ndvi' && !record.hasNdvi) return;
+        if (facets.data === 'noImagery' && record.hasImagery) return;
+
+        let score = 0;
+        for (const token of tokens) {
+            const tokenScore = Math.max(...record.fields.map(field => scoreSearchToken(token, field.text) * field.weight));
+            if (tokenScore === 0) return;
+            score += tokenScore;
+        }
+        results.push({ ...record, score });
+    });
+    return results.sort((a, b) => b.score - a.score
+        || Number(b.hasImagery) - Number(a.hasImagery)
+        || a.village.localeCompare(b.village)
+        || a.kmlId.localeCompare(b.kmlId, undefined, { numeric: true }));
+}
+
+/**
+ * Loads the KML index, fills the facet selects and shows the results of the current query.
+ * @returns {Promise<object[]>} The ranked results.
+ */
+async function updateSearchResults() {
+    const index = await loadKmlIndex();
+    if (!index) {
+        console.warn("[SEARCH] KML index unavailable; searching the JSON parcels only.");
+    }
+    searchRecords = buildSearchRecords(index);
+    populateSearchFacets(searchRecords);
+    const facets = {
+        village: searchVillageSelect.value,
+        crop: searchCropSelect.value,
+        farm: searchFarmSelect.value,
+        data: searchDataSelect.value
+    };
+    const hasFilter = searchInput.value.trim() !== '' || Object.values(facets).some(Boolean);
+    searchResults = hasFilter ? searchParcels(searchRecords, searchInput.value, facets) : [];
+    renderSearchResults(hasFilter);
+    return searchResults;
+}
+
+/**
+ * Fills the facet selects from the records, keeping the current choices.
+ * @param {object[]} records - From `buildSearchRecords`.
+ */
+function populateSearchFacets(records) {
+    const cropYear = getCurrentCropYear(kmlIndex?.features || []);
+    const crops = {};
+    records.forEach(record => {
+        const crop = record.crops.find(entry => entry.year === cropYear)?.crop;
+        if (crop) crops[normalizeText(crop)] = crops[normalizeText(crop)] || crop;
+    });
+    const fillSelect = (select, allLabel, options) => {
+        const selected = select.value;
+        select.innerHTML = '';
+        select.add(new Option(allLabel, ''));
+        options.forEach(([value, label]) => select.add(new Option(label, value)));
+        select.value = options.some(([value]) => value === selected) ? selected : '';
+    };
+    const sortedValues = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    fillSelect(searchVillageSelect, 'All villages', sortedValues(records.map(record => record.village)).map(village => [village, village]));
+    fillSelect(searchCropSelect, cropYear ? `All crops ${cropYear}` : 'All crops',
+        Object.entries(crops).sort((a, b) => a[1].localeCompare(b[1])));
+    fillSelect(searchFarmSelect, 'All farms', sortedValues(records.map(record => record.farmId)).map(farmId => [farmId, farmId]));
+}
+
+/**
+ * Shows the result list below the search box.
+ * @param {boolean} hasFilter - False if neither a query nor a facet is set.
+ */
+function renderSearchResults(hasFilter) {
+    searchDropdown.style.display = 'block';
+    searchResultsList.innerHTML = '';
+    if (!hasFilter) {
+        searchResultsSummary.textContent = 'Type a parcel number, name, farm, village or crop, or choose a filter.';
+        return;
+    }
+    const shown = searchResults.slice(0, SEARCH_MAX_RESULTS);
+    searchResultsSummary.textContent = searchResults.length === 0
+        ? 'No parcels found.'
+        : `${searchResults.length} parcel(s)${searchResults.length > shown.length ? `, showing the best ${shown.length}` : ''}. Enter shows the first.`;
+    shown.forEach(result => {
+        const item = document.createElement('div');
+        item.className = 'search-result';
+        const crop = result.crops[result.crops.length - 1];
+        const details = [result.village, result.farmId, crop ? `${crop.year}: ${crop.crop}` : ''].filter(Boolean).map(escapeHtml).join(' &middot; ');
+        const badges = (result.hasImagery ? '<span class="search-badge">imagery</span>' : '')
+            + (result.hasNdvi ? '<span class="search-badge">NDVI</span>' : '')
+            + (result.feature ? '' : '<span class="search-badge search-badge-warning">no shape</span>');
+        item.innerHTML = `<b>${escapeHtml(result.kmlId)}</b> ${escapeHtml(result.name || result.parcel?.name || '')} ${badges}<div class="search-result-details">${details}</div>`;
+        item.addEventListener('click', () => showSearchResult(result));
+        searchResultsList.appendChild(item);
+    });
+}
+
+/**
+ * Hides the result list.
+ */
+function closeSearchResults() {
+    searchDropdown.style.display = 'none';
+}
+
+/**
+ * Shows a search result on the map: enables its village layer and selects the
+ * parcel (or opens its popup if it has no imagery). Villages without a layer in
+ * the layer control only get a popup at the parcel.
+ * @param {object} result - A record from `searchParcels`.
+ * @returns {Promise<void>}
+ */
+async function showSearchResult(result) {
+    console.log(`[SEARCH] Showing ${result.kmlId} (${result.village})`);
+    closeSearchResults();
+    if (!result.feature) {
+        alert(`Found data for '${result.parcel?.name || result.kmlId}', but its shape (KML ID: ${result.kmlId}) is not in the KML for '${result.village}'. The KML might be missing this feature or the ID might mismatch.`);
+        return;
+    }
+    if (villageControlLayers[result.village]) {
+        await showKmlParcel(result.kmlId, result.village);
+        return;
+    }
+    const bounds = L.geoJson(result.feature).getBounds();
+    map.fitBounds(bounds);
+    L.popup().setLatLng(bounds.getCenter()).setContent(buildParcelPopupContent(result.feature.properties)).openOn(map);
+}
+
+/**
+ * Runs the search and shows the best match (Enter / Search button).
+ * @returns {Promise<void>}
+ */
+async function searchLocation() {
+    const results = await updateSearchResults();
+    if (results.length > 0) {
+        await showSearchResult(results[0]);
+    }
+}
+
+// =====================================================================
+// PLAY BUTTON FUNCTIONALITY
+// =====================================================================
+
+/**
+ * Handles the Play/Stop button click for animating through dates.
+ */
+function handlePlayButtonClick() {
+    if (animationInterval) {
+        // --- Stop Animation ---
+        clearInterval(animationInterval);
+        animationInterval = null;
+        playButton.textContent = "Play";
+        console.log("Date animation stopped.");
+    } else {
+        // --- Start Animation ---
+        if (!currentParcel || availableDates.length < 2) {
+            console.log("Play button clicked, but not enough dates to animate.");
+            return; // Need at least two dates to animate
+        }
+
+        playButton.textContent = "Stop";
+        console.log("Date animation started.");
+        let currentIndex = parseInt(timeSlider.value); // Start from current slider position
+
+        animationInterval = setInterval(() => {
+            // Increment index, loop back to 0 if it exceeds max
+            currentIndex = (currentIndex + 1) % availableDates.length;
+            timeSlider.value = currentIndex;
+
+            // Dispatch events to trigger updates
+            // 'input' updates the label immediately, 'change' updates the tile layer
+            timeSlider.dispatchEvent(new Event('input'));
+            timeSlider.dispatchEvent(new Event('change'));
+
+        }, 1000); // Change image every 1 second (adjust as needed)
+    }
+}
+
+
+// =====================================================================
+// PARCEL DASHBOARD
+// =====================================================================
+
+/**
+ * Builds one dashboard row per parcel from `allParcelsData` and `ndviStatsData`.
+ * @returns {object[]} Rows { parcel, location, name, kmlId, dateCount, latestDate, latestMean, ndviDate, change, isDraft }.
+ */
+function buildDashboardRows() {
+    return allParcelsData.map(parcel => {
+        const imageDates = getParcelImageDates(parcel);
+        const ndviSummary = getLatestNdviSummary(parcel.kmlId);
+        return {
+            parcel,
+            location: parcel.location || '',
+            name: parcel.name || '',
+            kmlId: String(parcel.kmlId ?? ''),
+            dateCount: imageDates.length,
+            latestDate: imageDates.length ? imageDates[imageDates.length - 1] : null,
+            latestMean: ndviSummary ? ndviSummary.mean : null,
+            ndviDate: ndviSummary ? ndviSummary.date : null,
+            change: ndviSummary ? ndviSummary.change : null,
+            isDraft: draftParcelIds.has(parcel.id)
+        };
+    });
+}
+
+/**
+ * Compares two dashboard rows by the current sort column. Empty values sort last.
+ * @param {object} a - Row.
+ * @param {object} b - Row.
+ * @returns {number}
+ */
+function compareDashboardRows(a, b) {
+    const { key, ascending } = dashboardSort;
+    const valueA = a[key];
+    const valueB = b[key];
+    if (valueA === null && valueB === null) return 0;
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    let result;
+    if (key === 'latestDate') {
+        result = compareDdMmYyyyDates(valueA, valueB);
+    } else if (typeof valueA === 'number') {
+        result = valueA - valueB;
+    } else {
+        result = String(valueA).localeCompare(String(valueB), undefined, { numeric: true });
+    }
+    return ascending ? result : -result;
+}
+
+/**
+ * Opens the dashboard panel.
+ */
+function openParcelDashboard() {
+    const selectedLocation = dashboardLocationSelect.value;
+    dashboardLocationSelect.innerHTML = '<option value="">All locations</option>';
+    [...new Set(allParcelsData.map(p => p.location))].sort().forEach(location => {
+        const option = document.createElement('option');
+        option.value = location;
+        option.textContent = location;
+        dashboardLocationSelect.appendChild(option);
+    });
+    dashboardLocationSelect.value = [...dashboardLocationSelect.options].some(o => o.value === selectedLocation) ? selectedLocation : '';
+    dashboardPanel.style.display = 'flex';
+    renderParcelDashboard();
+}
+
+/**
+ * Re-renders the dashboard if it is open (called when parcel or NDVI data change).
+ */
+function refreshParcelDashboard() {
+    if (dashboardPanel.style.display === 'flex') {
+        renderParcelDashboard();
+    }
+}
+
+/**
+ * Renders the dashboard table with the current filters and sort order.
+ */
+function renderParcelDashboard() {
+    const filterText = dashboardFilterInput.value.toLowerCase().trim();
+    const location = dashboardLocationSelect.value;
+    const onlyWithImagery = dashboardImageryOnlyCheckbox.checked;
+
+    const allRows = buildDashboardRows();
+    const rows = allRows.filter(row => {
+        if (location && row.location !== location) return false;
+        if (onlyWithImagery && row.dateCount === 0) return false;
+        if (filterText && !`${row.name} ${row.kmlId} ${row.location} ${row.parcel.id}`.toLowerCase().includes(filterText)) return false;
+        return true;
+    }).sort(compareDashboardRows);
+
+    dashboardTableBody.innerHTML = '';
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = 'dashboard-row';
+        if (currentParcel && currentParcel.id === row.parcel.id) tr.classList.add('dashboard-row-selected');
+
+        const changeClass = row.change === null ? '' : (row.change < 0 ? 'ndvi-change-down' : 'ndvi-change-up');
+        tr.innerHTML = `
+            <td>${escapeHtml(row.location)}</td>
+            <td>${escapeHtml(row.name)}${row.isDraft ? ' <span class="dashboard-draft">draft</span>' : ''}</td>
+            <td>${escapeHtml(row.kmlId)}</td>
+            <td>${row.dateCount}</td>
+            <td>${row.latestDate || '-'}</td>
+            <td title="${row.ndviDate ? `NDVI statistics of ${row.ndviDate}` : 'No NDVI statistics'}">${row.latestMean !== null ? row.latestMean.toFixed(3) : '-'}</td>
+            <td class="${changeClass}">${row.change !== null ? `${row.change > 0 ? '+' : ''}${row.change.toFixed(3)}` : '-'}</td>
+        `;
+        tr.addEventListener('click', () => handleDashboardRowClick(row.parcel));
+        dashboardTableBody.appendChild(tr);
+    });
+
+    dashboardTableHeaders.forEach(th => {
+        th.classList.toggle('sorted-asc', th.dataset.sortKey === dashboardSort.key && dashboardSort.ascending);
+        th.classList.toggle('sorted-desc', th.dataset.sortKey === dashboardSort.key && !dashboardSort.ascending);
+    });
+    dashboardCount.textContent = `${rows.length} of ${allRows.length} parcels`;
+}
+
+/**
+ * Sorts the dashboard by a column; clicking the sorted column again reverses the order.
+ * @param {string} key - Row property to sort by.
+ */
+function sortParcelDashboard(key) {
+    dashboardSort = { key, ascending: dashboardSort.key === key ? !dashboardSort.ascending : true };
+    renderParcelDashboard();
+}
+
+/**
+ * Zooms to and selects the parcel of a dashboard row (see showKmlParcel).
+ * @param {object} parcel - Parcel object from `allParcelsData`.
+ */
+async function handleDashboardRowClick(parcel) {
+    console.log(`[DASHBOARD] Row clicked: ${parcel.name} (KML ID ${parcel.kmlId})`);
+    if (await showKmlParcel(parcel.kmlId, parcel.location)) {
+        renderParcelDashboard(); // Highlight the selected row
+    }
+}
+
+// =====================================================================
+// PARCEL DRAFTS (INDEXEDDB)
+// =====================================================================
+
+/**
+ * Opens (and creates/upgrades if needed) the application's IndexedDB database.
+ * The Promise is cached so the database is opened only once.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openAppDatabase() {
+    if (appDbPromise) return appDbPromise;
+    appDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not supported by this browser.'));
+            return;
+        }
+        const request = indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+                db.createObjectStore(DRAFTS_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(OFFLINE_STORE)) {
+                db.createObjectStore(OFFLINE_STORE, { keyPath: 'url' });
+            }
+            if (!db.objectStoreNames.contains(SCOUTING_STORE)) {
+                db.createObjectStore(SCOUTING_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(BOUNDARIES_STORE)) {
+                db.createObjectStore(BOUNDARIES_STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    return appDbPromise;
+}
+
+/**
+ * Runs a single request against an object store and waits for the transaction.
+ * @param {string} storeName - The object store name.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} operation - Creates the request.
+ * @returns {Promise<any>} The request result once the transaction completes.
+ */
+async function runStoreRequest(storeName, mode, operation) {
+    const db = await openAppDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Serializes a value to JSON with object keys sorted, so two parcels with the
+ * same content compare equal regardless of property order.
+ * @param {any} value - The value to serialize.
+ * @returns {string} Canonical JSON string.
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).filter(key => value[key] !== undefined).sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Checks whether a parcel is identical to its record in the loaded file.
+ * @param {object} parcel - The parcel object.
+ * @returns {boolean} True if the file has an identical parcel with the same ID.
+ */
+function isParcelSameAsFile(parcel) {
+    const fileParcel = fileParcelsData.find(p => p.id === parcel.id);
+    return !!fileParcel && stableStringify(fileParcel) === stableStringify(parcel);
+}
+
+/**
+ * Stores a parcel edit as a draft in the browser. If the parcel matches the
+ * loaded file again, its draft is removed instead.
+ * @param {object} parcel - The added/updated parcel object.
+ * @returns {Promise<boolean>} True if persisted in IndexedDB, false if only kept in memory.
+ */
+async function saveParcelDraft(parcel) {
+    const isUnchanged = isParcelSameAsFile(parcel);
+    if (isUnchanged) {
+        draftParcelIds.delete(parcel.id);
+    } else {
+        draftParcelIds.add(parcel.id);
+    }
+    updateDraftIndicators();
+    try {
+        if (isUnchanged) {
+            await runStoreRequest(DRAFTS_STORE, 'readwrite', store => store.delete(parcel.id));
+            console.log(`[DRAFTS] Parcel ${parcel.id} matches the loaded file again. Draft removed.`);
+        } else {
+            await runStoreRequest(DRAFTS_STORE, 'readwrite', store => store.put({ id: parcel.id, parcel, savedAt: new Date().toISOString() }));
+            console.log(`[DRAFTS] Draft saved for parcel ${parcel.id}.`);
+        }
+        return true;
+    } catch (error) {
+        console.warn(`[DRAFTS] Could not store draft for parcel ${parcel.id} in IndexedDB:`, error);
+        return false;
+    }
+}
+
+/**
+ * Loads all stored drafts and layers them over `allParcelsData`.
+ * Drafts that are identical to the loaded file (e.g. after the exported file
+ * replaced parcels_data.json) are removed.
+ */
+async function applyStoredParcelDrafts() {
+    let drafts = [];
+    try {
+        drafts = await runStoreRequest(DRAFTS_STORE, 'readonly', store => store.getAll()) || [];
+    } catch (error) {
+        console.warn("[DRAFTS] Could not read drafts from IndexedDB. Continuing without drafts:", error);
+        return;
+    }
+
+    for (const draft of drafts) {
+        if (isParcelSameAsFile(draft.parcel)) {
+            console.log(`[DRAFTS] Draft for ${draft.id} is already in the loaded file. Removing it.`);
+            await runStoreRequest(DRAFTS_STORE, 'readwrite', store => store.delete(draft.id)).catch(() => {});
+            continue;
+        }
+        const existingIndex = allParcelsData.findIndex(p => p.id === draft.id);
+        if (existingIndex > -1) {
+            allParcelsData[existingIndex] = draft.parcel;
+        } else {
+            allParcelsData.push(draft.parcel);
+        }
+        draftParcelIds.add(draft.id);
+    }
+    allParcelsData.sort((a, b) => (a.location + a.name).localeCompare(b.location + b.name));
+    console.log(`[DRAFTS] Applied ${draftParcelIds.size} stored draft(s) over the loaded file.`);
+    updateDraftIndicators();
+}
+
+/**
+ * Discards the draft of one parcel and restores the version from the loaded file
+ * (or removes the parcel if it was added as a draft).
+ * @param {string} parcelId - The parcel ID.
+ */
+async function discardParcelDraft(parcelId) {
+    console.log(`[DRAFTS] Discarding draft for parcel ${parcelId}.`);
+    const locationsBefore = [...new Set(allParcelsData.map(p => p.location))].sort().join('|');
+    const fileParcel = fileParcelsData.find(p => p.id === parcelId);
+    const index = allParcelsData.findIndex(p => p.id === parcelId);
+    if (index > -1) {
+        if (fileParcel) {
+            allParcelsData[index] = JSON.parse(JSON.stringify(fileParcel));
+        } else {
+            allParcelsData.splice(index, 1);
+        }
+    }
+    allParcelsData.sort((a, b) => (a.location + a.name).localeCompare(b.location + b.name));
+    draftParcelIds.delete(parcelId);
+
+    try {
+        await runStoreRequest(DRAFTS_STORE, 'readwrite', store => store.delete(parcelId));
+    } catch (error) {
+        console.warn(`[DRAFTS] Could not delete draft ${parcelId} from IndexedDB:`, error);
+    }
+    afterDraftsDiscarded(locationsBefore, [parcelId]);
+}
+
+/** Discards every stored draft and restores `allParcelsData` from the loaded file. */
+async function discardAllParcelDrafts() {
+    console.log(`[DRAFTS] Discarding all ${draftParcelIds.size} draft(s).`);
+    const locationsBefore = [...new Set(allParcelsData.map(p => p.location))].sort().join('|');
+    const discardedIds = [...draftParcelIds];
+    allParcelsData = JSON.parse(JSON.stringify(fileParcelsData));
+    allParcelsData.sort((a, b) => (a.location + a.name).localeCompare(b.location + b.name));
+    draftParcelIds.clear();
+
+    try {
+        await runStoreRequest(DRAFTS_STORE, 'readwrite', store => store.clear());
+    } catch (error) {
+        console.warn("[DRAFTS] Could not clear drafts from IndexedDB:", error);
+    }
+    afterDraftsDiscarded(locationsBefore, discardedIds);
+}
+
+/**
+ * Refreshes map and UI state after drafts were discarded.
+ * @param {string} locationsBefore - Joined list of locations before the discard.
+ * @param {string[]} discardedIds - IDs of the discarded parcels.
+ */
+function afterDraftsDiscarded(locationsBefore, discardedIds) {
+    updateDraftIndicators();
+    refreshKmlFeatures();
+    // A discarded new parcel may have been the only one in its village
+    const locationsAfter = [...new Set(allParcelsData.map(p => p.location))].sort().join('|');
+    if (locationsAfter !== locationsBefore) {
+        initializeLayerControl();
+    }
+    // The selected parcel object is stale now
+    if (currentParcel && discardedIds.includes(currentParcel.id)) {
+        clearParcelSelection();
+    }
+}
+
+/**
+ * Updates everything that shows the draft state: the `dataHasChanged` flag,
+ * the export/discard buttons, the Manage Parcels button badge and the draft list.
+ */
+function updateDraftIndicators() {
+    const draftCount = draftParcelIds.size;
+    dataHasChanged = draftCount > 0;
+    exportDataBtn.disabled = !dataHasChanged;
+    discardAllDraftsBtn.disabled = !dataHasChanged;
+    manageParcelsBtn.textContent = draftCount > 0
+        ? `Manage Parcels (${draftCount} draft${draftCount > 1 ? 's' : ''})`
+        : 'Manage Parcels';
+    refreshParcelDashboard(); // Draft markers in the dashboard
+    refreshFarmsPanel(); // Imagery counts per farm
+    renderLayerCheckReport(); // Layers added or changed in drafts
+
+    draftList.innerHTML = '';
+    if (draftCount === 0) {
+        draftList.innerHTML = '<span class="draft-empty">None</span>';
+        return;
+    }
+    allParcelsData.filter(p => draftParcelIds.has(p.id)).forEach(parcel => {
+        const item = document.createElement('div');
+        item.className = 'draft-item';
+        const text = document.createElement('span');
+        text.textContent = `${parcel.name} (${parcel.location}, ID: ${parcel.id})${fileParcelsData.some(p => p.id === parcel.id) ? '' : ' - new'}`;
+        const discardBtn = document.createElement('button');
+        discardBtn.type = 'button';
+        discardBtn.className = 'discard-draft-btn';
+        discardBtn.textContent = 'Discard draft';
+        discardBtn.addEventListener('click', () => discardParcelDraft(parcel.id));
+        item.appendChild(text);
+        item.appendChild(discardBtn);
+        draftList.appendChild(item);
+    });
+}
+
+
+// =====================================================================
+// PARCEL VALIDATION
+// =====================================================================
+
+/**
+ * Checks the ID and KML ID uniqueness rules for a parcel record.
+ * Same rules as the Manage Parcels form: IDs and KML IDs must be unique,
+ * and an update must target an existing ID.
+ * @param {object} parcelData - The parcel to add or update.
+ * @param {boolean} isEditing - True for an update of an existing ID, false for an add.
+ * @param {object[]} [parcels=allParcelsData] - The parcel list to check against.
+ * @returns {{ field: string | null, message: string } | null} The violated rule, or null if valid.
+ */
+function checkParcelUniqueness(parcelData, isEditing, parcels = allParcelsData) {
+    const existingParcelIndex = parcels.findIndex(p => p.id === parcelData.id);
+    const kmlIdExistsIndex = parcels.findIndex(p => String(p.kmlId).trim() === String(parcelData.kmlId).trim());
+
+    if (isEditing) {
+        if (existingParcelIndex === -1) {
+            return { field: null, message: `Cannot update - Original parcel ID ${parcelData.id} not found.` };
+        }
+        if (kmlIdExistsIndex > -1 && kmlIdExistsIndex !== existingParcelIndex) {
+            return { field: 'kmlId', message: `KML ID "${parcelData.kmlId}" is already used by another parcel (ID: ${parcels[kmlIdExistsIndex].id}). KML IDs must be unique.` };
+        }
+    } else {
+        if (existingParcelIndex > -1) {
+            return { field: 'id', message: `Parcel ID "${parcelData.id}" already exists. Use the Edit button or choose a unique ID.` };
+        }
+        if (kmlIdExistsIndex > -1) {
+            return { field: 'kmlId', message: `KML ID "${parcelData.kmlId}" is already used by parcel ID: ${parcels[kmlIdExistsIndex].id}. KML IDs must be unique.` };
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates a parcel record that did not come through the form (import, bulk tools).
+ * Applies the same field and layer rules as `handleAddUpdateParcel()`.
+ * @param {object} parcelData - The parcel record.
+ * @returns {string | null} An error message, or null if the record is valid.
+ */
+function validateParcelRecord(parcelData) {
+    if (!parcelData || typeof parcelData !== 'object') return 'Not a parcel object.';
+    const missing = ['id', 'kmlId', 'name', 'location'].filter(field => !String(parcelData[field] ?? '').trim());
+    if (missing.length > 0) return `Required fields missing: ${missing.join(', ')}.`;
+
+    const layers = parcelData.layers || {};
+    if (typeof layers !== 'object' || Array.isArray(layers)) return 'Layers must be an object of date -> URL.';
+    for (const [key, url] of Object.entries(layers)) {
+        const date = key.endsWith('-NDVI') ? key.slice(0, -5) : key;
+        if (!LAYER_DATE_PATTERN.test(date)) return `Invalid date format "${date}". Use DD-MM-YYYY.`;
+        if (typeof url !== 'string' || !url.includes('{z}') || !url.includes('{x}') || !url.includes('{y}')) {
+            return `Invalid ${key.endsWith('-NDVI') ? 'NDVI' : 'RGB'} URL for ${date}. Must include {x}, {y}, {z}.`;
+        }
+        if (key.endsWith('-NDVI') && !layers[date]) return `NDVI layer for ${date} has no RGB layer. Date and RGB URL are required.`;
+    }
+    return null;
+}
+
+
+// =====================================================================
+// IMPORT & MERGE PARCEL FILES
+// =====================================================================
+
+/**
+ * Reads the JSON file chosen in the import dialog and opens the merge screen.
+ * @param {Event} event - The change event of the file input.
+ */
+async function handleImportFileSelected(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    console.log(`[IMPORT] Reading parcel file "${file.name}".`);
+
+    let importedParcels;
+    try {
+        importedParcels = JSON.parse(await file.text());
+        if (!Array.isArray(importedParcels)) throw new Error('The file must contain a JSON array of parcels.');
+    } catch (error) {
+        console.error("[IMPORT] Could not read the imported file:", error);
+        uploadStatus.textContent = `Error: Could not import "${file.name}": ${error.message}`;
+        uploadStatus.style.color = 'red';
+        return;
+    }
+
+    const { rows, identicalCount } = diffImportedParcels(importedParcels);
+    console.log(`[IMPORT] ${importedParcels.length} parcels read: ${rows.length} to review, ${identicalCount} identical.`);
+    if (rows.length === 0) {
+        uploadStatus.textContent = `Nothing to merge: all ${identicalCount} parcels in "${file.name}" are identical to the current data.`;
+        uploadStatus.style.color = 'gray';
+        return;
+    }
+
+    pendingMergeRows = rows;
+    mergeSummary.textContent = `"${file.name}": ${importedParcels.length} parcels, ${identicalCount} identical, ` +
+        `${rows.filter(r => r.kind === 'new').length} new, ${rows.filter(r => r.kind === 'changed').length} changed, ` +
+        `${rows.filter(r => r.kind === 'invalid').length} invalid. Choose a resolution per parcel and click 'Apply Merge'.`;
+    mergeStatus.textContent = '';
+    renderMergeTable();
+    mergePanel.style.display = 'flex';
+}
+
+/**
+ * Compares imported parcels against `allParcelsData`, matching by `id` first and `kmlId` second.
+ * @param {object[]} importedParcels - Parcels from the imported file ("theirs").
+ * @returns {{ rows: object[], identicalCount: number }} Merge rows
+ *          { kind: 'new' | 'changed' | 'invalid', mine, theirs, differences, resolution, errorMessage }.
+ */
+function diffImportedParcels(importedParcels) {
+    const rows = [];
+    const seenIds = new Set();
+    let identicalCount = 0;
+
+    importedParcels.forEach(theirs => {
+        let invalidReason = validateParcelRecord(theirs);
+        if (!invalidReason && seenIds.has(theirs.id)) invalidReason = `Parcel ID "${theirs.id}" appears more than once in the imported file.`;
+        if (invalidReason) {
+            rows.push({ kind: 'invalid', mine: null, theirs, differences: [invalidReason], resolution: 'mine', errorMessage: null });
+            return;
+        }
+        seenIds.add(theirs.id);
+
+        const mine = allParcelsData.find(p => p.id === theirs.id) || findParcelByKmlId(theirs.kmlId);
+        if (!mine) {
+            rows.push({ kind: 'new', mine: null, theirs, differences: ['Not in current data'], resolution: 'theirs', errorMessage: null });
+        } else if (stableStringify(mine) === stableStringify(theirs)) {
+            identicalCount++;
+        } else {
+            rows.push({ kind: 'changed', mine, theirs, differences: describeParcelDifferences(mine, theirs), resolution: 'mine', errorMessage: null });
+        }
+    });
+    return { rows, identicalCount };
+}
+
+/**
+ * Lists the human-readable differences between two versions of a parcel.
+ * @param {object} mine - The current parcel.
+ * @param {object} theirs - The imported parcel.
+ * @returns {string[]} One line per difference.
+ */
+function describeParcelDifferences(mine, theirs) {
+    const differences = [];
+    ['id', 'kmlId', 'name', 'location', 'csvAvailable', 'gridBaseUrl'].forEach(field => {
+        if (String(mine[field] ?? '') !== String(theirs[field] ?? '')) {
+            differences.push(`${field}: "${mine[field] ?? ''}" → "${theirs[field] ?? ''}"`);
+        }
+    });
+    const myLayers = mine.layers || {};
+    const theirLayers = theirs.layers || {};
+    const onlyMine = getParcelImageDates(mine).filter(date => !(date in theirLayers));
+    const onlyTheirs = getParcelImageDates(theirs).filter(date => !(date in myLayers));
+    const changedUrls = Object.keys(myLayers).filter(key => key in theirLayers && myLayers[key] !== theirLayers[key]);
+    if (onlyMine.length) differences.push(`Dates only in mine: ${onlyMine.join(', ')}`);
+    if (onlyTheirs.length) differences.push(`Dates only in theirs: ${onlyTheirs.join(', ')}`);
+    if (changedUrls.length) differences.push(`Different URLs: ${changedUrls.join(', ')}`);
+    return differences;
+}
+
+/**
+ * Builds the record that a merge row resolves to.
+ * "theirs" and "union" keep the current parcel's ID so a parcel matched by KML ID is updated, not duplicated.
+ * @param {object} row - A merge row.
+ * @returns {object | null} The resulting parcel, or null if nothing changes ("keep mine").
+ */
+function buildMergedParcel(row) {
+    if (row.resolution === 'theirs') {
+        return { ...JSON.parse(JSON.stringify(row.theirs)), id: row.mine ? row.mine.id : row.theirs.id };
+    }
+    if (row.resolution === 'union' && row.mine) {
+        const merged = JSON.parse(JSON.stringify(row.mine));
+        // Add every date from theirs; for dates in both files my URLs win
+        merged.layers = { ...(row.theirs.layers || {}), ...(row.mine.layers || {}) };
+        return merged;
+    }
+    return null;
+}
+
+/** Renders the per-parcel merge rows with their resolution choices. */
+function renderMergeTable() {
+    mergeTableBody.innerHTML = '';
+    pendingMergeRows.forEach((row, index) => {
+        const tr = document.createElement('tr');
+        if (row.errorMessage) tr.className = 'merge-row-error';
+
+        const parcelCell = document.createElement('td');
+        const label = row.theirs?.name || row.mine?.name || '(unnamed)';
+        parcelCell.innerHTML = `<span class="merge-kind merge-kind-${row.kind}">${row.kind}</span> `;
+        parcelCell.appendChild(document.createTextNode(`${label} (ID: ${row.theirs?.id ?? '?'}, KML ID: ${row.theirs?.kmlId ?? '?'})`));
+
+        const diffCell = document.createElement('td');
+        diffCell.innerHTML = row.differences.map(d => `<div>${escapeHtml(d)}</div>`).join('');
+        if (row.errorMessage) {
+            diffCell.innerHTML += `<div class="merge-row-message">${escapeHtml(row.errorMessage)}</div>`;
+        }
+
+        const resolutionCell = document.createElement('td');
+        if (row.kind === 'invalid') {
+            resolutionCell.textContent = 'Skipped';
+        } else {
+            const select = document.createElement('select');
+            const options = row.kind === 'new'
+                ? [['theirs', 'Add (take theirs)'], ['mine', 'Skip (keep mine)']]
+                : [['mine', 'Keep mine'], ['theirs', 'Take theirs'], ['union', 'Union of layer dates']];
+            options.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = row.resolution;
+            select.addEventListener('change', () => {
+                pendingMergeRows[index].resolution = select.value;
+                pendingMergeRows[index].errorMessage = null;
+                tr.classList.remove('merge-row-error');
+            });
+            resolutionCell.appendChild(select);
+        }
+
+        tr.appendChild(parcelCell);
+        tr.appendChild(diffCell);
+        tr.appendChild(resolutionCell);
+        mergeTableBody.appendChild(tr);
+    });
+}
+
+/**
+ * Applies the chosen resolutions. Every resulting record is checked with
+ * `checkParcelUniqueness()` against the merged list; if any rule is violated
+ * nothing is applied and the offending rows are highlighted.
+ * Accepted changes are stored as drafts like form edits.
+ */
+async function applyMerge() {
+    console.log("[MERGE] Applying merge resolutions...");
+    const mergedParcels = allParcelsData.map(p => p);
+    const changedParcels = [];
+    let errorCount = 0;
+
+    pendingMergeRows.forEach(row => {
+        row.errorMessage = null;
+        const record = buildMergedParcel(row);
+        if (!record) return;
+
+        const existingIndex = mergedParcels.findIndex(p => p.id === record.id);
+        const uniquenessError = checkParcelUniqueness(record, existingIndex > -1, mergedParcels);
+        if (uniquenessError) {
+            row.errorMessage = uniquenessError.message;
+            errorCount++;
+            return;
+        }
+        if (existingIndex > -1) {
+            mergedParcels[existingIndex] = record;
+        } else {
+            mergedParcels.push(record);
+        }
+        changedParcels.push(record);
+    });
+
+    if (errorCount > 0) {
+        console.warn(`[MERGE] ${errorCount} resolution(s) violate the ID/KML ID rules. Nothing applied.`);
+        renderMergeTable();
+        mergeStatus.textContent = `Error: ${errorCount} parcel(s) conflict with other parcels. Choose another resolution for the highlighted rows.`;
+        mergeStatus.style.color = 'red';
+        return;
+    }
+
+    const locationsBefore = [...new Set(allParcelsData.map(p => p.location))].sort().join('|');
+    allParcelsData = mergedParcels.sort((a, b) => (a.location + a.name).localeCompare(b.location + b.name));
+    const storedResults = await Promise.all(changedParcels.map(saveParcelDraft));
+    console.log(`[MERGE] Merged ${changedParcels.length} parcel(s) into the current data as drafts.`);
+
+    refreshKmlFeatures();
+    const locationsAfter = [...new Set(allParcelsData.map(p => p.location))].sort().join('|');
+    if (locationsAfter !== locationsBefore) initializeLayerControl();
+    if (currentParcel && changedParcels.some(p => p.id === currentParcel.id)) refreshSelectedParcel();
+
+    closeMergePanel();
+    uploadStatus.textContent = `Merge applied: ${changedParcels.length} parcel(s) updated as drafts` +
+        (storedResults.every(Boolean) ? '.' : ' (browser storage unavailable, kept until reload).');
+    uploadStatus.style.color = 'green';
+}
+
+/** Hides the merge screen and forgets the pending import. */
+function closeMergePanel() {
+    mergePanel.style.display = 'none';
+    pendingMergeRows = [];
+    mergeTableBody.innerHTML = '';
+}
+
+
+// =====================================================================
+// BULK LAYER REGISTRATION
+// =====================================================================
+
+/**
+ * Opens the bulk layer panel (from the Manage Parcels form).
+ */
+function openBulkLayersPanel() {
+    populateBulkParcelList();
+    bulkPreviewRows = [];
+    bulkPreviewTableBody.innerHTML = '';
+    bulkLayersStatus.textContent = '';
+    applyBulkLayersBtn.disabled = true;
+    bulkLayersPanel.style.display = 'flex';
+}
+
+/** Hides the bulk layer panel and forgets the preview. */
+function closeBulkLayersPanel() {
+    bulkLayersPanel.style.display = 'none';
+    bulkPreviewRows = [];
+    bulkPreviewTableBody.innerHTML = '';
+}
+
+/**
+ * Fills the parcel picker, grouped by location (a location's checkbox ticks all its parcels).
+ * Ticked parcels stay ticked.
+ */
+function populateBulkParcelList() {
+    const checkedIds = new Set([...bulkParcelList.querySelectorAll('input[data-parcel]:checked')].map(input => input.value));
+    bulkParcelList.innerHTML = '';
+    const parcelsByLocation = {};
+    allParcelsData.forEach(parcel => {
+        (parcelsByLocation[parcel.location] = parcelsByLocation[parcel.location] || []).push(parcel);
+    });
+
+    Object.keys(parcelsByLocation).sort().forEach(location => {
+        const group = document.createElement('div');
+        group.className = 'offline-location-group';
+        const groupLabel = document.createElement('label');
+        groupLabel.className = 'offline-location-label';
+        const groupCheckbox = document.createElement('input');
+        groupCheckbox.type = 'checkbox';
+        groupCheckbox.addEventListener('change', () => {
+            group.querySelectorAll('input[data-parcel]').forEach(input => { input.checked = groupCheckbox.checked; });
+            invalidateBulkPreview();
+        });
+        groupLabel.appendChild(groupCheckbox);
+        groupLabel.appendChild(document.createTextNode(` ${location}`));
+        group.appendChild(groupLabel);
+
+        parcelsByLocation[location].forEach(parcel => {
+            const label = document.createElement('label');
+            label.className = 'offline-parcel-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = parcel.id;
+            checkbox.dataset.parcel = 'true';
+            checkbox.checked = checkedIds.has(parcel.id);
+            checkbox.addEventListener('change', invalidateBulkPreview);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${parcel.name} (${parcel.kmlId}) - ${getParcelImageDates(parcel).length} date(s)`));
+            group.appendChild(label);
+        });
+        bulkParcelList.appendChild(group);
+    });
+    if (!bulkParcelList.children.length) {
+        bulkParcelList.innerHTML = '<span class="bulk-empty">No parcels loaded.</span>';
+    }
+}
+
+/**
+ * Ticks the parcel selected on the map.
+ */
+function selectCurrentParcelForBulk() {
+    if (!currentParcel) {
+        bulkLayersStatus.textContent = 'Select a parcel on the map first.';
+        bulkLayersStatus.style.color = 'orange';
+        return;
+    }
+    const checkbox = [...bulkParcelList.querySelectorAll('input[data-parcel]')].find(input => input.value === String(currentParcel.id));
+    if (checkbox) {
+        checkbox.checked = true;
+        invalidateBulkPreview();
+    }
+}
+
+/**
+ * Clears the preview after an input changed, so only a current preview can be applied.
+ */
+function invalidateBulkPreview() {
+    if (bulkPreviewRows.length === 0) return;
+    bulkPreviewRows = [];
+    bulkPreviewTableBody.innerHTML = '';
+    applyBulkLayersBtn.disabled = true;
+    bulkLayersStatus.textContent = 'Inputs changed: click Preview again.';
+    bulkLayersStatus.style.color = 'gray';
+}
 
 /**
- * Handles the Play/Stop button click for animating through dates.
+ * Fills the {name}, {kmlId} and {date} placeholders of a URL pattern.
+ * Names are written as in grid URLs (spaces as underscores, URL-encoded);
+ * {z}, {x}, {y} and {s} stay for Leaflet.
+ * @param {string} pattern - The URL pattern.
+ * @param {object} parcel - The parcel from `allParcelsData`.
+ * @param {string} date - The layer date (DD-MM-YYYY).
+ * @param {string} dateFormat - How {date} is written: 'DD-MM-YYYY' | 'MM-DD-YYYY' | 'YYYY-MM-DD'.
+ * @returns {string} The tile URL template.
  */
-function handlePlayButtonClick() {
-    if (animationInterval) {
-        // --- Stop Animation ---
-        clearInterval(animationInterval);
-        animationInterval = null;
-        playButton.textContent = "Play";
-        console.log("Date animation stopped.");
-    } else {
-        // --- Start Animation ---
-        if (!currentParcel || availableDates.length < 2) {
-            console.log("Play button clicked, but not enough dates to animate.");
-            return; // Need at least two dates to animate
-        }
+function fillLayerUrlPattern(pattern, parcel, date, dateFormat) {
+    const [day, month, year] = date.split('-');
+    const formattedDate = dateFormat === 'MM-DD-YYYY' ? `${month}-${day}-${year}`
+        : dateFormat === 'YYYY-MM-DD' ? `${year}-${month}-${day}` : date;
+    return pattern
+        .replace(/\{name\}/g, encodeURIComponent(String(parcel.name).replace(/ /g, '_')))
+        .replace(/\{kmlId\}/g, encodeURIComponent(String(parcel.kmlId).trim()))
+        .replace(/\{date\}/g, formattedDate);
+}
 
-        playButton.textContent = "Stop";
-        console.log("Date animation started.");
-        let currentIndex = parseInt(timeSlider.value); // Start from current slider position
+/**
+ * Builds the layer entries for the ticked parcels and dates and checks every
+ * updated parcel with the form's rules (see validateParcelRecord).
+ */
+function previewBulkLayers() {
+    const rgbPattern = bulkRgbPatternInput.value.trim();
+    const ndviPattern = bulkNdviPatternInput.value.trim();
+    const dateFormat = bulkDateFormatSelect.value;
+    const overwrite = bulkOverwriteCheckbox.checked;
+    const dates = bulkDatesInput.value.split(/[\s,;]+/).map(date => date.trim()).filter(Boolean);
+    const parcelIds = new Set([...bulkParcelList.querySelectorAll('input[data-parcel]:checked')].map(input => input.value));
+    const parcels = allParcelsData.filter(parcel => parcelIds.has(parcel.id));
+
+    const inputError = !rgbPattern ? 'Enter an RGB URL pattern.'
+        : dates.length === 0 ? 'Enter at least one date.'
+        : parcels.length === 0 ? 'Tick at least one parcel.'
+        : dates.find(date => !LAYER_DATE_PATTERN.test(date)) ? `Invalid date "${dates.find(date => !LAYER_DATE_PATTERN.test(date))}". Use DD-MM-YYYY.`
+        : new Set(dates).size !== dates.length ? 'A date is listed twice.'
+        : [rgbPattern, ndviPattern].some(pattern => /\{(?!(?:name|kmlId|date|z|x|y|s)\})[^}]*\}/.test(pattern)) ? 'Unknown placeholder in a URL pattern. Use {name}, {kmlId}, {date}, {z}, {x}, {y}.'
+        : null;
+    if (inputError) {
+        bulkLayersStatus.textContent = `Error: ${inputError}`;
+        bulkLayersStatus.style.color = 'red';
+        bulkPreviewRows = [];
+        bulkPreviewTableBody.innerHTML = '';
+        applyBulkLayersBtn.disabled = true;
+        return;
+    }
 
-        animationInterval = setInterval(() => {
-            // Increment index, loop back to 0 if it exceeds max
-            currentIndex = (currentIndex + 1) % availableDates.length;
-            timeSlider.value = currentIndex;
+    bulkPreviewRows = parcels.map(parcel => {
+        const record = JSON.parse(JSON.stringify(parcel));
+        record.layers = record.layers || {};
+        const entries = dates.map(date => {
+            const rgbUrl = fillLayerUrlPattern(rgbPattern, parcel, date, dateFormat);
+            const ndviUrl = ndviPattern ? fillLayerUrlPattern(ndviPattern, parcel, date, dateFormat) : null;
+            const exists = Boolean(record.layers[date]);
+            const unchanged = exists && record.layers[date] === rgbUrl && (record.layers[`${date}-NDVI`] || null) === ndviUrl;
+            const action = unchanged ? 'unchanged' : (exists ? (overwrite ? 'replace' : 'skip') : 'add');
+            if (action === 'add' || action === 'replace') {
+                record.layers[date] = rgbUrl;
+                if (ndviUrl) record.layers[`${date}-NDVI`] = ndviUrl;
+                else delete record.layers[`${date}-NDVI`];
+            }
+            return { date, rgbUrl, ndviUrl, action };
+        });
+        const errorMessage = validateParcelRecord(record) || checkParcelUniqueness(record, true)?.message || null;
+        return { parcel, record, entries, errorMessage };
+    });
+    renderBulkPreview();
+}
 
-            // Dispatch events to trigger updates
-            // 'input' updates the label immediately, 'change' updates the tile layer
-            timeSlider.dispatchEvent(new Event('input'));
-            timeSlider.dispatchEvent(new Event('change'));
+/**
+ * Renders the preview table and enables "Apply" if there is something valid to apply.
+ */
+function renderBulkPreview() {
+    const actionLabels = { add: 'new', replace: 'replaces', skip: 'exists (kept)', unchanged: 'unchanged' };
+    bulkPreviewTableBody.innerHTML = '';
+    bulkPreviewRows.forEach(row => {
+        row.entries.forEach((entry, index) => {
+            const tr = document.createElement('tr');
+            tr.className = `bulk-action-${entry.action}` + (row.errorMessage ? ' bulk-row-error' : '');
+            tr.innerHTML = `
+                <td>${index === 0 ? `${escapeHtml(row.parcel.name)} (${escapeHtml(row.parcel.kmlId)})` : ''}</td>
+                <td>${entry.date}</td>
+                <td class="bulk-url">${escapeHtml(entry.rgbUrl)}</td>
+                <td class="bulk-url">${entry.ndviUrl ? escapeHtml(entry.ndviUrl) : '-'}</td>
+                <td>${actionLabels[entry.action]}${index === 0 && row.errorMessage ? `<div class="bulk-row-message">${escapeHtml(row.errorMessage)}</div>` : ''}</td>`;
+            bulkPreviewTableBody.appendChild(tr);
+        });
+    });
 
-        }, 1000); // Change image every 1 second (adjust as needed)
+    const errorCount = bulkPreviewRows.filter(row => row.errorMessage).length;
+    const changeCount = bulkPreviewRows.reduce((sum, row) => sum + row.entries.filter(entry => entry.action === 'add' || entry.action === 'replace').length, 0);
+    applyBulkLayersBtn.disabled = errorCount > 0 || changeCount === 0;
+    if (errorCount > 0) {
+        bulkLayersStatus.textContent = `Error: ${errorCount} parcel(s) would be invalid. Fix the patterns or dates.`;
+        bulkLayersStatus.style.color = 'red';
+    } else {
+        bulkLayersStatus.textContent = `${changeCount} layer date(s) to add or replace on ${bulkPreviewRows.length} parcel(s).`;
+        bulkLayersStatus.style.color = changeCount > 0 ? 'green' : 'gray';
     }
 }
 
+/**
+ * Applies the previewed layers to `allParcelsData` in one step; the changed
+ * parcels are stored as drafts like form edits.
+ * @returns {Promise<void>}
+ */
+async function applyBulkLayers() {
+    const changedRows = bulkPreviewRows.filter(row => !row.errorMessage
+        && row.entries.some(entry => entry.action === 'add' || entry.action === 'replace'));
+    if (changedRows.length === 0 || bulkPreviewRows.some(row => row.errorMessage)) return;
+    console.log(`[BULK] Applying layers to ${changedRows.length} parcel(s).`);
+
+    changedRows.forEach(row => {
+        const index = allParcelsData.findIndex(parcel => parcel.id === row.record.id);
+        if (index > -1) allParcelsData[index] = row.record;
+    });
+    const storedResults = await Promise.all(changedRows.map(row => saveParcelDraft(row.record)));
+    refreshKmlFeatures();
+    if (currentParcel && changedRows.some(row => row.record.id === currentParcel.id)) refreshSelectedParcel();
+
+    const layerCount = changedRows.reduce((sum, row) => sum + row.entries.filter(entry => entry.action === 'add' || entry.action === 'replace').length, 0);
+    closeBulkLayersPanel();
+    uploadStatus.textContent = `Bulk layers applied: ${layerCount} layer date(s) on ${changedRows.length} parcel(s), kept as drafts` +
+        (storedResults.every(Boolean) ? '.' : ' (browser storage unavailable, kept until reload).');
+    uploadStatus.style.color = 'green';
+}
+
 
 // =====================================================================
 // MANAGE PARCELS FORM LOGIC (REVISED)
@@ -1113,7 +7621,35 @@ function setupAddParcelForm() {
 
     // --- Main Form Actions ---
     addParcelBtn.addEventListener('click', handleAddUpdateParcel);
-    exportDataBtn.addEventListener('click', handleExportData);
+    exportDataBtn.addEventListener('click', () => handleExportData());
+    importDataBtn.addEventListener('click', () => {
+        console.log("[FORM ACTION] 'Import File' button clicked.");
+        importFileInput.value = ''; // Allow re-importing the same file
+        importFileInput.click();
+    });
+    importFileInput.addEventListener('change', handleImportFileSelected);
+    applyMergeBtn.addEventListener('click', applyMerge);
+    cancelMergeBtn.addEventListener('click', closeMergePanel);
+    closeMergeBtn.addEventListener('click', closeMergePanel);
+    bulkLayersBtn.addEventListener('click', () => {
+        console.log("[FORM ACTION] 'Bulk Add Layers' button clicked.");
+        openBulkLayersPanel();
+    });
+    [bulkRgbPatternInput, bulkNdviPatternInput, bulkDatesInput].forEach(input => input.addEventListener('input', invalidateBulkPreview));
+    [bulkDateFormatSelect, bulkOverwriteCheckbox].forEach(input => input.addEventListener('change', invalidateBulkPreview));
+    bulkUseSelectedBtn.addEventListener('click', selectCurrentParcelForBulk);
+    previewBulkLayersBtn.addEventListener('click', previewBulkLayers);
+    applyBulkLayersBtn.addEventListener('click', applyBulkLayers);
+    cancelBulkLayersBtn.addEventListener('click', closeBulkLayersPanel);
+    closeBulkLayersBtn.addEventListener('click', closeBulkLayersPanel);
+    discardAllDraftsBtn.addEventListener('click', () => {
+        console.log("[FORM ACTION] 'Discard All Drafts' button clicked.");
+        if (!confirm(`Discard all ${draftParcelIds.size} unsaved draft(s)? The parcels revert to parcels_data.json.`)) return;
+        discardAllParcelDrafts().then(() => {
+            uploadStatus.textContent = 'All drafts discarded.';
+            uploadStatus.style.color = 'gray';
+        });
+    });
 
     // --- Edit Button in Popups ---
     map.on('popupopen', function(e) {
@@ -1362,7 +7898,7 @@ function setupAddParcelForm() {
 
         // --- 3. Collect and Validate Layer Data ---
         const layerRows = newLayersContainer.querySelectorAll('.layer-input-row');
-        const datePattern = /^\d{2}-\d{2}-\d{4}$/; // DD-MM-YYYY format
+        const datePattern = LAYER_DATE_PATTERN; // DD-MM-YYYY format
         const collectedDates = new Set();
         let layerCount = 0;
         console.log(`[ADD/UPDATE] Processing ${layerRows.length} layer rows.`);
@@ -1415,117 +7951,62 @@ function setupAddParcelForm() {
 
         // --- 4. Check for ID and KML ID Uniqueness & Perform Add/Update ---
         const isEditing = formElements.id ? formElements.id.readOnly : false; // Check if element exists
+        const uniquenessError = checkParcelUniqueness(parcelData, isEditing);
+        if (uniquenessError) {
+            console.error(`[ADD/UPDATE] Error: ${uniquenessError.message}`);
+            uploadStatus.textContent = `Error: ${uniquenessError.message}`;
+            if (uniquenessError.field && formElements[uniquenessError.field]) formElements[uniquenessError.field].style.borderColor = 'red';
+            uploadStatus.style.color = 'red'; return;
+        }
         const existingParcelIndex = allParcelsData.findIndex(p => p.id === parcelData.id);
-        const kmlIdExistsIndex = allParcelsData.findIndex(p => String(p.kmlId).trim() === String(parcelData.kmlId).trim());
-        console.log(`[ADD/UPDATE] isEditing=${isEditing}, existingParcelIndex=${existingParcelIndex}, kmlIdExistsIndex=${kmlIdExistsIndex}`);
+        console.log(`[ADD/UPDATE] isEditing=${isEditing}, existingParcelIndex=${existingParcelIndex}`);
 
         let successMessage = ''; // Store success message
 
         if (isEditing) { // --- UPDATE ---
              console.log(`[ADD/UPDATE] Mode: Updating parcel ID: ${parcelData.id}`);
-            if (existingParcelIndex === -1) {
-                 console.error(`[ADD/UPDATE] Error: Cannot update - Original parcel ID ${parcelData.id} not found.`);
-                 uploadStatus.textContent = `Error: Cannot update - Original parcel ID ${parcelData.id} not found.`; uploadStatus.style.color = 'red'; return;
-            }
-            if (kmlIdExistsIndex > -1 && kmlIdExistsIndex !== existingParcelIndex) {
-                 uploadStatus.textContent = `Error: KML ID "${parcelData.kmlId}" is already used by another parcel (ID: ${allParcelsData[kmlIdExistsIndex].id}). KML IDs must be unique.`;
-                 if(formElements.kmlId) formElements.kmlId.style.borderColor = 'red';
-                 uploadStatus.style.color = 'red'; return;
-            }
             allParcelsData[existingParcelIndex] = parcelData;
             successMessage = `Success: Parcel "${parcelData.name}" (ID: ${parcelData.id}) updated.`; // Store message
-            dataHasChanged = true;
             if (currentParcel && currentParcel.id === parcelData.id) {
                  console.log("[ADD/UPDATE] Refreshing currently selected parcel view after update.");
-                currentParcel = parcelData;
-                availableDates = Object.keys(currentParcel.layers).filter(key => !key.endsWith("-NDVI")).sort(/* sort */(a, b) => { const [dayA, monthA, yearA] = a.split('-').map(Number); const [dayB, monthB, yearB] = b.split('-').map(Number); return new Date(yearA, monthA - 1, dayA) - new Date(yearB, monthB - 1, dayB); });
-                setupSlider();
-                updateTileLayer();
+                refreshSelectedParcel();
             }
         } else { // --- ADD ---
              console.log(`[ADD/UPDATE] Mode: Adding new parcel ID: ${parcelData.id}`);
-            if (existingParcelIndex > -1) {
-                 uploadStatus.textContent = `Error: Parcel ID "${parcelData.id}" already exists. Use the Edit button or choose a unique ID.`;
-                 if(formElements.id) formElements.id.style.borderColor = 'red';
-                 uploadStatus.style.color = 'red'; return;
-            }
-            if (kmlIdExistsIndex > -1) {
-                 uploadStatus.textContent = `Error: KML ID "${parcelData.kmlId}" is already used by parcel ID: ${allParcelsData[kmlIdExistsIndex].id}. KML IDs must be unique.`;
-                 if(formElements.kmlId) formElements.kmlId.style.borderColor = 'red';
-                 uploadStatus.style.color = 'red'; return;
-            }
             allParcelsData.push(parcelData);
             allParcelsData.sort((a, b) => (a.location + a.name).localeCompare(b.location + b.name));
             successMessage = `Success: Parcel "${parcelData.name}" (ID: ${parcelData.id}) added.`; // Store message
-            dataHasChanged = true;
             initializeLayerControl(); // Rebuild control as new location might exist
         }
 
         // --- 5. Post-Save Actions ---
-        // Don't disable export button here if we are exporting immediately
         clearAddParcelForm(false);
         addParcelSection.style.display = 'none';
         console.log("[ADD/UPDATE] Parcel added/updated successfully in memory.");
 
-        // --- 6. Refresh KML style ---
-        const villageToRefresh = parcelData.location;
-        if (kmlLayers[villageToRefresh] && map.hasLayer(kmlLayers[villageToRefresh])) {
-            // ... (Keep the KML refresh logic exactly as in the previous version) ...
-             console.log(`[ADD/UPDATE] Refreshing KML style in village: ${villageToRefresh} for KML ID: ${parcelData.kmlId}`);
-            kmlLayers[villageToRefresh].eachLayer(l => {
-                if (l.feature?.properties?.PARCEL_NR && String(l.feature.properties.PARCEL_NR).trim() === String(parcelData.kmlId).trim()) {
-                    const hasDataAndLayers = parcelData.layers && Object.keys(parcelData.layers).length > 0;
-                    if (l.setStyle) {
-                        l.setStyle({ color: hasDataAndLayers ? 'blue' : 'red' });
-                         // console.log(`   Updated style for KML ID ${parcelData.kmlId} to ${hasDataAndLayers ? 'blue' : 'red'}.`); // Uncomment if needed
-                    }
-                     try {
-                         const props = l.feature.properties;
-                         const updatedParcelData = findParcelByKmlId(props.PARCEL_NR); // Get the latest data again
-                         let newPopupContent = `<b>PARCEL_NR (KML ID):</b> ${props.PARCEL_NR}<br>`;
-                         if (updatedParcelData) {
-                             newPopupContent += `<b>Name:</b> ${updatedParcelData.name || '(N/A)'}<br>`;
-                             newPopupContent += `<b>Location:</b> ${updatedParcelData.location || '(N/A)'}<br>`;
-                         } else {
-                              newPopupContent += `<i style='color:red;'>(No matching data found in JSON)</i><br>`;
-                         }
-                         newPopupContent += `<b>FARM_ID:</b> ${props.FARM_ID || 'N/A'}<br>`;
-                         newPopupContent += `<b>Crop 2024:</b> ${props.CROP_NAME2024 || 'N/A'}<br>`;
-                         newPopupContent += `<b>Crop 2025:</b> ${props.CROP_NAME2025 || 'N/A'}<br>`;
-                         newPopupContent += `<b>Area (dec.):</b> ${props.AREA_DEC || 'N/A'}<br>`;
-                         newPopupContent += `<button type="button" class="edit-parcel-btn" data-kmlid="${props.PARCEL_NR}">Edit/Add Parcel Data</button>`;
-                         l.bindPopup(newPopupContent);
-                         // console.log(`   Re-bound popup for KML ID ${props.PARCEL_NR}.`); // Uncomment if needed
-                     } catch(popupError) {
-                         console.error(`[ADD/UPDATE] Error trying to re-bind popup for KML ID ${parcelData.kmlId}:`, popupError);
-                     }
-                }
-            });
-        } else {
-             console.log(`[ADD/UPDATE] KML layer for village ${villageToRefresh} not loaded, style/popup refresh skipped.`);
-        }
-
-        // --- 7. Trigger Download ---
-        console.log("[ADD/UPDATE] Attempting to trigger JSON download immediately.");
-        // Set status message *before* calling export, as export might reset it
-        uploadStatus.textContent = successMessage + " Exporting JSON file...";
+        // --- 6. Keep as Draft & Refresh KML style ---
+        uploadStatus.textContent = successMessage + " Saving draft...";
         uploadStatus.style.color = 'green';
-
-        // Call the export function directly
-        handleExportData(true); // Pass flag to skip confirmation
+        saveParcelDraft(parcelData).then(storedInBrowser => {
+            uploadStatus.textContent = successMessage + (storedInBrowser
+                ? " Saved as a draft in this browser."
+                : " Browser storage unavailable: the draft is kept until the page is reloaded.");
+            refreshKmlFeatures(); // Update colour, draft outline and popup of the edited parcel
+        });
 
     } // End handleAddUpdateParcel
 
     /**
-     * Handles the "Export Data" button click OR direct call from add/update.
-     * Converts the `allParcelsData` array to a JSON string and triggers a download.
-     * @param {boolean} [skipConfirmation=false] - If true, skips the "No changes" confirmation.
+     * Handles the "Export Merged File" button click.
+     * Converts the `allParcelsData` array (loaded file with drafts applied)
+     * to a JSON string and triggers a download.
+     * @param {boolean} [skipConfirmation=false] - If true, skips the "No drafts" confirmation.
      */
     function handleExportData(skipConfirmation = false) {
         console.log(`[FORM ACTION] 'Export Data' executing. skipConfirmation=${skipConfirmation}`);
 
-       // Skip confirmation if called directly after add/update OR if data actually changed
-       if (!skipConfirmation && !dataHasChanged && !confirm("No changes have been detected since the last export or page load. Export the current data anyway?")) {
+       // Ask before exporting a file identical to the loaded one
+       if (skipConfirmation !== true && !dataHasChanged && !confirm("There are no unsaved drafts. Export the current data anyway?")) {
             console.log("[EXPORT] Export cancelled by user confirmation.");
            return;
        }
@@ -1548,14 +8029,10 @@ function setupAddParcelForm() {
            document.body.removeChild(a);
            URL.revokeObjectURL(url);
 
-           console.log("[EXPORT] Parcel data exported successfully via download.");
-           // Don't overwrite the success message if called from handleAddUpdateParcel
-           if (!skipConfirmation) {
-               uploadStatus.textContent = 'Export successful! Replace the old parcels_data.json file with the downloaded one.';
-               uploadStatus.style.color = 'blue';
-           }
-           dataHasChanged = false; // Reset the changed flag
-           exportDataBtn.disabled = true; // Disable button until next change
+           console.log("[EXPORT] Merged parcel data (file + drafts) exported successfully via download.");
+           // Drafts are kept: they are only safe to discard once the file has been replaced
+           uploadStatus.textContent = 'Export successful! Replace parcels_data.json with the downloaded file, then discard the drafts.';
+           uploadStatus.style.color = 'blue';
 
        } catch (error) {
            console.error("[EXPORT] Error exporting JSON data:", error);
@@ -1571,6 +8048,553 @@ function setupAddParcelForm() {
     console.log("[FORM SETUP] 'Manage Parcels' form setup complete.");
 } // End setupAddParcelForm
 
+// =====================================================================
+// OFFLINE FIELD MODE
+// =====================================================================
+// Files are pre-downloaded into the OFFLINE_DATA_CACHE Cache API store and
+// answered from there by sw.js when there is no signal. Each downloaded file
+// is described in the OFFLINE_STORE object store, used for the storage view
+// and the expiry policy.
+
+/**
+ * Registers the service worker that serves the app and downloaded data offline.
+ */
+function registerOfflineServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.warn("[OFFLINE] Service workers are not supported; offline mode is unavailable.");
+        offlineBtn.disabled = true;
+        offlineBtn.title = 'Offline mode is not supported by this browser';
+        return;
+    }
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => console.log("[OFFLINE] Service worker registered with scope:", registration.scope))
+        .catch(error => console.error("[OFFLINE] Service worker registration failed:", error));
+}
+
+/**
+ * Shows or hides the offline banner and lists the messages collected by `notifyUser`.
+ */
+function updateOfflineBanner() {
+    if (navigator.onLine !== false) {
+        offlineMessages = [];
+        offlineBanner.style.display = 'none';
+        return;
+    }
+    offlineBanner.innerHTML = '<b>Offline</b> - showing data downloaded for offline use.';
+    offlineMessages.forEach(message => {
+        const line = document.createElement('div');
+        line.className = 'offline-banner-message';
+        line.textContent = message;
+        offlineBanner.appendChild(line);
+    });
+    offlineBanner.style.display = 'block';
+}
+
+/**
+ * Opens the offline panel with the parcel and date pickers and the storage view.
+ */
+function openOfflinePanel() {
+    populateOfflineParcelList();
+    populateOfflineDateList();
+    offlineStatus.textContent = '';
+    offlinePanel.style.display = 'flex';
+    purgeExpiredOfflineData().then(renderOfflineStorage);
+}
+
+/**
+ * Fills the parcel picker with every parcel that has imagery, grouped by location.
+ * Keeps the current checkbox state when the list is rebuilt.
+ */
+function populateOfflineParcelList() {
+    const checkedIds = new Set([...offlineParcelList.querySelectorAll('input:checked')].map(input => input.value));
+    offlineParcelList.innerHTML = '';
+    const parcelsByLocation = {};
+    allParcelsData.filter(parcel => getParcelImageDates(parcel).length > 0).forEach(parcel => {
+        (parcelsByLocation[parcel.location] = parcelsByLocation[parcel.location] || []).push(parcel);
+    });
+
+    Object.keys(parcelsByLocation).sort().forEach(location => {
+        const group = document.createElement('div');
+        group.className = 'offline-location-group';
+        const groupLabel = document.createElement('label');
+        groupLabel.className = 'offline-location-label';
+        const groupCheckbox = document.createElement('input');
+        groupCheckbox.type = 'checkbox';
+        groupCheckbox.addEventListener('change', () => {
+            group.querySelectorAll('input[data-parcel]').forEach(input => { input.checked = groupCheckbox.checked; });
+            populateOfflineDateList();
+        });
+        groupLabel.appendChild(groupCheckbox);
+        groupLabel.appendChild(document.createTextNode(` ${location}`));
+        group.appendChild(groupLabel);
+
+        parcelsByLocation[location].forEach(parcel => {
+            const label = document.createElement('label');
+            label.className = 'offline-parcel-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = parcel.id;
+            checkbox.dataset.parcel = 'true';
+            checkbox.checked = checkedIds.has(parcel.id);
+            checkbox.addEventListener('change', populateOfflineDateList);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${parcel.name} (${parcel.kmlId})`));
+            group.appendChild(label);
+        });
+        offlineParcelList.appendChild(group);
+    });
+    if (!offlineParcelList.children.length) {
+        offlineParcelList.innerHTML = '<span class="draft-empty">No parcels with imagery.</span>';
+    }
+}
+
+/**
+ * Returns the parcels ticked in the offline parcel picker.
+ * @returns {object[]} Parcel objects from `allParcelsData`.
+ */
+function getOfflineSelectedParcels() {
+    const ids = new Set([...offlineParcelList.querySelectorAll('input[data-parcel]:checked')].map(input => input.value));
+    return allParcelsData.filter(parcel => ids.has(parcel.id));
+}
+
+/**
+ * Fills the date picker with the union of the selected parcels' image dates.
+ * New dates start ticked; dates the user unticked stay unticked.
+ */
+function populateOfflineDateList() {
+    const uncheckedDates = new Set([...offlineDateList.querySelectorAll('input:not(:checked)')].map(input => input.value));
+    const dates = new Set();
+    getOfflineSelectedParcels().forEach(parcel => getParcelImageDates(parcel).forEach(date => dates.add(date)));
+
+    offlineDateList.innerHTML = '';
+    [...dates].sort(compareDdMmYyyyDates).forEach(date => {
+        const label = document.createElement('label');
+        label.className = 'offline-date-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = date;
+        checkbox.checked = !uncheckedDates.has(date);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${date}`));
+        offlineDateList.appendChild(label);
+    });
+    if (dates.size === 0) {
+        offlineDateList.innerHTML = '<span class="draft-empty">Select parcels first.</span>';
+    }
+}
+
+/**
+ * Ticks the currently selected parcel in the offline parcel picker.
+ */
+function selectCurrentParcelForOffline() {
+    if (!currentParcel) {
+        offlineStatus.textContent = 'Select a parcel on the map first.';
+        offlineStatus.style.color = 'orange';
+        return;
+    }
+    const checkbox = offlineParcelList.querySelector(`input[data-parcel][value="${CSS.escape(currentParcel.id)}"]`);
+    if (checkbox) {
+        checkbox.checked = true;
+        populateOfflineDateList();
+    }
+}
+
+/**
+ * Converts a longitude to the x index of the Web Mercator tile containing it.
+ * @param {number} lng - Longitude in degrees.
+ * @param {number} zoom - Zoom level.
+ * @returns {number}
+ */
+function lngToTileX(lng, zoom) {
+    return Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
+}
+
+/**
+ * Converts a latitude to the y index of the Web Mercator tile containing it.
+ * @param {number} lat - Latitude in degrees.
+ * @param {number} zoom - Zoom level.
+ * @returns {number}
+ */
+function latToTileY(lat, zoom) {
+    const latRad = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * Math.pow(2, zoom));
+}
+
+/**
+ * Lists the tile URLs of a {z}/{x}/{y} template covering the given bounds.
+ * @param {string} urlTemplate - Tile URL template.
+ * @param {L.LatLngBounds} bounds - Area to cover.
+ * @param {number} minZoom - Lowest zoom level.
+ * @param {number} maxZoom - Highest zoom level.
+ * @returns {string[]} Tile URLs.
+ */
+function getTileUrlsForBounds(urlTemplate, bounds, minZoom, maxZoom) {
+    const urls = [];
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const minX = lngToTileX(bounds.getWest(), zoom);
+        const maxX = lngToTileX(bounds.getEast(), zoom);
+        const minY = latToTileY(bounds.getNorth(), zoom);
+        const maxY = latToTileY(bounds.getSouth(), zoom);
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                urls.push(L.Util.template(urlTemplate, { x, y, z: zoom }));
+            }
+        }
+    }
+    return urls;
+}
+
+/**
+ * Finds the boundary extent of the given parcels in the KML index.
+ * @param {object[]} parcels - Parcels from `allParcelsData`.
+ * @returns {Object<string, L.LatLngBounds>} Bounds by KML ID (parcels missing from the KML are omitted).
+ */
+function getIndexedParcelBounds(parcels) {
+    const boundsById = {};
+    parcels.forEach(parcel => {
+        const feature = getIndexedKmlFeature(parcel.kmlId, parcel.location);
+        if (feature) {
+            boundsById[String(parcel.kmlId)] = L.geoJson(feature).getBounds();
+        }
+    });
+    return boundsById;
+}
+
+/**
+ * Reads the offline options from the panel.
+ * @returns {{minZoom: number, maxZoom: number, includeNdvi: boolean, includeGrids: boolean, includeBaseMap: boolean}}
+ */
+function getOfflineDownloadOptions() {
+    const minZoom = Math.max(PARCEL_TILE_OPTIONS.minZoom, parseInt(offlineMinZoomInput.value, 10) || PARCEL_TILE_OPTIONS.minZoom);
+    const maxZoom = Math.min(PARCEL_TILE_OPTIONS.maxNativeZoom, parseInt(offlineMaxZoomInput.value, 10) || PARCEL_TILE_OPTIONS.maxNativeZoom);
+    return {
+        minZoom,
+        maxZoom: Math.max(minZoom, maxZoom),
+        includeNdvi: offlineIncludeNdvi.checked,
+        includeGrids: offlineIncludeGrids.checked,
+        includeBaseMap: offlineIncludeBaseMap.checked
+    };
+}
+
+/**
+ * Lists every file to download for the selected parcels and dates.
+ * @param {object[]} parcels - Selected parcels.
+ * @param {string[]} dates - Selected dates (DD-MM-YYYY).
+ * @param {Object<string, L.LatLngBounds>} boundsById - Parcel bounds by KML ID.
+ * @param {object} options - See `getOfflineDownloadOptions`.
+ * @returns {{url: string, kind: string, kmlId: string, date: string|null, opaque?: boolean}[]}
+ */
+function buildOfflineDownloadPlan(parcels, dates, boundsById, options) {
+    const plan = [];
+    const seenUrls = new Set();
+    const addEntry = entry => {
+        if (seenUrls.has(entry.url)) return;
+        seenUrls.add(entry.url);
+        plan.push(entry);
+    };
+
+    parcels.forEach(parcel => {
+        const bounds = boundsById[String(parcel.kmlId)];
+        const parcelDates = getParcelImageDates(parcel).filter(date => dates.includes(date));
+        if (bounds && options.includeBaseMap) {
+            getTileUrlsForBounds(BASE_MAP_URL, bounds, options.minZoom, options.maxZoom)
+                .forEach(url => addEntry({ url, kind: 'basemap', kmlId: parcel.kmlId, date: null, opaque: true }));
+        }
+        parcelDates.forEach(date => {
+            if (bounds) {
+                const templates = [getParcelLayerUrl(parcel, date, false)];
+                const ndviTemplate = getParcelLayerUrl(parcel, date, true);
+                if (options.includeNdvi && ndviTemplate) templates.push(ndviTemplate);
+                templates.filter(Boolean).forEach(template => {
+                    getTileUrlsForBounds(template, bounds, options.minZoom, options.maxZoom)
+                        .forEach(url => addEntry({ url, kind: 'tile', kmlId: parcel.kmlId, date }));
+                });
+            }
+            const gridUrl = options.includeGrids && buildGridUrl(parcel, date);
+            if (gridUrl) {
+                addEntry({ url: gridUrl, kind: 'grid', kmlId: parcel.kmlId, date });
+            }
+        });
+    });
+    return plan;
+}
+
+/**
+ * Downloads one file into the offline cache.
+ * Missing files (e.g. tiles outside the imagery extent) are skipped.
+ * @param {Cache} cache - The OFFLINE_DATA_CACHE cache.
+ * @param {object} entry - Plan entry from `buildOfflineDownloadPlan`.
+ * @returns {Promise<object | null>} The OFFLINE_STORE record, or null if nothing was stored.
+ */
+async function cacheOfflineResource(cache, entry) {
+    try {
+        const response = await fetch(entry.url, entry.opaque ? { mode: 'no-cors' } : {});
+        if (response.type !== 'opaque' && !response.ok) return null;
+        // Opaque (cross-origin, no CORS) responses do not expose their size
+        const bytes = response.type === 'opaque' ? 0 : (await response.clone().blob()).size;
+        await cache.put(entry.url, response);
+        return { url: entry.url, kind: entry.kind, kmlId: entry.kmlId, date: entry.date, bytes, cachedAt: Date.now() };
+    } catch (error) {
+        console.warn(`[OFFLINE] Could not download ${entry.url}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Stores OFFLINE_STORE records in a single transaction.
+ * @param {object[]} records - Records from `cacheOfflineResource`.
+ * @returns {Promise<void>}
+ */
+async function saveOfflineEntries(records) {
+    if (records.length === 0) return;
+    await runStoreRequest(OFFLINE_STORE, 'readwrite', store => {
+        let request = null;
+        records.forEach(record => { request = store.put(record); });
+        return request;
+    });
+}
+
+/**
+ * Pre-downloads the KML, NDVI statistics, parcel file, imagery tiles and grids
+ * of the selected parcels and dates for use without signal.
+ */
+async function downloadOfflineData() {
+    if (offlineDownloadActive) return;
+    const parcels = getOfflineSelectedParcels();
+    const dates = [...offlineDateList.querySelectorAll('input:checked')].map(input => input.value);
+    if (parcels.length === 0 || dates.length === 0) {
+        offlineStatus.textContent = 'Select at least one parcel and one date.';
+        offlineStatus.style.color = 'orange';
+        return;
+    }
+    if (!window.caches) {
+        offlineStatus.textContent = 'This browser cannot store data for offline use.';
+        offlineStatus.style.color = 'red';
+        return;
+    }
+
+    const options = getOfflineDownloadOptions();
+    offlineDownloadActive = true;
+    offlineDownloadCancelled = false;
+    offlineDownloadBtn.disabled = true;
+    offlineCancelBtn.disabled = false;
+    offlineStatus.style.color = 'blue';
+    offlineStatus.textContent = 'Downloading parcel boundaries and statistics...';
+
+    try {
+        const cache = await caches.open(OFFLINE_DATA_CACHE);
+        // Ask the browser not to evict the downloads under storage pressure
+        if (navigator.storage?.persist) navigator.storage.persist();
+
+        // Shared files first; the KML index is also needed to know which tiles to fetch
+        const sharedEntries = [PARCELS_JSON_URL, KML_LAYER_URL, NDVI_CSV_URL]
+            .map(url => ({ url, kind: 'data', kmlId: null, date: null }));
+        const records = (await Promise.all(sharedEntries.map(entry => cacheOfflineResource(cache, entry)))).filter(Boolean);
+        if (!(await loadKmlIndex())) {
+            throw new Error(`Could not load the parcel boundaries from ${KML_LAYER_URL}.`);
+        }
+        const boundsById = getIndexedParcelBounds(parcels);
+        const missingBoundaries = parcels.filter(parcel => !boundsById[String(parcel.kmlId)]);
+        if (missingBoundaries.length > 0) {
+            console.warn("[OFFLINE] No KML boundary (tiles skipped) for:", missingBoundaries.map(parcel => `${parcel.name} (${parcel.kmlId})`));
+        }
+
+        const plan = buildOfflineDownloadPlan(parcels, dates, boundsById, options);
+        if (plan.length > OFFLINE_TILE_WARNING_COUNT &&
+            !confirm(`This will download ${plan.length} files. Lower the maximum zoom to download less. Continue?`)) {
+            await saveOfflineEntries(records);
+            offlineStatus.textContent = 'Download cancelled.';
+            offlineStatus.style.color = 'orange';
+            return;
+        }
+
+        let done = 0;
+        let skipped = 0;
+        let nextIndex = 0;
+        const worker = async () => {
+            while (nextIndex < plan.length && !offlineDownloadCancelled) {
+                const record = await cacheOfflineResource(cache, plan[nextIndex++]);
+                if (record) records.push(record); else skipped++;
+                done++;
+                if (done % 20 === 0 || done === plan.length) {
+                    offlineStatus.textContent = `Downloading ${done} / ${plan.length} files (${skipped} not available)...`;
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(OFFLINE_DOWNLOAD_CONCURRENCY, plan.length) }, worker));
+        await saveOfflineEntries(records);
+
+        const totalBytes = records.reduce((sum, record) => sum + record.bytes, 0);
+        offlineStatus.textContent = `${offlineDownloadCancelled ? 'Download cancelled' : 'Download complete'}: ` +
+            `${records.length} files stored (${formatBytes(totalBytes)}), ${skipped} not available` +
+            (missingBoundaries.length > 0 ? `, no KML boundary for ${missingBoundaries.length} parcel(s) (see console).` : '.');
+        offlineStatus.style.color = offlineDownloadCancelled || missingBoundaries.length > 0 ? 'orange' : 'green';
+        console.log(`[OFFLINE] Stored ${records.length} files, ${skipped} skipped.`);
+    } catch (error) {
+        console.error("[OFFLINE] Download failed:", error);
+        offlineStatus.textContent = `Download failed: ${error.message}`;
+        offlineStatus.style.color = 'red';
+    } finally {
+        offlineDownloadActive = false;
+        offlineDownloadBtn.disabled = false;
+        offlineCancelBtn.disabled = true;
+        renderOfflineStorage();
+    }
+}
+
+/**
+ * Returns the expiry policy in days (0 = downloads never expire).
+ * @returns {number}
+ */
+function getOfflineExpiryDays() {
+    const stored = parseInt(localStorage.getItem(OFFLINE_EXPIRY_STORAGE_KEY), 10);
+    return isNaN(stored) ? DEFAULT_OFFLINE_EXPIRY_DAYS : stored;
+}
+
+/**
+ * Removes downloaded files and their records.
+ * @param {string[]} urls - URLs of the files to remove.
+ * @returns {Promise<void>}
+ */
+async function deleteOfflineEntries(urls) {
+    if (urls.length === 0) return;
+    const cache = await caches.open(OFFLINE_DATA_CACHE);
+    await Promise.all(urls.map(url => cache.delete(url)));
+    await runStoreRequest(OFFLINE_STORE, 'readwrite', store => {
+        let request = null;
+        urls.forEach(url => { request = store.delete(url); });
+        return request;
+    });
+}
+
+/**
+ * Deletes downloads older than the expiry policy.
+ * Nothing is deleted while offline, so data is never lost in the field.
+ * @returns {Promise<void>}
+ */
+async function purgeExpiredOfflineData() {
+    const expiryDays = getOfflineExpiryDays();
+    if (!expiryDays || navigator.onLine === false || !window.caches) return;
+    try {
+        const cutoff = Date.now() - expiryDays * 24 * 60 * 60 * 1000;
+        const entries = await runStoreRequest(OFFLINE_STORE, 'readonly', store => store.getAll());
+        const expiredUrls = entries.filter(entry => entry.cachedAt < cutoff).map(entry => entry.url);
+        if (expiredUrls.length > 0) {
+            await deleteOfflineEntries(expiredUrls);
+            console.log(`[OFFLINE] Removed ${expiredUrls.length} downloads older than ${expiryDays} days.`);
+        }
+    } catch (error) {
+        console.error("[OFFLINE] Could not purge expired downloads:", error);
+    }
+}
+
+/**
+ * Deletes every downloaded file and record.
+ */
+async function clearAllOfflineData() {
+    if (!confirm('Delete all data downloaded for offline use?')) return;
+    try {
+        if (window.caches) await caches.delete(OFFLINE_DATA_CACHE);
+        await runStoreRequest(OFFLINE_STORE, 'readwrite', store => store.clear());
+        offlineStatus.textContent = 'All offline data deleted.';
+        offlineStatus.style.color = 'blue';
+    } catch (error) {
+        console.error("[OFFLINE] Could not delete offline data:", error);
+        offlineStatus.textContent = 'Could not delete offline data. Check the console.';
+        offlineStatus.style.color = 'red';
+    }
+    renderOfflineStorage();
+}
+
+/**
+ * Shows the browser storage usage and the downloads per parcel, with delete buttons.
+ */
+async function renderOfflineStorage() {
+    if (navigator.storage?.estimate) {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        offlineStorageUsage.textContent = `${formatBytes(usage)} used of ${formatBytes(quota)} available`;
+    } else {
+        offlineStorageUsage.textContent = 'Usage not reported by this browser';
+    }
+
+    let entries = [];
+    try {
+        entries = await runStoreRequest(OFFLINE_STORE, 'readonly', store => store.getAll());
+    } catch (error) {
+        console.error("[OFFLINE] Could not read offline records:", error);
+    }
+
+    // Group by parcel; shared files (KML, CSV, parcel file) have no kmlId
+    const groups = {};
+    entries.forEach(entry => {
+        const key = entry.kmlId ?? '';
+        const group = groups[key] = groups[key] || { urls: [], bytes: 0, dates: new Set(), oldest: entry.cachedAt };
+        group.urls.push(entry.url);
+        group.bytes += entry.bytes;
+        if (entry.date) group.dates.add(entry.date);
+        group.oldest = Math.min(group.oldest, entry.cachedAt);
+    });
+
+    offlineStoredList.innerHTML = '';
+    offlineClearAllBtn.disabled = entries.length === 0;
+    if (entries.length === 0) {
+        offlineStoredList.innerHTML = '<span class="draft-empty">Nothing downloaded.</span>';
+        return;
+    }
+    const expiryDays = getOfflineExpiryDays();
+    Object.keys(groups).sort().forEach(kmlId => {
+        const group = groups[kmlId];
+        const parcel = kmlId ? findParcelByKmlId(kmlId) : null;
+        const title = kmlId ? (parcel ? `${parcel.name} (${parcel.location})` : `KML ID ${kmlId}`) : 'Boundaries, statistics & parcel file';
+        const expires = expiryDays ? `, expires ${new Date(group.oldest + expiryDays * 24 * 60 * 60 * 1000).toLocaleDateString()}` : '';
+
+        const item = document.createElement('div');
+        item.className = 'offline-stored-item';
+        const text = document.createElement('span');
+        text.textContent = `${title}: ${group.urls.length} file${group.urls.length > 1 ? 's' : ''}, ${formatBytes(group.bytes)}` +
+            (group.dates.size ? `, ${group.dates.size} date${group.dates.size > 1 ? 's' : ''}` : '') + expires;
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'discard-draft-btn';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', async () => {
+            await deleteOfflineEntries(group.urls);
+            renderOfflineStorage();
+        });
+        item.appendChild(text);
+        item.appendChild(deleteBtn);
+        offlineStoredList.appendChild(item);
+    });
+}
+
+/**
+ * Wires the offline panel, the expiry policy and the online/offline banner.
+ */
+function setupOfflineMode() {
+    registerOfflineServiceWorker();
+    offlineExpirySelect.value = String(getOfflineExpiryDays());
+
+    offlineBtn.addEventListener('click', openOfflinePanel);
+    closeOfflineBtn.addEventListener('click', () => {
+        offlinePanel.style.display = 'none';
+    });
+    offlineSelectCurrentBtn.addEventListener('click', selectCurrentParcelForOffline);
+    offlineDownloadBtn.addEventListener('click', downloadOfflineData);
+    offlineCancelBtn.addEventListener('click', () => {
+        offlineDownloadCancelled = true;
+    });
+    offlineClearAllBtn.addEventListener('click', clearAllOfflineData);
+    offlineExpirySelect.addEventListener('change', () => {
+        localStorage.setItem(OFFLINE_EXPIRY_STORAGE_KEY, offlineExpirySelect.value);
+        purgeExpiredOfflineData().then(renderOfflineStorage);
+    });
+
+    window.addEventListener('online', updateOfflineBanner);
+    window.addEventListener('offline', updateOfflineBanner);
+    updateOfflineBanner();
+    purgeExpiredOfflineData();
+}
+
 // =====================================================================
 // REST OF THE CODE (Keep all other functions as they were in the previous full code block)
 // - initializeApp
@@ -1610,6 +8634,10 @@ async function initializeApp() {
         return; // Stop initialization
     }
 
+    // --- 1b. Layer Unsaved Drafts From Browser Storage Over the File ---
+    await applyStoredParcelDrafts();
+    updateDraftIndicators();
+
     // --- 2. Load Ancillary Data (NDVI Stats - Non-essential) ---
     // Run concurrently, don't wait for it to finish UI setup
     loadCsvData(() => {
@@ -1617,7 +8645,12 @@ async function initializeApp() {
         // If a parcel is already selected when CSV loads, update its display
         if (currentParcel) {
             updateNdviValuesDisplay();
+            ndviChartKmlId = null; // Force the chart to be rebuilt with the fresh stats
+            updateNdviChart();
         }
+        refreshParcelDashboard(); // Latest NDVI columns come from the CSV
+        refreshFarmsPanel(); // Area-weighted NDVI per farm
+        updateNdviAlerts(); // Scan all parcels for NDVI drops
     });
 
     // --- 3. Initialize Map Components ---
@@ -1626,12 +8659,24 @@ async function initializeApp() {
 
     // --- 4. Setup UI Interactions ---
     setupAddParcelForm(); // Initialize the form for managing parcels
+    setupOfflineMode(); // Service worker, offline downloads panel and offline banner
+    setupScoutingNotes(); // Note markers, note form and notes panel (notes load in the background)
+    setupMeasureTools(); // Distance/area measurement control and the AREA_DEC check in popups
+    setupInspectTools(); // NDVI pixel inspector and transect profile
+    setupBoundaryEditing(); // Draw/edit parcel boundaries (Leaflet-Geoman) and their KML/GeoJSON export
+    setupParcelThemes(); // Theme select and legend for colouring the parcels
+    setupLayerDisplayControls(); // NDVI opacity/blend mode and base map opacity
 
      // --- 5. Attach Event Listeners for Controls ---
      console.log("Setting up UI Event Listeners...");
      ndviCheckbox.addEventListener("change", updateTileLayer);
      // Link popupCheckbox to displayGridOnCheckbox - this is already correct
      popupCheckbox.addEventListener("change", displayGridOnCheckbox);
+     populateGridRampSelect();
+     gridLabelsCheckbox.addEventListener("change", updateVisibleGridLabels);
+     [gridRampSelect, gridMethodSelect, gridClassCountInput].forEach(input => {
+         input.addEventListener("change", applyGridStyling);
+     });
  
      // Slider events...
      timeSlider.addEventListener("input", () => {
@@ -1652,12 +8697,106 @@ async function initializeApp() {
  
  
      playButton.addEventListener("click", handlePlayButtonClick);
+     compareButton.addEventListener("click", toggleCompareMode);
+     closeCompareBtn.addEventListener("click", () => stopCompareMode());
+     [compareLeftDate, compareLeftType, compareRightDate, compareRightType].forEach(select => {
+         select.addEventListener("change", updateCompareLayers);
+     });
+     closeNdviChartBtn.addEventListener("click", () => {
+         ndviChartPanel.style.display = 'none';
+     });
+     alertsBtn.addEventListener("click", openNdviAlertsPanel);
+     closeAlertsBtn.addEventListener("click", () => {
+         alertsPanel.style.display = 'none';
+     });
+     [alertDropThresholdInput, alertMedianThresholdInput, alertLatestOnlyCheckbox].forEach(input => {
+         input.addEventListener("change", handleNdviAlertSettingsChange);
+     });
+     reportBtn.addEventListener("click", openReportPanel);
+     closeReportBtn.addEventListener("click", () => {
+         reportPanel.style.display = 'none';
+     });
+     reportLogoInput.addEventListener("change", handleReportLogoChange);
+     removeReportLogoBtn.addEventListener("click", () => {
+         localStorage.removeItem(REPORT_LOGO_KEY);
+         renderReportLogoPreview();
+     });
+     generateReportBtn.addEventListener("click", generateParcelReport);
+     layerCheckBtn.addEventListener("click", openLayerCheckPanel);
+     closeLayerCheckBtn.addEventListener("click", () => {
+         layerCheckPanel.style.display = 'none';
+     });
+     [layerCheckScopeSelect, layerCheckProblemsOnlyCheckbox].forEach(input => {
+         input.addEventListener("change", renderLayerCheckReport);
+     });
+     runLayerCheckBtn.addEventListener("click", runLayerCheck);
+     cancelLayerCheckBtn.addEventListener("click", () => {
+         layerCheckCancelled = true;
+     });
+     farmsBtn.addEventListener("click", openFarmsPanel);
+     closeFarmsBtn.addEventListener("click", () => {
+         farmsPanel.style.display = 'none';
+         clearFarmHighlight();
+     });
+     farmsFilterInput.addEventListener("input", renderFarmsPanel);
+     zoomToFarmBtn.addEventListener("click", () => {
+         if (selectedFarmId !== null) showFarm(selectedFarmId);
+     });
+     clearFarmHighlightBtn.addEventListener("click", clearFarmHighlight);
+     rotationBtn.addEventListener("click", openCropRotationPanel);
+     closeRotationBtn.addEventListener("click", () => {
+         rotationPanel.style.display = 'none';
+     });
+     [rotationVillageSelect, rotationProblemsOnlyCheckbox].forEach(input => {
+         input.addEventListener("change", renderCropRotation);
+     });
+     addRotationRuleBtn.addEventListener("click", () => {
+         saveCropRotationRules([...getCropRotationRules(), { family: 'New family', crops: [], minYearsBetween: 3, allowConsecutive: false }]);
+     });
+     resetRotationRulesBtn.addEventListener("click", () => {
+         if (confirm('Replace the rotation rules with the defaults?')) saveCropRotationRules(null);
+     });
+     zonesButton.addEventListener("click", openZonesPanel);
+     closeZonesBtn.addEventListener("click", closeZonesPanel);
+     [zonesCountInput, zonesMethodSelect, zonesSmoothCheckbox, zonesSmoothPassesInput, zonesMergeCheckbox].forEach(input => {
+         input.addEventListener("change", updateManagementZones);
+     });
+     zonesUnitSelect.addEventListener("change", updateZonesTotal);
+     exportZonesGeoJsonBtn.addEventListener("click", exportZonesGeoJson);
+     exportZonesShapefileBtn.addEventListener("click", exportZonesShapefile);
+     exportZonesIsoXmlBtn.addEventListener("click", exportZonesIsoXml);
+     dashboardBtn.addEventListener("click", openParcelDashboard);
+     closeDashboardBtn.addEventListener("click", () => {
+         dashboardPanel.style.display = 'none';
+     });
+     [dashboardFilterInput, dashboardLocationSelect, dashboardImageryOnlyCheckbox].forEach(input => {
+         input.addEventListener(input === dashboardFilterInput ? "input" : "change", renderParcelDashboard);
+     });
+     dashboardTableHeaders.forEach(th => {
+         th.addEventListener("click", () => sortParcelDashboard(th.dataset.sortKey));
+     });
+     csvReportBtn.addEventListener("click", openCsvReportPanel);
+     closeCsvReportBtn.addEventListener("click", () => {
+         csvReportPanel.style.display = 'none';
+     });
+     downloadCsvReportBtn.addEventListener("click", downloadCsvReport);
      searchButton.addEventListener("click", searchLocation);
-     searchInput.addEventListener("keypress", function(e) {
+     searchInput.addEventListener("keydown", function(e) {
          if (e.key === 'Enter') {
+             clearTimeout(searchInputTimer);
              searchLocation();
+         } else if (e.key === 'Escape') {
+             closeSearchResults();
          }
      });
+     searchInput.addEventListener("input", () => {
+         clearTimeout(searchInputTimer);
+         searchInputTimer = setTimeout(updateSearchResults, SEARCH_INPUT_DELAY_MS);
+     });
+     [searchVillageSelect, searchCropSelect, searchFarmSelect, searchDataSelect].forEach(select => {
+         select.addEventListener("change", updateSearchResults);
+     });
+     closeSearchResultsBtn.addEventListener("click", closeSearchResults);
  
      // *** IMPORTANT: Add event listeners for map pan/zoom to update *labels* ***
      // These listeners will be added/removed by displayGridOnCheckbox itself
@@ -1667,6 +8806,12 @@ async function initializeApp() {
  
      // --- 6. Set Initial Map State ---
      clearParcelSelection();
+
+     // --- 7. Restore Shared State From the URL & Keep It in Sync ---
+     map.on('moveend', scheduleUrlStateUpdate);
+     popupCheckbox.addEventListener("change", scheduleUrlStateUpdate);
+     window.addEventListener('popstate', handleUrlPopState);
+     await restoreUrlState(parseUrlState());
  
      console.log("----------------------------------------");
      console.log("Application Initialized Successfully.");
@@ -0,0 +1,114 @@
+// =====================================================================
+// sw.js - Service Worker for Offline Field Mode
+// =====================================================================
+// Description: Serves the app shell and data downloaded for offline use
+//              (imagery tiles, KML, NDVI CSV, grid GeoJSONs) when there
+//              is no signal. Downloads and expiry are managed by app.js;
+//              this worker only decides where each request is answered from.
+// =====================================================================
+
+// --- Configuration & Constants ---
+// Keep DATA_CACHE in sync with OFFLINE_DATA_CACHE in app.js; SHELL_CACHE is only used by this worker
+const SHELL_CACHE = 'agri-shell-v1';         // App files and CDN libraries (refreshed on every online load)
+const DATA_CACHE = 'agri-offline-data-v1';   // Data the user downloaded for offline use
+const SHELL_FILES = ['./', 'index.html', 'app.js', 'style.css'];
+const CDN_HOSTS = ['unpkg.com', 'cdnjs.cloudflare.com', 'code.jquery.com'];
+const DATA_FILE_PATTERN = /\.(kml|csv|geojson|json)$/i; // Requested with a cache-busting "?_=" parameter
+const HEALTH_CHECK_PARAM = '_layercheck';    // Keep in sync with LAYER_CHECK_PARAM in app.js
+const NETWORK_TIMEOUT_MS = 8000;             // Weak field signal: fall back to the cache after this
+
+// =====================================================================
+// LIFECYCLE
+// =====================================================================
+
+self.addEventListener('install', (event) => {
+    // Pre-cache the same-origin shell; failures are tolerated (files are cached again at runtime)
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => Promise.allSettled(SHELL_FILES.map(file => cache.add(file))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Remove caches of older worker versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== SHELL_CACHE && name !== DATA_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// =====================================================================
+// REQUEST ROUTING
+// =====================================================================
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    // Layer health checks must reach the server, not a downloaded copy
+    if (url.searchParams.has(HEALTH_CHECK_PARAM)) return;
+
+    if (DATA_FILE_PATTERN.test(url.pathname)) {
+        // KML, CSV, grids, parcels JSON: fresh data when online, downloaded copy otherwise
+        event.respondWith(networkFirst(request, { ignoreSearch: true }));
+    } else if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+        // App shell and libraries
+        event.respondWith(networkFirst(request, { updateCache: SHELL_CACHE }));
+    } else {
+        // Imagery and base map tiles never change for a given URL
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Tries the network (with a timeout) and falls back to any cache.
+ * @param {Request} request - The intercepted request.
+ * @param {object} options
+ * @param {boolean} [options.ignoreSearch=false] - Match cached entries without the query string.
+ * @param {string} [options.updateCache] - Cache to store successful network responses in.
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, { ignoreSearch = false, updateCache = null } = {}) {
+    try {
+        const response = await fetchWithTimeout(request, NETWORK_TIMEOUT_MS);
+        if (updateCache && (response.ok || response.type === 'opaque')) {
+            const cache = await caches.open(updateCache);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Answers from the cache if possible, otherwise from the network.
+ * @param {Request} request - The intercepted request.
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    return cached || fetch(request);
+}
+
+/**
+ * `fetch` that rejects if no response arrives in time.
+ * @param {Request} request - The request.
+ * @param {number} timeoutMs - Timeout in milliseconds.
+ * @returns {Promise<Response>}
+ */
+function fetchWithTimeout(request, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Network timeout for ${request.url}`)), timeoutMs);
+        fetch(request).then(
+            response => { clearTimeout(timer); resolve(response); },
+            error => { clearTimeout(timer); reject(error); }
+        );
+    });
+}